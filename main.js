@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 const { HeliosAutomation } = require('./src/service/automation');
 const { FaucetAutomation } = require('./src/features/faucet/faucet-automation');
 const { BridgeAutomation } = require('./src/features/bridge/bridge-automation');
@@ -6,18 +7,33 @@ const { GovernanceAutomation } = require('./src/features/governance/governance-a
 const { UserInfoAutomation } = require('./src/features/userinfo/userinfo-automation');
 const { SwapAutomation } = require('./src/features/swap/swap-automation');
 const { Helpers } = require('./src/utils/helpers');
-const { FEATURE_FLAGS, RETRY_CONFIG } = require('./src/config/config');
+const { RETRY_CONFIG, WALLET_CONFIG, GOVERNANCE_WATCHER_CONFIG } = require('./src/config/config');
 const { AsyncUtils } = require('./src/utils/async');
 const { TelegramNotifier } = require('./src/utils/telegram-notifier');
 const { CycleManager } = require('./src/utils/cycle-manager');
 const { FeatureExecutor } = require('./src/features/feature-executor');
+const { WalletRoster } = require('./src/core/wallet-roster');
+const { CycleStateService } = require('./src/services/cycle-state-service');
+const { Pipeline } = require('./src/features/pipeline');
+const { FeatureFlagService } = require('./src/services/feature-flag-service');
+const { HeliosCli } = require('./src/cli/helios-cli');
+const { GovernanceWatcher } = require('./src/features/governance/governance-watcher');
+const { TransactionService } = require('./src/services/transaction-service');
+const { NetworkConfig } = require('./src/config/network');
+const { NetworkUtils } = require('./src/utils/network');
+const { BRIDGE_CONFIGS } = require('./src/config/bridge-config');
 require('dotenv').config();
 
 /**
  * HeliosMain - Main orchestrator class for Helios automation
+ * One instance per wallet, so every service holds that wallet's state only
  */
 class HeliosMain {
-    constructor() {
+    /**
+     * @param {object} wallet - Wallet roster entry ({ index, label, privateKey, address }) (optional)
+     */
+    constructor(wallet = null) {
+        this.wallet = wallet;
         this.services = {
             automation: new HeliosAutomation(),
             faucet: new FaucetAutomation(),
@@ -29,18 +45,24 @@ class HeliosMain {
         };
         
         this.telegramNotifier = new TelegramNotifier();
-        this.cycleManager = new CycleManager(this.telegramNotifier);
-        this.featureExecutor = new FeatureExecutor(this.telegramNotifier, this.cycleManager);
+        this.cycleState = new CycleStateService();
+        this.cycleManager = new CycleManager(this.telegramNotifier, wallet?.label || null, this.cycleState);
+        this.featureFlags = new FeatureFlagService();
+        this.featureExecutor = new FeatureExecutor(this.telegramNotifier, this.cycleManager, this.featureFlags);
         this.isInitialized = false;
     }
 
     /**
-     * Initialize all services
+     * Initialize services
+     * @param {string[]} serviceNames - Services to initialize (optional, all if not provided)
      * @returns {Promise<boolean>} Initialization result
      */
-    async initialize() {
+    async initialize(serviceNames = null) {
         try {
-            const initPromises = Object.entries(this.services).map(async ([name, service]) => {
+            const services = Object.entries(this.services)
+                .filter(([name]) => !serviceNames || serviceNames.includes(name));
+
+            const initPromises = services.map(async ([name, service]) => {
                 await service.initialize();
                 Helpers.log(`✅ ${name} service initialized`, 'SUCCESS');
             });
@@ -115,12 +137,19 @@ class HeliosMain {
             
             // Execute features
             const results = await this.executeAllFeatures(privateKey, address);
+
+            // Stake overview for the cycle summary (informational, never fails the cycle)
+            const delegationPortfolio = await this.getDelegationPortfolio(address).catch(error => {
+                Helpers.log(`⚠️ Could not load delegation portfolio: ${error.message}`, 'WARNING');
+                return null;
+            });
             
             return {
                 address,
                 balance,
                 faucetInfo,
-                ...results
+                ...results,
+                delegationPortfolio
             };
             
         } catch (error) {
@@ -130,71 +159,99 @@ class HeliosMain {
     }
 
     /**
-     * Execute all enabled features
+     * Execute all pipeline steps in order
+     * Steps already finished in the current (resumed) cycle are not run again
      * @param {string} privateKey - Wallet private key
      * @param {string} address - Wallet address
-     * @returns {Promise<object>} Feature results
+     * @returns {Promise<object>} Step results keyed as `<stepId>Result`
      */
     async executeAllFeatures(privateKey, address) {
+        // Reloaded every cycle so pipeline and flag edits apply without a restart
+        this.featureFlags.reloadIfChanged();
+        const pipeline = Pipeline.load();
+        const context = {
+            main: this,
+            privateKey,
+            address,
+            cycleNumber: this.cycleManager.getCycleCount(),
+            stepResults: {}
+        };
         const results = {};
 
-        // Execute faucet claim
-        results.faucetResult = await this.featureExecutor.executeFaucetClaim(
-            (pk) => this.claimFaucet(pk),
-            privateKey,
-            address
-        );
+        for (const step of pipeline.getSteps()) {
+            const stepResult = await this.runFeature(step.id, address, () =>
+                this.featureExecutor.executeStep(step, context, pipeline)
+            );
 
-        // Execute bridge
-        results.bridgeResult = await this.featureExecutor.executeBridge(
-            (pk, destChainId, amount, recipient) => this.bridge(pk, destChainId, amount, recipient),
-            privateKey,
-            address
-        );
+            context.stepResults[step.id] = stepResult;
+            results[`${step.id}Result`] = stepResult;
+        }
 
-        // Execute delegation
-        results.delegationResult = await this.featureExecutor.executeDelegation(
-            (pk) => this.delegateToRandomValidator(pk),
-            privateKey,
-            address
-        );
+        return results;
+    }
 
-        // Execute claim reward
-        results.claimRewardResult = await this.featureExecutor.executeClaimReward(
-            (pk, claimId) => this.claimReward(pk, claimId),
-            privateKey,
-            address
-        );
+    /**
+     * Run a feature once per cycle, recording its outcome in the cycle state
+     * Transactions are recorded as soon as they are broadcast; a feature interrupted after its main transaction
+     * is settled from that transaction's receipt instead of being run (and sending) again. A feature interrupted
+     * after a prerequisite only (token approval) runs again: its allowance check skips the approval.
+     * @param {string} featureKey - Feature key in the cycle state
+     * @param {string} address - Wallet address
+     * @param {Function} executeFunction - Feature execution function
+     * @returns {Promise<object>} Feature result (stored result if already finished)
+     */
+    async runFeature(featureKey, address, executeFunction) {
+        const record = this.cycleState.getFeatureRecord(address, featureKey);
 
-        // Execute governance vote
-        results.governanceResult = await this.featureExecutor.executeGovernanceVote(
-            (pk, support, reason, timeout) => this.waitAndVote(pk, support, reason, timeout),
-            privateKey,
-            address
-        );
+        if (this.cycleState.isFeatureFinished(address, featureKey)) {
+            Helpers.log(`⏭️ ${featureKey} already ${record.status} in this cycle${record.txHash ? ` (tx ${record.txHash})` : ''} - not running again`, 'INFO');
+            return record.result;
+        }
 
-        // Execute create proposal
-        results.createProposalResult = await this.featureExecutor.executeCreateProposal(
-            (pk, deposit) => this.createRandomProposal(pk, deposit),
-            privateKey,
-            address
-        );
+        if (record?.status === 'started') {
+            const broadcast = CycleStateService.getLastBroadcast(record);
+
+            if (broadcast?.prerequisite) {
+                Helpers.log(`⚠️ ${featureKey} was interrupted after its ${broadcast.label.toLowerCase()} only - running it again`, 'WARNING');
+            } else if (broadcast) {
+                Helpers.log(`⚠️ ${featureKey} was interrupted after sending ${broadcast.hashes[broadcast.hashes.length - 1]} - checking its receipt instead of running it again`, 'WARNING');
+                const result = await this.resumeBroadcast(broadcast);
+                this.cycleState.recordFeatureResult(address, featureKey, result);
+                return result;
+            } else {
+                Helpers.log(`⚠️ ${featureKey} was interrupted in a previous run before sending anything - running it again`, 'WARNING');
+            }
+        }
 
-        // Execute user info (after authentication)
-        results.userInfoResult = await this.featureExecutor.executeUserInfo(
-            (pk, addr) => this.getUserInfo(pk, addr),
-            privateKey,
-            address
+        this.cycleState.recordFeatureStart(address, featureKey);
+        const result = await TransactionService.trackBroadcasts(
+            sentTx => this.cycleState.recordFeatureBroadcast(address, featureKey, sentTx),
+            executeFunction
         );
+        this.cycleState.recordFeatureResult(address, featureKey, result);
 
-        // Execute swap
-        results.swapResult = await this.featureExecutor.executeSwap(
-            (pk, amount) => this.executeSwap(pk, amount),
-            privateKey,
-            address
-        );
+        return result;
+    }
 
-        return results;
+    /**
+     * Settle an interrupted feature from the receipt of its last broadcast transaction
+     * @param {object} broadcast - Broadcast from CycleStateService.getLastBroadcast
+     * @returns {Promise<object>} Feature result
+     */
+    async resumeBroadcast(broadcast) {
+        try {
+            // chainId null: Helios, otherwise an external bridge chain
+            const chain = BRIDGE_CONFIGS['helios-testnet'].supportedChains[broadcast.chainId];
+            const provider = broadcast.chainId === null
+                ? new NetworkConfig().getProvider()
+                : NetworkUtils.createProvider(chain.rpc, broadcast.chainId, chain.name);
+            const receipt = await new TransactionService(provider, broadcast.chainId).findReceipt(broadcast.hashes);
+
+            return CycleStateService.getResumedResult(broadcast, receipt);
+        } catch (error) {
+            Helpers.log('❌ Could not check the interrupted transaction', error, 'ERROR');
+            return { enabled: true, resumed: true, error: error.message };
+        }
     }
 
     // Individual feature methods with retry logic
@@ -213,24 +270,52 @@ class HeliosMain {
         return await this.services.faucet.getFaucetInfo();
     }
 
-    async bridge(privateKey, destChainId, amountEth, recipientAddress) {
+    async bridge(privateKey, destChainId, amount, recipientAddress, token = 'HLS', fee = 0.5) {
+        return await AsyncUtils.retry(
+            async () => {
+                return await this.services.bridge.bridge(privateKey, destChainId, amount, recipientAddress, token, fee);
+            },
+            RETRY_CONFIG.BRIDGE_MAX_ATTEMPTS,
+            RETRY_CONFIG.BRIDGE_DELAY
+        );
+    }
+
+    async bridgeRoute(privateKey, route, recipientAddress) {
+        return await AsyncUtils.retry(
+            async () => {
+                return await this.services.bridge.bridgeRoute(privateKey, route, recipientAddress);
+            },
+            RETRY_CONFIG.BRIDGE_MAX_ATTEMPTS,
+            RETRY_CONFIG.BRIDGE_DELAY
+        );
+    }
+
+    async bridgeToHelios(privateKey, sourceChainId, amount = null, token = 'HLS') {
         return await AsyncUtils.retry(
             async () => {
-                return await this.services.bridge.bridge(privateKey, destChainId, amountEth, recipientAddress);
+                return await this.services.bridge.bridgeToHelios(privateKey, sourceChainId, amount, token);
             },
             RETRY_CONFIG.BRIDGE_MAX_ATTEMPTS,
             RETRY_CONFIG.BRIDGE_DELAY
         );
     }
 
-    async delegateToRandomValidator(privateKey, amount = null) {
+    async checkBridges(privateKey) {
+        return await this.services.bridge.checkBridges(privateKey);
+    }
+
+    getTrackedBridges(address) {
+        return this.services.bridge.getTrackedBridges(address);
+    }
+
+    async delegateToRandomValidator(privateKey, amount = null, strategy = null) {
         return await AsyncUtils.retry(
             async () => {
                 if (amount === null) {
                     amount = Helpers.getRandomDelegationAmount();
                     Helpers.log(`🎲 Using random delegation amount: ${amount} HELIOS`, 'INFO');
                 }
-                return await this.services.delegation.delegateToRandomValidator(privateKey, amount);
+                return await this.services.delegation.delegateToRandomValidator(privateKey, amount, strategy);
             },
             RETRY_CONFIG.DELEGATION_MAX_ATTEMPTS,
             RETRY_CONFIG.DELEGATION_DELAY
@@ -247,16 +332,60 @@ class HeliosMain {
         );
     }
 
-    async waitAndVote(privateKey, support = true, reason = "", timeout = 120000) {
+    async undelegate(privateKey, validator = null, amount = null) {
         return await AsyncUtils.retry(
             async () => {
-                return await this.services.governance.waitAndVote(privateKey, support, reason, timeout);
+                return await this.services.delegation.undelegate(privateKey, validator, amount);
+            },
+            RETRY_CONFIG.DELEGATION_MAX_ATTEMPTS,
+            RETRY_CONFIG.DELEGATION_DELAY
+        );
+    }
+
+    async redelegate(privateKey, srcValidator = null, dstValidator = null, amount = null) {
+        return await AsyncUtils.retry(
+            async () => {
+                return await this.services.delegation.redelegate(privateKey, srcValidator, dstValidator, amount);
+            },
+            RETRY_CONFIG.DELEGATION_MAX_ATTEMPTS,
+            RETRY_CONFIG.DELEGATION_DELAY
+        );
+    }
+
+    async getUnbondingEntries(privateKey) {
+        return await this.services.delegation.getUnbondingEntries(privateKey);
+    }
+
+    async claimPendingRewards(privateKey, minReward = null) {
+        return await this.services.delegation.claimPendingRewards(privateKey, minReward);
+    }
+
+    async compoundRewards(privateKey, options = {}) {
+        return await this.services.delegation.compoundRewards(privateKey, options);
+    }
+
+    async getCompoundHistory(privateKey, limit = 20) {
+        return await this.services.delegation.getCompoundHistory(privateKey, limit);
+    }
+
+    async waitAndVote(privateKey, support = null, reason = "", timeout = 120000, policyFile = null, maxVotes = null) {
+        return await AsyncUtils.retry(
+            async () => {
+                return await this.services.governance.waitAndVote(privateKey, support, reason, timeout, policyFile, maxVotes);
             },
             RETRY_CONFIG.GOVERNANCE_MAX_ATTEMPTS,
             RETRY_CONFIG.GOVERNANCE_DELAY
         );
     }
 
+    async trackProposals(privateKey) {
+        return await this.services.governance.trackProposals(privateKey);
+    }
+
+    getTrackedProposals(address) {
+        return this.services.governance.getTrackedProposals(address);
+    }
+
     async createRandomProposal(privateKey, deposit = "1000000000000000000") {
         return await AsyncUtils.retry(
             async () => {
@@ -306,6 +435,10 @@ class HeliosMain {
         };
     }
 
+    async getDelegationPortfolio(address) {
+        return await this.services.delegation.getPortfolio(address);
+    }
+
     async getClaimHistory(page = 1, limit = 10) {
         return await this.services.faucet.getClaimHistory(page, limit);
     }
@@ -314,10 +447,14 @@ class HeliosMain {
         return await this.services.governance.getVotingProposal();
     }
 
-    async voteProposal(privateKey, proposalId, support, reason = "") {
+    async evaluateVotePolicy(policyFile = null) {
+        return await this.services.governance.evaluatePolicy(policyFile);
+    }
+
+    async voteProposal(privateKey, proposalId, option, reason = "") {
         return await AsyncUtils.retry(
             async () => {
-                return await this.services.governance.vote(privateKey, proposalId, support, reason);
+                return await this.services.governance.vote(privateKey, proposalId, option, reason);
             },
             RETRY_CONFIG.GOVERNANCE_MAX_ATTEMPTS,
             RETRY_CONFIG.GOVERNANCE_DELAY
@@ -334,6 +471,16 @@ class HeliosMain {
         );
     }
 
+    async createProposalFromTemplate(privateKey, templateFile) {
+        return await AsyncUtils.retry(
+            async () => {
+                return await this.services.governance.createProposalFromTemplate(privateKey, templateFile);
+            },
+            RETRY_CONFIG.GOVERNANCE_MAX_ATTEMPTS,
+            RETRY_CONFIG.GOVERNANCE_DELAY
+        );
+    }
+
     async delegate(privateKey, validator = null, amount = null) {
         return await AsyncUtils.retry(
             async () => {
@@ -350,53 +497,71 @@ class HeliosMain {
 }
 
 /**
- * Main execution function with infinite loop
+ * Run the infinite cycle loop for a single wallet
+ * @param {HeliosMain} heliosMain - Orchestrator bound to the wallet
+ * @param {Function} limit - Limiter capping how many wallets run a cycle at once
  */
-async function main() {
-    try {
-        const privateKey = process.env.PRIVATE_KEY;
-        
-        if (!privateKey) {
-            Helpers.log('❌ PRIVATE_KEY not found in environment variables', 'ERROR');
-            process.exit(1);
-        }
+async function runWalletLoop(heliosMain, limit) {
+    const { privateKey } = heliosMain.wallet;
 
-        // Initialize main system
-        const heliosMain = new HeliosMain();
-        await heliosMain.initialize();
-        
-        // Infinite loop
-        while (true) {
-            try {
-                // Execute cycle
-                const cycleResult = await heliosMain.cycleManager.executeCycle(
+    while (true) {
+        try {
+            // Execute cycle (initialize lazily so queued wallets don't hold connections)
+            const cycleResult = await limit(async () => {
+                if (!heliosMain.isInitialized) {
+                    await heliosMain.initialize();
+                }
+
+                return await heliosMain.cycleManager.executeCycle(
                     (pk) => heliosMain.executeFullCycle(pk),
                     privateKey
                 );
+            });
 
-                // Send notifications
-                if (cycleResult.success) {
-                    const cooldownTime = await heliosMain.cycleManager.waitForCooldown();
-                    await heliosMain.cycleManager.sendCycleCompletionNotification(
-                        cycleResult.result,
-                        cooldownTime,
-                        cycleResult.address
-                    );
-                } else {
-                    await heliosMain.cycleManager.sendErrorNotification(
-                        cycleResult.error,
-                        cycleResult.address
-                    );
-                    await heliosMain.cycleManager.waitForCooldown();
-                }
-                
-            } catch (error) {
-                Helpers.log(`❌ Cycle execution failed`, error, 'ERROR');
-                await heliosMain.cycleManager.sendErrorNotification(error.message || error);
+            // Send notifications
+            if (cycleResult.success) {
+                const cooldownTime = await heliosMain.cycleManager.waitForCooldown();
+                await heliosMain.cycleManager.sendCycleCompletionNotification(
+                    cycleResult.result,
+                    cooldownTime,
+                    cycleResult.address
+                );
+            } else {
+                await heliosMain.cycleManager.sendErrorNotification(
+                    cycleResult.error,
+                    cycleResult.address || heliosMain.wallet.address
+                );
                 await heliosMain.cycleManager.waitForCooldown();
             }
+
+        } catch (error) {
+            Helpers.log(`❌ [${heliosMain.wallet.label}] Cycle execution failed`, error, 'ERROR');
+            await heliosMain.cycleManager.sendErrorNotification(error.message || error, heliosMain.wallet.address);
+            await heliosMain.cycleManager.waitForCooldown();
         }
-        
+    }
+}
+
+/**
+ * Main execution function with infinite loop per wallet
+ */
+async function main() {
+    try {
+        const wallets = new WalletRoster().load();
+        const maxConcurrent = Math.max(1, WALLET_CONFIG.MAX_CONCURRENT_WALLETS || 1);
+        const limit = AsyncUtils.createLimiter(maxConcurrent);
+
+        Helpers.log(`👛 Running ${wallets.length} wallet(s), up to ${maxConcurrent} at once`, 'INFO');
+
+        const loops = wallets.map(wallet => runWalletLoop(new HeliosMain(wallet), limit));
+
+        // Votes for all wallets as proposals open, instead of each cycle waiting for one
+        if (GOVERNANCE_WATCHER_CONFIG.ENABLED) {
+            loops.push(new GovernanceWatcher(wallets, new TelegramNotifier()).start());
+        }
+
+        await Promise.all(loops);
+
     } catch (error) {
         Helpers.log('❌ Helios Main execution failed', error, 'ERROR');
         process.exit(1);
@@ -404,7 +569,10 @@ async function main() {
 }
 
 if (require.main === module) {
-    main();
+    // No subcommand (or `run`) starts the loop, anything else is a one-shot command
+    new HeliosCli(HeliosMain, main).run().then(exitCode => {
+        process.exitCode = exitCode;
+    });
 }
 
 module.exports = { HeliosMain }; 
\ No newline at end of file
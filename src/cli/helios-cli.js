@@ -0,0 +1,528 @@
+/**
+ * Helios CLI
+ * One-shot subcommands on top of HeliosMain (retry wrappers included)
+ *
+ * Usage: helios <command> [options] [--wallet <label|number|address>] [--json] [--dry-run]
+ */
+
+const { ethers } = require('ethers');
+const { CliArgs } = require('../utils/cli-args');
+const { WalletRoster } = require('../core/wallet-roster');
+const { FormattingUtils } = require('../utils/formatting');
+const { Helpers } = require('../utils/helpers');
+const { TransactionService } = require('../services/transaction-service');
+const { PrecompileRegistry } = require('../core/precompile-registry');
+const { NetworkConfig } = require('../config/network');
+const { DelegationQueryService } = require('../services/delegation-query-service');
+const { ProposalBuilder } = require('../features/governance/proposal-builder');
+const { GovernanceWatcher } = require('../features/governance/governance-watcher');
+const { BridgeRouteSelector } = require('../features/bridge/route-selector');
+const { BRIDGE_CONFIGS } = require('../config/bridge-config');
+const { BridgeTracker } = require('../services/bridge-tracker');
+const { TelegramNotifier } = require('../utils/telegram-notifier');
+
+const BOOLEAN_OPTIONS = ['json', 'yes', 'no', 'abstain', 'veto', 'all', 'help', 'dry-run', 'compound'];
+
+const VOTE_FLAGS = ['yes', 'no', 'abstain', 'veto'];
+
+const COMMANDS = {
+    run: {
+        usage: 'run',
+        description: 'Run the automation loop for every wallet (default)'
+    },
+    balance: {
+        usage: 'balance [address] [--all]',
+        description: 'Show wallet balance',
+        services: ['automation']
+    },
+    bridge: {
+        usage: 'bridge --to <chainId> --amount <n> [--token <symbol|address>] [--fee <n>] [--recipient <address>] | bridge back --from <chainId> [--amount <n>] [--token <symbol>] | bridge routes | bridge status',
+        description: 'Bridge HLS or an ERC-20 token to another chain or back to Helios (whole balance without --amount), or list the configured bridge routes',
+        services: ['automation', 'bridge']
+    },
+    vote: {
+        usage: 'vote <proposalId> --yes|--no|--abstain|--veto [--reason <text>]',
+        description: 'Vote on a governance proposal',
+        services: ['automation', 'governance']
+    },
+    delegate: {
+        usage: 'delegate [--validator <address> | --strategy <name>] [--amount <HLS>]',
+        description: 'Delegate HLS to a validator (or one picked by a selection strategy)',
+        services: ['automation', 'delegation']
+    },
+    claim: {
+        usage: 'claim [--min <HLS>] [--compound [--strategy <name> | --validator <address>]]',
+        description: 'Claim pending delegation rewards when they exceed the threshold and the gas cost, optionally re-delegating them',
+        services: ['automation', 'delegation']
+    },
+    undelegate: {
+        usage: 'undelegate [--validator <address>] [--amount <HLS>]',
+        description: 'Undelegate HLS from a validator (tracked until unbonding completes)',
+        services: ['automation', 'delegation']
+    },
+    redelegate: {
+        usage: 'redelegate [--from <address>] [--to <address>] [--amount <HLS>]',
+        description: 'Move delegated HLS to another validator (random active one if --to is omitted)',
+        services: ['automation', 'delegation']
+    },
+    delegation: {
+        usage: 'delegation info | delegation unbonding | delegation portfolio [address] | delegation compounds [--limit 20]',
+        description: 'Show delegation settings, tracked unbonding/redelegation entries, stake per validator or auto-compound history',
+        services: ['automation', 'delegation']
+    },
+    faucet: {
+        usage: 'faucet claim [--token HLS] | faucet info | faucet history [--page 1] [--limit 10]',
+        description: 'Faucet operations',
+        services: ['automation', 'faucet']
+    },
+    proposal: {
+        usage: 'proposal active | proposal evaluate [--policy <file>] | proposal tracked | proposal templates | proposal create --template <file> | proposal create --title <text> --description <text> --messages <json> [--deposit <wei>]',
+        description: 'Governance proposal operations',
+        services: ['automation', 'governance']
+    },
+    watch: {
+        usage: 'watch [--interval <seconds>] [--delay <seconds>] [--policy <file>]',
+        description: 'Watch for proposals entering their voting period and vote with every wallet (runs until stopped)',
+        standalone: true
+    },
+    decode: {
+        usage: 'decode <calldata|txHash>',
+        description: 'Decode Helios precompile calldata (bridge, staking, distribution, gov)',
+        standalone: true
+    },
+    help: {
+        usage: 'help',
+        description: 'Show this help'
+    }
+};
+
+class HeliosCli {
+    /**
+     * @param {Function} HeliosMainClass - HeliosMain constructor
+     * @param {Function} runLoop - Function running the automation loop
+     */
+    constructor(HeliosMainClass, runLoop) {
+        this.HeliosMainClass = HeliosMainClass;
+        this.runLoop = runLoop;
+        this.options = {};
+    }
+
+    /**
+     * Options that never take a value
+     * @returns {string[]} Option names
+     */
+    static get BOOLEAN_OPTIONS() {
+        return BOOLEAN_OPTIONS;
+    }
+
+    /**
+     * Parse arguments and run the matching command
+     * @param {string[]} argv - Command line arguments
+     * @returns {Promise<number>} Exit code
+     */
+    async run(argv = process.argv.slice(2)) {
+        const { positionals, options } = CliArgs.parse(argv, BOOLEAN_OPTIONS);
+        // No subcommand runs the loop, unless help was asked for
+        const [commandName = options.help ? 'help' : 'run', ...args] = positionals;
+        this.options = options;
+
+        const command = COMMANDS[commandName];
+        if (!command || commandName === 'help' || options.help) {
+            this.printHelp(command ? null : commandName);
+            return command ? 0 : 1;
+        }
+
+        if (options.json) {
+            Helpers.logToStderr(true);
+        }
+
+        if (options['dry-run']) {
+            TransactionService.setDryRun(true);
+        }
+
+        if (TransactionService.isDryRun()) {
+            Helpers.log('🧪 Dry-run mode: transactions are simulated and never broadcast', 'WARNING');
+        }
+
+        if (commandName === 'run') {
+            await this.runLoop();
+            return 0;
+        }
+
+        try {
+            // Standalone commands need neither a wallet nor initialized services
+            const heliosMain = command.standalone ? null : await this.createMain(command.services);
+            const result = await this[`${commandName}Command`](heliosMain, args, options);
+            this.print(result);
+            return result?.success === false ? 1 : 0;
+        } catch (error) {
+            this.print({ success: false, error: error.message });
+            return 1;
+        }
+    }
+
+    /**
+     * Create and initialize HeliosMain for the selected wallet
+     * @param {string[]} services - Services the command needs
+     * @returns {Promise<HeliosMain>} Initialized instance
+     */
+    async createMain(services) {
+        const wallet = this.selectWallet(new WalletRoster().load(), this.options.wallet);
+        const heliosMain = new this.HeliosMainClass(wallet);
+        await heliosMain.initialize(services);
+        await heliosMain.connectWallet(wallet.privateKey);
+        return heliosMain;
+    }
+
+    /**
+     * Pick a wallet from the roster
+     * @param {Array<object>} wallets - Roster entries
+     * @param {string} selector - Label, 1-based number or address (optional, first wallet if not provided)
+     * @returns {object} Wallet entry
+     */
+    selectWallet(wallets, selector) {
+        if (!selector) {
+            return wallets[0];
+        }
+
+        const value = String(selector).toLowerCase();
+        const wallet = wallets.find(w =>
+            w.label === value ||
+            w.address.toLowerCase() === value ||
+            String(w.index + 1) === value
+        );
+
+        if (!wallet) {
+            throw new Error(`Wallet not found in roster: ${selector}`);
+        }
+
+        return wallet;
+    }
+
+    /**
+     * Get required option value
+     * @param {string} name - Option name
+     * @returns {string} Option value
+     */
+    requireOption(name) {
+        const value = this.options[name];
+        if (value === undefined || value === true) {
+            throw new Error(`Missing required option --${name}`);
+        }
+        return value;
+    }
+
+    async balanceCommand(heliosMain, args, options) {
+        if (options.all) {
+            const addresses = new WalletRoster().load().map(w => w.address);
+            return await heliosMain.services.automation.batchCheckBalance(addresses);
+        }
+
+        return await heliosMain.checkBalance(args[0] || null);
+    }
+
+    async bridgeCommand(heliosMain, args, options) {
+        if (args[0] === 'routes') {
+            const bridgeConfig = BRIDGE_CONFIGS['helios-testnet'];
+            const routes = new BridgeRouteSelector(bridgeConfig).validate(bridgeConfig.routes);
+            return {
+                selection: bridgeConfig.routeSelection,
+                routes,
+                toText: () => `Selection: ${bridgeConfig.routeSelection}\n` + FormattingUtils.formatTable(
+                    routes.map(route => ({
+                        ...route,
+                        chain: bridgeConfig.supportedChains[route.destChainId].name,
+                        amountRange: route.amountRange.join(' - ')
+                    })),
+                    [
+                        { key: 'id', header: 'Route' },
+                        { key: 'chain', header: 'Chain' },
+                        { key: 'token', header: 'Token' },
+                        { key: 'amountRange', header: 'Amount' },
+                        { key: 'fee', header: 'Fee', align: 'right' },
+                        { key: 'weight', header: 'Weight', align: 'right' }
+                    ]
+                )
+            };
+        }
+
+        if (args[0] === 'status') {
+            // Checks the destination chains first so the table is current
+            const check = await heliosMain.checkBridges(heliosMain.wallet.privateKey);
+            const bridges = heliosMain.getTrackedBridges(heliosMain.wallet.address);
+            const heliosChainId = BRIDGE_CONFIGS['helios-testnet'].chainId;
+            return {
+                bridges,
+                stuck: check.stuck,
+                toText: () => bridges.length === 0 ? 'No tracked bridges' : FormattingUtils.formatTable(
+                    bridges.map(entry => ({
+                        ...entry,
+                        amount: `${ethers.formatUnits(entry.amount, entry.decimals)} ${entry.symbol}`,
+                        chain: entry.sourceChainId && entry.sourceChainId !== heliosChainId
+                            ? `${BridgeTracker.chainName(entry.sourceChainId)} → ${BridgeTracker.chainName(entry.destChainId)}`
+                            : BridgeTracker.chainName(entry.destChainId)
+                    })),
+                    [
+                        { key: 'txHash', header: 'Tx' },
+                        { key: 'chain', header: 'Chain' },
+                        { key: 'amount', header: 'Amount', align: 'right' },
+                        { key: 'status', header: 'Status' },
+                        { key: 'sentAt', header: 'Sent' }
+                    ]
+                )
+            };
+        }
+
+        if (args[0] === 'back') {
+            const sourceChainId = parseInt(this.requireOption('from'), 10);
+            const amount = options.amount !== undefined ? parseFloat(options.amount) : null;
+            return await heliosMain.bridgeToHelios(heliosMain.wallet.privateKey, sourceChainId, amount, options.token || 'HLS');
+        }
+
+        const destChainId = parseInt(this.requireOption('to'), 10);
+        const amount = parseFloat(this.requireOption('amount'));
+        const recipient = options.recipient || heliosMain.wallet.address;
+        const fee = options.fee !== undefined ? parseFloat(options.fee) : 0.5;
+
+        return await heliosMain.bridge(heliosMain.wallet.privateKey, destChainId, amount, recipient, options.token || 'HLS', fee);
+    }
+
+    async voteCommand(heliosMain, args, options) {
+        const proposalId = parseInt(args[0], 10);
+        if (Number.isNaN(proposalId)) {
+            throw new Error(`Usage: helios ${COMMANDS.vote.usage}`);
+        }
+
+        const voteFlags = VOTE_FLAGS.filter(flag => options[flag]);
+        if (voteFlags.length !== 1) {
+            throw new Error('Pass exactly one of --yes, --no, --abstain or --veto');
+        }
+
+        return await heliosMain.voteProposal(heliosMain.wallet.privateKey, proposalId, voteFlags[0], options.reason || '');
+    }
+
+    async delegateCommand(heliosMain, args, options) {
+        const amount = options.amount !== undefined ? parseFloat(options.amount) : null;
+        if (options.strategy) {
+            return await heliosMain.delegateToRandomValidator(heliosMain.wallet.privateKey, amount, options.strategy);
+        }
+
+        return await heliosMain.delegate(heliosMain.wallet.privateKey, options.validator || null, amount);
+    }
+
+    async claimCommand(heliosMain, args, options) {
+        const result = options.compound
+            ? await heliosMain.compoundRewards(heliosMain.wallet.privateKey, {
+                minReward: options.min ?? null,
+                strategy: options.strategy || null,
+                validator: options.validator || null
+            })
+            : await heliosMain.claimPendingRewards(heliosMain.wallet.privateKey, options.min ?? null);
+        // Nothing to claim is not an error
+        return result.skipped ? { ...result, success: true } : result;
+    }
+
+    async undelegateCommand(heliosMain, args, options) {
+        const amount = options.amount !== undefined ? parseFloat(options.amount) : null;
+        return await heliosMain.undelegate(heliosMain.wallet.privateKey, options.validator || null, amount);
+    }
+
+    async redelegateCommand(heliosMain, args, options) {
+        const amount = options.amount !== undefined ? parseFloat(options.amount) : null;
+        return await heliosMain.redelegate(heliosMain.wallet.privateKey, options.from || null, options.to || null, amount);
+    }
+
+    async delegationCommand(heliosMain, args, options) {
+        switch (args[0]) {
+            case 'info':
+                return await heliosMain.getDelegationInfo(heliosMain.wallet.privateKey);
+            case 'unbonding':
+                return await heliosMain.getUnbondingEntries(heliosMain.wallet.privateKey);
+            case 'compounds':
+                return await heliosMain.getCompoundHistory(heliosMain.wallet.privateKey, parseInt(options.limit || '20', 10));
+            case 'portfolio': {
+                const portfolio = await heliosMain.getDelegationPortfolio(args[1] || heliosMain.wallet.address);
+                return { ...portfolio, toText: () => DelegationQueryService.formatTable(portfolio) };
+            }
+            default:
+                throw new Error(`Usage: helios ${COMMANDS.delegation.usage}`);
+        }
+    }
+
+    async faucetCommand(heliosMain, args, options) {
+        switch (args[0]) {
+            case 'claim':
+                return await heliosMain.claimFaucet(heliosMain.wallet.privateKey, options.token || 'HLS');
+            case 'info':
+                return await heliosMain.getFaucetInfo();
+            case 'history':
+                return await heliosMain.getClaimHistory(parseInt(options.page || '1', 10), parseInt(options.limit || '10', 10));
+            default:
+                throw new Error(`Usage: helios ${COMMANDS.faucet.usage}`);
+        }
+    }
+
+    async proposalCommand(heliosMain, args, options) {
+        switch (args[0]) {
+            case 'active':
+                return await heliosMain.getVotingProposal() || { success: false, reason: 'No active proposal' };
+            case 'evaluate': {
+                // Dry evaluation: shows the policy decisions, never votes
+                const decisions = await heliosMain.evaluateVotePolicy(options.policy || null);
+                return {
+                    decisions,
+                    toText: () => decisions.length === 0 ? 'No open proposals' : FormattingUtils.formatTable(
+                        decisions.map(decision => ({ ...decision, option: decision.option ? decision.option.toUpperCase() : 'SKIP' })),
+                        [
+                            { key: 'proposalId', header: 'ID', align: 'right' },
+                            { key: 'title', header: 'Title' },
+                            { key: 'option', header: 'Vote' },
+                            { key: 'rule', header: 'Rule' },
+                            { key: 'reason', header: 'Reason' }
+                        ]
+                    )
+                };
+            }
+            case 'tracked': {
+                const entries = heliosMain.getTrackedProposals(heliosMain.wallet.address);
+                return {
+                    entries,
+                    toText: () => entries.length === 0 ? 'No tracked proposals' : FormattingUtils.formatTable(
+                        entries.map(entry => ({
+                            ...entry,
+                            proposalId: entry.proposalId ?? '?',
+                            role: [entry.option && 'voter', entry.createTxHash && 'creator'].filter(Boolean).join('+'),
+                            vote: entry.option ? entry.option.toUpperCase() : '-',
+                            matched: entry.voteMatched === true ? 'yes' : entry.voteMatched === false ? 'no' : '-',
+                            deposit: entry.createTxHash ? `${Helpers.weiToEth(entry.deposit)} HLS ${entry.depositStatus}` : '-'
+                        })),
+                        [
+                            { key: 'proposalId', header: 'ID', align: 'right' },
+                            { key: 'title', header: 'Title' },
+                            { key: 'role', header: 'Role' },
+                            { key: 'status', header: 'Status' },
+                            { key: 'vote', header: 'Vote' },
+                            { key: 'matched', header: 'Matched' },
+                            { key: 'deposit', header: 'Deposit' }
+                        ]
+                    )
+                };
+            }
+            case 'templates': {
+                const templates = ProposalBuilder.getTemplates();
+                return {
+                    templates,
+                    toText: () => FormattingUtils.formatTable(templates, [
+                        { key: 'name', header: 'Template' },
+                        { key: 'fields', header: 'Fields' },
+                        { key: 'description', header: 'Description' }
+                    ])
+                };
+            }
+            case 'create':
+                if (options.template) {
+                    return await heliosMain.createProposalFromTemplate(heliosMain.wallet.privateKey, options.template);
+                }
+                return await heliosMain.createProposal(
+                    heliosMain.wallet.privateKey,
+                    this.requireOption('title'),
+                    this.requireOption('description'),
+                    JSON.parse(this.requireOption('messages')),
+                    options.deposit || '1000000000000000000'
+                );
+            default:
+                throw new Error(`Usage: helios ${COMMANDS.proposal.usage}`);
+        }
+    }
+
+    async watchCommand(heliosMain, args, options) {
+        const seconds = (name) => options[name] !== undefined ? parseFloat(options[name]) * 1000 : undefined;
+        const watcher = new GovernanceWatcher(new WalletRoster().load(), new TelegramNotifier(), {
+            pollInterval: seconds('interval'),
+            reactionDelay: seconds('delay'),
+            policyFile: options.policy || null
+        });
+
+        await watcher.start();
+        return { success: true };
+    }
+
+    async decodeCommand(heliosMain, args, options) {
+        const input = args[0];
+        if (!input || !/^0x[0-9a-fA-F]*$/.test(input)) {
+            throw new Error(`Usage: helios ${COMMANDS.decode.usage}`);
+        }
+
+        // 32-byte input is a transaction hash - fetch its calldata first
+        let data = input;
+        let to = null;
+        let txHash = null;
+        if (input.length === 66) {
+            const tx = await new NetworkConfig().getProvider().getTransaction(input);
+            if (!tx) {
+                throw new Error(`Transaction not found: ${input}`);
+            }
+            ({ data, to } = tx);
+            txHash = tx.hash;
+        }
+
+        const decoded = PrecompileRegistry.decode(data, to);
+        if (!decoded) {
+            return {
+                success: false,
+                ...(txHash && { txHash, to }),
+                selector: data.slice(0, 10).toLowerCase(),
+                error: 'Unknown selector - not a Helios precompile call'
+            };
+        }
+
+        return { success: true, ...(txHash && { txHash, to }), ...decoded };
+    }
+
+    /**
+     * Print command result as JSON or human readable text
+     * @param {any} result - Command result (a `toText()` method overrides the text layout)
+     */
+    print(result) {
+        if (this.options.json) {
+            console.log(FormattingUtils.toJson(result));
+            return;
+        }
+
+        if (result === null || typeof result !== 'object') {
+            console.log(String(result));
+            return;
+        }
+
+        // Results with their own text layout (tables)
+        if (typeof result.toText === 'function') {
+            console.log(result.toText());
+            return;
+        }
+
+        const entries = Array.isArray(result) ? result.map((item, index) => [index + 1, item]) : Object.entries(result);
+
+        for (const [key, value] of entries) {
+            const text = value !== null && typeof value === 'object' ? FormattingUtils.toJson(value, 0) : value;
+            console.log(`${key}: ${text}`);
+        }
+    }
+
+    /**
+     * Print usage
+     * @param {string} unknownCommand - Unknown command name (optional)
+     */
+    printHelp(unknownCommand = null) {
+        if (unknownCommand) {
+            console.log(`Unknown command: ${unknownCommand}\n`);
+        }
+
+        console.log('Usage: helios <command> [options] [--wallet <label|number|address>] [--json] [--dry-run]\n');
+        for (const command of Object.values(COMMANDS)) {
+            console.log(`  ${command.usage}`);
+            console.log(`      ${command.description}`);
+        }
+    }
+}
+
+module.exports = { HeliosCli, COMMANDS };
@@ -1,24 +1,69 @@
+// Bridge completion tracking on the destination chains
+const BRIDGE_TRACKER_CONFIG = {
+    STUCK_AFTER_HOURS: parseFloat(process.env.BRIDGE_STUCK_AFTER_HOURS || '6'),
+    GIVE_UP_AFTER_HOURS: parseFloat(process.env.BRIDGE_GIVE_UP_AFTER_HOURS || '72'), // stuck bridges are no longer scanned
+    MAX_SCAN_BLOCKS: 2000,    // eth_getLogs range per request (public RPCs cap it)
+    MAX_SCAN_CHUNKS: 10,      // requests per bridge per check
+    LOOKBACK_BLOCKS: 100,     // scan start when the destination block at send time is unknown
+    MAX_TRACKED: 100          // finished bridges kept per wallet
+};
+
 const BRIDGE_CONFIGS = {
     'helios-testnet': {
         bridgeContract: '0x0000000000000000000000000000000000000900',
         rpcUrl: 'https://testnet1.helioschainlabs.org',
         chainId: 42000,
         name: 'Helios Testnet',
+        // tokens: Helios tokens wrapped on the chain (outbound arrival checks, inbound source tokens)
+        // inbound: Bridge back to Helios through the chain's Hyperion contract (disabled while hyperionContract is null)
+        // - gasLimit: Fallback when estimation fails; fees are paid in the chain's native coin
+        // - maxFeePerGasGwei / maxPriorityFeePerGasGwei: Fee caps (null: provider fee data)
+        // - minAmount: Smallest token balance worth sweeping back, in token units
         supportedChains: {
             11155111: {
                 name: 'Sepolia',
-                rpc: 'https://sepolia.infura.io/v3/your-api-key',
-                explorer: 'https://sepolia.etherscan.io'
+                rpc: process.env.SEPOLIA_RPC_URL || 'https://sepolia.infura.io/v3/your-api-key',
+                explorer: 'https://sepolia.etherscan.io',
+                tokens: {
+                    HLS: process.env.SEPOLIA_HLS_TOKEN || null
+                },
+                inbound: {
+                    hyperionContract: process.env.SEPOLIA_HYPERION_CONTRACT || null,
+                    gasLimit: 150000,
+                    maxFeePerGasGwei: process.env.SEPOLIA_MAX_FEE_GWEI ? parseFloat(process.env.SEPOLIA_MAX_FEE_GWEI) : null,
+                    maxPriorityFeePerGasGwei: null,
+                    minAmount: 0.01
+                }
             },
             137: {
                 name: 'Polygon',
-                rpc: 'https://polygon-rpc.com',
-                explorer: 'https://polygonscan.com'
+                rpc: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
+                explorer: 'https://polygonscan.com',
+                tokens: {
+                    HLS: process.env.POLYGON_HLS_TOKEN || null
+                },
+                inbound: {
+                    hyperionContract: process.env.POLYGON_HYPERION_CONTRACT || null,
+                    gasLimit: 150000,
+                    maxFeePerGasGwei: process.env.POLYGON_MAX_FEE_GWEI ? parseFloat(process.env.POLYGON_MAX_FEE_GWEI) : null,
+                    maxPriorityFeePerGasGwei: null,
+                    minAmount: 0.01
+                }
             },
             56: {
                 name: 'BSC',
-                rpc: 'https://bsc-dataseed.binance.org',
-                explorer: 'https://bscscan.com'
+                rpc: process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org',
+                explorer: 'https://bscscan.com',
+                tokens: {
+                    HLS: process.env.BSC_HLS_TOKEN || null
+                },
+                inbound: {
+                    hyperionContract: process.env.BSC_HYPERION_CONTRACT || null,
+                    gasLimit: 150000,
+                    maxFeePerGasGwei: process.env.BSC_MAX_FEE_GWEI ? parseFloat(process.env.BSC_MAX_FEE_GWEI) : null,
+                    maxPriorityFeePerGasGwei: null,
+                    minAmount: 0.01
+                }
             }
         },
         gasLimits: {
@@ -28,8 +73,17 @@ const BRIDGE_CONFIGS = {
         },
         functionSelectors: {
             bridge: '0x7ae4a8ff'
-        }
+        },
+        // Route picked per cycle by the bridge feature: weighted (random by weight) or rotate (one after another)
+        routeSelection: process.env.BRIDGE_ROUTE_SELECTION || 'weighted',
+        // token: TOKEN_ADDRESS symbol or contract address; amountRange and fee are in token units; weight 0 disables a route
+        routes: [
+            { id: 'hls-sepolia', destChainId: 11155111, token: 'HLS', amountRange: [0.01, 0.1], fee: 0.5, weight: 1 },
+            { id: 'hls-bsc', destChainId: 56, token: 'HLS', amountRange: [0.01, 0.1], fee: 0.5, weight: 0 },
+            { id: 'hls-polygon', destChainId: 137, token: 'HLS', amountRange: [0.01, 0.1], fee: 0.5, weight: 0 },
+            { id: 'weth-sepolia', destChainId: 11155111, token: 'WETH', amountRange: [0.001, 0.005], fee: 0.0005, weight: 0 }
+        ]
     }
 };
 
-module.exports = { BRIDGE_CONFIGS }; 
\ No newline at end of file
+module.exports = { BRIDGE_CONFIGS, BRIDGE_TRACKER_CONFIG }; 
\ No newline at end of file
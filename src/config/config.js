@@ -1,16 +1,24 @@
+const path = require('path');
+require('dotenv').config();
+
 const TOKEN_ADDRESS = {
     'WETH': '0x80b5a32e4f032b2a058b4f29ec95eefeeb87adcd',
     'HLS': '0xD4949664cD82660AaE99bEdc034a0deA8A0bd517'
 }
 
-// Feature enable flags
+// Feature enable flags (defaults - overridden at runtime by FeatureFlagService)
 const FEATURE_FLAGS = {
     ENABLE_FAUCET: true,
     ENABLE_BRIDGE: true,
     ENABLE_DELEGATION: true,
     ENABLE_CLAIM_REWARD: true,
+    ENABLE_UNDELEGATE: false,
+    ENABLE_REDELEGATE: false,
     ENABLE_GOVERNANCE_VOTE: true,
     ENABLE_CREATE_PROPOSAL: false,
+    ENABLE_PROPOSAL_TRACKING: true,
+    ENABLE_BRIDGE_TRACKING: true,
+    ENABLE_REVERSE_BRIDGE: false,
     ENABLE_CHRONOS_DEPLOY: false,
     ENABLE_USER_INFO: true,
     ENABLE_SWAP: true
@@ -21,7 +29,24 @@ const DELEGATION_CONFIG = {
     DEFAULT_VALIDATOR: '0x72a9B3509B19D9Dbc2E0Df71c4A6451e8a3DD705',
     DEFAULT_AMOUNT: '1200000000000000000', // 1.2 HELIOS
     DEFAULT_DENOM: 'ahelios',
-    GAS_LIMIT: 300000
+    GAS_LIMIT: 300000,
+    // Claim only when pending rewards reach this many HLS (and exceed the claim's gas cost)
+    MIN_CLAIM_REWARD: process.env.MIN_CLAIM_REWARD || '0.001',
+    // Auto-compound: re-delegate the claimed balance delta minus a gas reserve
+    AUTO_COMPOUND: ['true', '1', 'yes'].includes((process.env.AUTO_COMPOUND || '').toLowerCase()),
+    MIN_COMPOUND_AMOUNT: process.env.MIN_COMPOUND_AMOUNT || '0.001', // HLS
+    COMPOUND_GAS_RESERVE: process.env.COMPOUND_GAS_RESERVE || '0.0005', // HLS kept for the delegate transaction
+    // Used for the completion time when the precompile emits no Unbond/Redelegate event
+    UNBONDING_TIME: parseInt(process.env.UNBONDING_TIME || String(21 * 24 * 60 * 60 * 1000), 10) // 21 days
+}
+
+// Validator selection for delegateToRandomValidator (see src/services/validator-selector.js)
+const VALIDATOR_SELECTION_CONFIG = {
+    STRATEGY: process.env.VALIDATOR_STRATEGY || 'random', // random, lowest-commission, highest-uptime, highest-voting-power, spread
+    ALLOW_LIST: (process.env.VALIDATOR_ALLOW_LIST || '').split(',').map(address => address.trim()).filter(Boolean),
+    SPREAD_COUNT: parseInt(process.env.VALIDATOR_SPREAD_COUNT || '5', 10), // validators the spread strategy keeps stake on
+    MAX_STAKE_PERCENT: parseFloat(process.env.VALIDATOR_MAX_STAKE_PERCENT || '0'), // 0 = no cap per validator
+    SLASH_LOOKBACK_DAYS: parseInt(process.env.VALIDATOR_SLASH_LOOKBACK_DAYS || '7', 10)
 }
 
 const RETRY_CONFIG = {
@@ -43,13 +68,85 @@ const GOVERNANCE_CONFIG = {
     TARGET_CONTRACT: '0x0000000000000000000000000000000000000805',
     GAS_LIMIT: 300000,
     DEFAULT_TIMEOUT: 120000, // 2 minutes
-    CHECK_INTERVAL: 30000    // 30 seconds
+    CHECK_INTERVAL: 30000,   // 30 seconds
+    PROPOSAL_PAGE_SIZE: 50,
+    MAX_PROPOSAL_PAGES: 20,
+    MAX_VOTES_PER_CYCLE: parseInt(process.env.MAX_VOTES_PER_CYCLE || '3', 10),
+    GOV_MODULE_ADDRESS: '0x7b5Fe22B5446f7C62Ea27B8BD71CeF94e03f3dF2', // authority for governance-gated messages
+    MIN_DEPOSIT: process.env.PROPOSAL_MIN_DEPOSIT || '1', // HLS, used when the chain params can't be read
+    VETO_THRESHOLD: 1 / 3,    // NoWithVeto share above which a proposal is vetoed and its deposit burned
+    POLICY_FILE: process.env.VOTE_POLICY_FILE || path.join(__dirname, 'vote-policy.json')
+}
+
+// Long-running watcher that votes for every wallet as soon as a proposal enters its voting period
+const GOVERNANCE_WATCHER_CONFIG = {
+    ENABLED: ['true', '1', 'yes'].includes((process.env.GOVERNANCE_WATCHER || '').toLowerCase()),
+    POLL_INTERVAL: parseInt(process.env.GOVERNANCE_WATCH_INTERVAL || '60000', 10), // 1 minute
+    REACTION_DELAY: parseInt(process.env.GOVERNANCE_REACTION_DELAY || '300000', 10), // 5 minutes after first seen
+    WALLET_JITTER: parseInt(process.env.GOVERNANCE_WALLET_JITTER || '30000', 10) // random extra delay per wallet
+}
+
+const WALLET_CONFIG = {
+    PRIVATE_KEYS_FILE: process.env.PRIVATE_KEYS_FILE || 'private_keys.txt',
+    MNEMONIC: process.env.MNEMONIC || null,
+    MNEMONIC_START_INDEX: parseInt(process.env.MNEMONIC_START_INDEX || '0', 10),
+    MNEMONIC_COUNT: parseInt(process.env.MNEMONIC_COUNT || '1', 10),
+    MAX_CONCURRENT_WALLETS: parseInt(process.env.MAX_CONCURRENT_WALLETS || '1', 10)
+}
+
+const STATE_CONFIG = {
+    DATA_DIR: process.env.STATE_DIR || 'data',
+    CYCLE_STATE_FILE: 'cycle-state.json',
+    UNBONDING_FILE: 'unbonding.json',
+    COMPOUND_HISTORY_FILE: 'compound-history.json',
+    VOTE_HISTORY_FILE: 'votes.json',
+    PROPOSAL_TRACKER_FILE: 'tracked-proposals.json',
+    BRIDGE_TRACKER_FILE: 'bridges.json',
+    MAX_CYCLE_HISTORY: 50,
+    MAX_COMPOUND_HISTORY: 100
+}
+
+const PIPELINE_CONFIG = {
+    FILE: process.env.PIPELINE_FILE || path.join(__dirname, 'pipeline.json')
+}
+
+const FEATURE_FLAG_CONFIG = {
+    FILE: process.env.FEATURE_FLAGS_FILE || 'feature-flags.json'
+}
+
+// Simulate transactions (eth_call + estimateGas) instead of broadcasting them; also --dry-run
+const DRY_RUN_CONFIG = {
+    ENABLED: ['true', '1', 'yes'].includes((process.env.DRY_RUN || '').toLowerCase())
+}
+
+// Gas limit policy for every on-chain send (TransactionService.execute)
+const GAS_POLICY_CONFIG = {
+    BUFFER_PERCENT: parseInt(process.env.GAS_BUFFER_PERCENT || '20', 10), // added on top of estimateGas
+    DEFAULT_GAS_LIMIT: 300000 // used when estimation fails and the feature has no own limit
+}
+
+// Stuck transaction handling: speed up with higher EIP-1559 fees, then cancel
+const TX_SUPERVISOR_CONFIG = {
+    STUCK_TIMEOUT: parseInt(process.env.TX_STUCK_TIMEOUT || '90000', 10), // 90 seconds per attempt
+    POLL_INTERVAL: 5000,
+    FEE_BUMP_PERCENT: parseInt(process.env.TX_FEE_BUMP_PERCENT || '20', 10), // nodes require at least +10%
+    MAX_BUMPS: parseInt(process.env.TX_MAX_BUMPS || '3', 10),
+    CANCEL_GAS_LIMIT: 21000
 }
 
 module.exports = {
     TOKEN_ADDRESS,
     FEATURE_FLAGS,
     DELEGATION_CONFIG,
+    VALIDATOR_SELECTION_CONFIG,
     RETRY_CONFIG,
-    GOVERNANCE_CONFIG
+    GOVERNANCE_CONFIG,
+    GOVERNANCE_WATCHER_CONFIG,
+    WALLET_CONFIG,
+    STATE_CONFIG,
+    PIPELINE_CONFIG,
+    FEATURE_FLAG_CONFIG,
+    DRY_RUN_CONFIG,
+    GAS_POLICY_CONFIG,
+    TX_SUPERVISOR_CONFIG
 }
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Precompile Registry
+ * Human-readable ABIs of the Helios precompiles; all calldata is encoded through ethers.Interface
+ */
+
+const { ethers } = require('ethers');
+const { DELEGATION_CONFIG, GOVERNANCE_CONFIG } = require('../config/config');
+const { BRIDGE_CONFIGS } = require('../config/bridge-config');
+
+const PRECOMPILES = {
+    bridge: {
+        address: BRIDGE_CONFIGS['helios-testnet'].bridgeContract, // 0x900 (Hyperion)
+        abi: [
+            'function sendToChain(uint64 chainId, string destAddress, address contractAddress, uint256 amount, uint256 bridgeFee) returns (bool success)'
+        ]
+    },
+    staking: {
+        address: DELEGATION_CONFIG.TARGET_CONTRACT, // 0x800
+        abi: [
+            'function delegate(address delegatorAddress, address validatorAddress, uint256 amount, string denom) returns (bool success)',
+            'function undelegate(address delegatorAddress, address validatorAddress, uint256 amount, string denom) returns (int64 completionTime)',
+            'function redelegate(address delegatorAddress, address validatorSrcAddress, address validatorDstAddress, uint256 amount, string denom) returns (int64 completionTime)',
+            'event Unbond(address indexed delegatorAddress, address indexed validatorAddress, uint256 amount, uint256 completionTime)',
+            'event Redelegate(address indexed delegatorAddress, address indexed validatorSrcAddress, address indexed validatorDstAddress, uint256 amount, uint256 completionTime)'
+        ]
+    },
+    distribution: {
+        address: '0x0000000000000000000000000000000000000801',
+        abi: [
+            'function claimRewards(address delegatorAddress, uint32 maxRetrieve) returns (bool success)',
+            'event ClaimRewards(address indexed delegatorAddress, uint256 amount)'
+        ]
+    },
+    gov: {
+        address: GOVERNANCE_CONFIG.TARGET_CONTRACT, // 0x805
+        abi: [
+            'function vote(address voter, uint64 proposalId, uint8 option, string metadata) returns (bool success)',
+            'function hyperionProposal(string title, string description, string msg, uint256 initialDepositAmount) returns (uint64 proposalId)',
+            'function getVote(uint64 proposalId, address voter) view returns ((uint64 proposalId, address voter, (uint8 option, string weight)[] options, string metadata) vote)',
+            'function getParams() view returns ((int64 votingPeriod, (string denom, uint256 amount)[] minDeposit, int64 maxDepositPeriod, string quorum, string threshold, string vetoThreshold, string minInitialDepositRatio, string proposalCancelRatio, string proposalCancelDest, int64 expeditedVotingPeriod, string expeditedThreshold, (string denom, uint256 amount)[] expeditedMinDeposit, bool burnVoteQuorum, bool burnProposalDepositPrevote, bool burnVoteVeto, string minDepositRatio) params)'
+        ]
+    }
+};
+
+// Interfaces are built once per precompile
+const interfaces = new Map();
+
+class PrecompileRegistry {
+    /**
+     * Get precompile definition
+     * @param {string} name - Precompile name (bridge, staking, distribution, gov)
+     * @returns {object} Definition ({ name, address, abi })
+     */
+    static get(name) {
+        const precompile = PRECOMPILES[name];
+        if (!precompile) {
+            throw new Error(`Unknown precompile: ${name}`);
+        }
+        return { name, ...precompile };
+    }
+
+    /**
+     * Find precompile by contract address
+     * @param {string} address - Contract address
+     * @returns {object|null} Definition ({ name, address, abi }) or null
+     */
+    static getByAddress(address) {
+        if (!address) {
+            return null;
+        }
+
+        const name = Object.keys(PRECOMPILES)
+            .find(key => PRECOMPILES[key].address.toLowerCase() === address.toLowerCase());
+
+        return name ? this.get(name) : null;
+    }
+
+    /**
+     * Get ethers Interface for a precompile
+     * @param {string} name - Precompile name
+     * @returns {ethers.Interface} Interface
+     */
+    static getInterface(name) {
+        if (!interfaces.has(name)) {
+            interfaces.set(name, new ethers.Interface(this.get(name).abi));
+        }
+        return interfaces.get(name);
+    }
+
+    /**
+     * Get precompile address
+     * @param {string} name - Precompile name
+     * @returns {string} Contract address
+     */
+    static getAddress(name) {
+        return this.get(name).address;
+    }
+
+    /**
+     * Encode a precompile call
+     * @param {string} name - Precompile name
+     * @param {string} functionName - Function name
+     * @param {Array} args - Function arguments in ABI order
+     * @returns {string} Calldata
+     */
+    static encode(name, functionName, args) {
+        return this.getInterface(name).encodeFunctionData(functionName, args);
+    }
+
+    /**
+     * Parse the events a precompile emitted in a receipt
+     * @param {string} name - Precompile name
+     * @param {Array<object>} logs - Receipt logs
+     * @returns {Array<ethers.LogDescription>} Parsed events (logs of other contracts or unknown events are skipped)
+     */
+    static parseLogs(name, logs = []) {
+        const address = this.getAddress(name).toLowerCase();
+        const iface = this.getInterface(name);
+
+        return logs
+            .filter(log => log.address?.toLowerCase() === address)
+            .map(log => {
+                try {
+                    return iface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Decode precompile calldata with the same ABIs used to encode it
+     * @param {string} data - Calldata hex
+     * @param {string} to - Target address (optional, narrows the lookup to that precompile)
+     * @returns {object|null} Decoded call ({ precompile, address, function, signature, selector, args }) or null for unknown selectors
+     */
+    static decode(data, to = null) {
+        if (!ethers.isHexString(data) || data.length < 10) {
+            throw new Error('Calldata must be a hex string with at least a 4-byte selector');
+        }
+
+        const selector = data.slice(0, 10).toLowerCase();
+        const target = this.getByAddress(to);
+        const names = target ? [target.name] : Object.keys(PRECOMPILES);
+
+        for (const name of names) {
+            const fragment = this.getInterface(name).getFunction(selector);
+            if (!fragment) {
+                continue;
+            }
+
+            const values = this.getInterface(name).decodeFunctionData(fragment, data);
+            const args = {};
+            fragment.inputs.forEach((input, index) => {
+                args[input.name] = typeof values[index] === 'bigint' ? values[index].toString() : values[index];
+            });
+
+            return {
+                precompile: name,
+                address: PRECOMPILES[name].address,
+                function: fragment.name,
+                signature: fragment.format('sighash'),
+                selector,
+                args
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = { PrecompileRegistry, PRECOMPILES };
@@ -0,0 +1,134 @@
+/**
+ * Wallet Roster
+ * Loads the list of wallets the automation loop works through
+ */
+
+const fs = require('fs');
+const { WALLET_CONFIG } = require('../config/config');
+const { WalletUtils } = require('../utils/wallet');
+const { Helpers } = require('../utils/helpers');
+
+class WalletRoster {
+    constructor(options = {}) {
+        this.keysFile = options.keysFile || WALLET_CONFIG.PRIVATE_KEYS_FILE;
+        this.mnemonic = options.mnemonic || WALLET_CONFIG.MNEMONIC;
+        this.startIndex = options.startIndex ?? WALLET_CONFIG.MNEMONIC_START_INDEX;
+        this.count = options.count ?? WALLET_CONFIG.MNEMONIC_COUNT;
+        this.wallets = [];
+    }
+
+    /**
+     * Load wallets from the configured source
+     * Priority: HD mnemonic > private keys file > PRIVATE_KEY env variable
+     * @returns {Array<object>} Wallet entries ({ index, label, privateKey, address })
+     */
+    load() {
+        let privateKeys;
+
+        if (this.mnemonic) {
+            privateKeys = this.loadFromMnemonic(this.mnemonic, this.startIndex, this.count);
+            Helpers.log(`🔑 Derived ${privateKeys.length} wallet(s) from mnemonic (index ${this.startIndex}-${this.startIndex + this.count - 1})`, 'INFO');
+        } else if (fs.existsSync(this.keysFile)) {
+            privateKeys = this.loadFromKeysFile(this.keysFile);
+            Helpers.log(`🔑 Loaded ${privateKeys.length} wallet(s) from ${this.keysFile}`, 'INFO');
+        } else if (process.env.PRIVATE_KEY) {
+            privateKeys = [this.normalizePrivateKey(process.env.PRIVATE_KEY)];
+        } else {
+            throw new Error(`No wallets configured - set MNEMONIC, create ${this.keysFile} or set PRIVATE_KEY`);
+        }
+
+        const seen = new Set();
+        this.wallets = [];
+
+        for (const privateKey of privateKeys) {
+            const address = Helpers.getAddressFromPrivateKey(privateKey);
+
+            if (seen.has(address)) {
+                Helpers.log(`⚠️ Duplicate wallet ${address} skipped`, 'WARNING');
+                continue;
+            }
+
+            seen.add(address);
+            this.wallets.push({
+                index: this.wallets.length,
+                label: `wallet-${this.wallets.length + 1}`,
+                privateKey,
+                address
+            });
+        }
+
+        if (this.wallets.length === 0) {
+            throw new Error('Wallet roster is empty');
+        }
+
+        return this.wallets;
+    }
+
+    /**
+     * Read private keys from a file (one per line, # for comments)
+     * @param {string} filePath - Path to keys file
+     * @returns {string[]} Private keys
+     */
+    loadFromKeysFile(filePath) {
+        const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+        const privateKeys = [];
+
+        lines.forEach((line, lineIndex) => {
+            const value = line.trim();
+            if (!value || value.startsWith('#')) {
+                return;
+            }
+
+            const privateKey = this.normalizePrivateKey(value);
+            if (!Helpers.isValidPrivateKey(privateKey)) {
+                Helpers.log(`⚠️ Invalid private key on line ${lineIndex + 1} of ${filePath} - skipped`, 'WARNING');
+                return;
+            }
+
+            privateKeys.push(privateKey);
+        });
+
+        return privateKeys;
+    }
+
+    /**
+     * Derive private keys from an HD mnemonic
+     * @param {string} mnemonic - Mnemonic phrase
+     * @param {number} startIndex - First derivation index
+     * @param {number} count - Number of wallets to derive
+     * @returns {string[]} Private keys
+     */
+    loadFromMnemonic(mnemonic, startIndex = 0, count = 1) {
+        if (!Helpers.isValidMnemonic(mnemonic)) {
+            throw new Error('Invalid mnemonic');
+        }
+
+        const privateKeys = [];
+        for (let i = startIndex; i < startIndex + count; i++) {
+            const wallet = WalletUtils.createWalletFromMnemonic(mnemonic, `m/44'/60'/0'/0/${i}`);
+            privateKeys.push(wallet.privateKey);
+        }
+
+        return privateKeys;
+    }
+
+    /**
+     * Ensure private key has 0x prefix
+     * @param {string} privateKey - Private key
+     * @returns {string} Normalized private key
+     */
+    normalizePrivateKey(privateKey) {
+        const value = privateKey.trim();
+        return value.startsWith('0x') ? value : `0x${value}`;
+    }
+
+    /**
+     * Get loaded wallets
+     * @returns {Array<object>} Wallet entries
+     */
+    getWallets() {
+        return this.wallets;
+    }
+}
+
+module.exports = { WalletRoster };
@@ -4,13 +4,17 @@
  */
 
 const { BridgeService } = require('./bridge-service');
+const { InboundBridgeService } = require('./inbound-bridge-service');
 const { Helpers } = require('../../utils/helpers');
 const { TOKEN_ADDRESS, RETRY_CONFIG } = require('../../config/config');
 const { AsyncUtils } = require('../../utils/async');
+const { ethers } = require('ethers');
+const { BRIDGE_TRACKER_CONFIG } = require('../../config/bridge-config');
 
 class BridgeAutomation {
     constructor() {
         this.bridgeService = new BridgeService();
+        this.inboundBridgeService = new InboundBridgeService(this.bridgeService.bridgeTracker);
         this.isInitialized = false;
     }
 
@@ -110,11 +114,13 @@ class BridgeAutomation {
      * Bridge tokens to destination chain
      * @param {string} privateKey - Wallet private key
      * @param {number} destChainId - Destination chain ID
-     * @param {number} amountEth - Amount in ETH
+     * @param {number} amount - Amount in token units
      * @param {string} recipientAddress - Recipient address
+     * @param {string} token - TOKEN_ADDRESS symbol or token address (default: HLS)
+     * @param {number} fee - Bridge fee in token units (default: 0.5)
      * @returns {Promise<object>} Bridge result
      */
-    async bridge(privateKey, destChainId, amountEth, recipientAddress) {
+    async bridge(privateKey, destChainId, amount, recipientAddress, token = 'HLS', fee = 0.5) {
         if (!this.isInitialized) {
             throw new Error('Bridge Automation not initialized');
         }
@@ -127,15 +133,14 @@ class BridgeAutomation {
                         await this.connectWallet(privateKey);
                     }
 
-                    // Convert ETH to Wei
-                    const amountWei = Helpers.ethToWei(amountEth.toString());
-                    
-                    // Default parameters
+                    const tokenAddress = TOKEN_ADDRESS[token] || token;
+                    const { decimals } = await this.bridgeService.getTokenInfo(tokenAddress);
+
                     const params = {
                         destChainId: destChainId,
-                        tokenAddress: TOKEN_ADDRESS.HLS, 
-                        amountWei: amountWei.toString(),
-                        feeOrGas: "500000000000000000", // 0.5 ETH default fee
+                        tokenAddress,
+                        amountWei: ethers.parseUnits(amount.toString(), decimals).toString(),
+                        feeOrGas: ethers.parseUnits(fee.toString(), decimals).toString(),
                         extraString: recipientAddress
                     };
 
@@ -149,6 +154,93 @@ class BridgeAutomation {
             throw error;
         }
     }
+
+    /**
+     * Bridge a token from an external chain back to Helios
+     * @param {string} privateKey - Wallet private key
+     * @param {number} sourceChainId - Source chain ID
+     * @param {number|null} amount - Amount in token units (null: the whole balance)
+     * @param {string} token - Token symbol configured on the source chain (default: HLS)
+     * @returns {Promise<object>} Bridge result, skipped when the balance is below the chain's minAmount
+     */
+    async bridgeToHelios(privateKey, sourceChainId, amount = null, token = 'HLS') {
+        if (!this.isInitialized) {
+            throw new Error('Bridge Automation not initialized');
+        }
+
+        try {
+            return await AsyncUtils.retry(
+                async () => {
+                    return await this.inboundBridgeService.bridgeToHelios(privateKey, sourceChainId, token, amount);
+                },
+                RETRY_CONFIG.BRIDGE_MAX_ATTEMPTS,
+                RETRY_CONFIG.BRIDGE_DELAY
+            );
+        } catch (error) {
+            Helpers.log('Inbound bridge failed after retries', error, 'ERROR');
+            throw error;
+        }
+    }
+
+    /**
+     * Check the bridges of the wallet (outbound and inbound) on their destination chains
+     * @param {string} privateKey - Wallet private key
+     * @returns {Promise<object>} Check ({ success, completed, stuck, pending }), skipped when nothing changed
+     * Succeeds when a bridge arrived, even if others got stuck in the same check (reported as a separate alert)
+     */
+    async checkBridges(privateKey) {
+        if (!this.isInitialized) {
+            throw new Error('Bridge Automation not initialized');
+        }
+
+        const address = await this.connectWallet(privateKey);
+        const { completed, stuck, pending } = await this.bridgeService.bridgeTracker.check(address);
+
+        if (completed.length === 0 && stuck.length > 0) {
+            return {
+                success: false,
+                error: `${stuck.length} bridge(s) stuck after ${BRIDGE_TRACKER_CONFIG.STUCK_AFTER_HOURS}h`,
+                completed,
+                stuck,
+                pending
+            };
+        }
+
+        if (completed.length === 0) {
+            return {
+                success: false,
+                skipped: true,
+                skipReason: pending.length === 0 ? 'No bridges in flight' : `${pending.length} bridge(s) still in flight`,
+                completed,
+                stuck,
+                pending
+            };
+        }
+
+        return { success: true, completed, stuck, pending };
+    }
+
+    /**
+     * Get tracked bridges of a wallet
+     * @param {string} address - Sender address
+     * @returns {Array<object>} Tracked bridges, newest first
+     */
+    getTrackedBridges(address) {
+        return this.bridgeService.bridgeTracker.getBridges(address);
+    }
+
+    /**
+     * Bridge along a route with a random amount from its range
+     * @param {string} privateKey - Wallet private key
+     * @param {object} route - Route from BridgeRouteSelector ({ id, destChainId, tokenAddress, amountRange, fee })
+     * @param {string} recipientAddress - Recipient address
+     * @returns {Promise<object>} Bridge result with `route`
+     */
+    async bridgeRoute(privateKey, route, recipientAddress) {
+        const amount = Helpers.getRandomBridgeAmount(...route.amountRange);
+        const result = await this.bridge(privateKey, route.destChainId, amount, recipientAddress, route.tokenAddress, route.fee);
+        return { ...result, route: route.id };
+    }
 }
 
 module.exports = { BridgeAutomation }; 
\ No newline at end of file
@@ -8,6 +8,9 @@ const { BRIDGE_CONFIGS } = require('../../config/bridge-config');
 const { BridgeCalldataBuilder } = require('./calldata-builder');
 const { Helpers } = require('../../utils/helpers');
 const { NetworkUtils } = require('../../utils/network');
+const { TransactionService } = require('../../services/transaction-service');
+const { TOKEN_ADDRESS } = require('../../config/config');
+const { BridgeTracker } = require('../../services/bridge-tracker');
 
 class BridgeService {
     constructor() {
@@ -15,6 +18,17 @@ class BridgeService {
         this.isInitialized = false;
         this.provider = null;
         this.wallet = null;
+        this.transactionService = null;
+        this.erc20Abi = [
+            "function allowance(address owner, address spender) view returns (uint256)",
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function balanceOf(address owner) view returns (uint256)",
+            "function decimals() view returns (uint8)",
+            "function symbol() view returns (string)"
+        ];
+        // Token address (lowercase) -> { symbol, decimals }
+        this.tokenInfo = new Map([[TOKEN_ADDRESS.HLS.toLowerCase(), { symbol: 'HLS', decimals: 18 }]]);
+        this.bridgeTracker = new BridgeTracker(null, this.config);
     }
 
     /**
@@ -24,6 +38,7 @@ class BridgeService {
     async initialize() {
         try {
             this.provider = NetworkUtils.createProvider(this.config.rpcUrl, this.config.chainId, this.config.name);
+            this.transactionService = new TransactionService(this.provider);
             this.isInitialized = true;
             return true;
         } catch (error) {
@@ -51,6 +66,72 @@ class BridgeService {
         }
     }
 
+    /**
+     * Get token symbol and decimals
+     * @param {string} tokenAddress - Token contract address
+     * @returns {Promise<object>} Token info ({ symbol, decimals })
+     */
+    async getTokenInfo(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+
+        if (!this.tokenInfo.has(key)) {
+            const token = new ethers.Contract(tokenAddress, this.erc20Abi, this.provider);
+            const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+            this.tokenInfo.set(key, { symbol, decimals: Number(decimals) });
+        }
+
+        return this.tokenInfo.get(key);
+    }
+
+    /**
+     * Check and approve the bridge allowance of an ERC-20 token
+     * HLS is the native coin behind its ERC-20 address and needs no allowance
+     * @param {string} tokenAddress - Token address
+     * @param {string} amount - Amount in token base units
+     * @returns {Promise<boolean>} True when the allowance is in place
+     */
+    async checkAndApproveToken(tokenAddress, amount) {
+        if (tokenAddress.toLowerCase() === TOKEN_ADDRESS.HLS.toLowerCase()) {
+            return true;
+        }
+
+        try {
+            const tokenContract = new ethers.Contract(tokenAddress, this.erc20Abi, this.wallet);
+            const allowance = await tokenContract.allowance(this.wallet.address, this.config.bridgeContract);
+
+            if (BigInt(allowance) >= BigInt(amount)) {
+                Helpers.log('Token allowance sufficient', 'INFO');
+                return true;
+            }
+
+            Helpers.log('Approving token for the bridge...', 'INFO');
+            const result = await this.transactionService.execute(
+                this.wallet,
+                await tokenContract.approve.populateTransaction(this.config.bridgeContract, amount),
+                {
+                    label: 'Token approval',
+                    prerequisite: true,
+                    intent: { token: tokenAddress, spender: this.config.bridgeContract, amount }
+                }
+            );
+
+            if (!result.success) {
+                throw new Error(`Token approval failed: ${result.error}`);
+            }
+
+            if (result.dryRun) {
+                Helpers.log('⚠️ [DRY RUN] Allowance not set - bridge simulation may revert', 'WARNING');
+                return false;
+            }
+
+            Helpers.log('Token approval successful', 'SUCCESS');
+            return true;
+        } catch (error) {
+            Helpers.log('Failed to approve token', error, 'ERROR');
+            throw error;
+        }
+    }
+
     /**
      * Execute bridge transaction
      * @param {object} params - Bridge parameters
@@ -83,6 +164,19 @@ class BridgeService {
                 throw new Error(`Unsupported destination chain: ${destChainId}`);
             }
 
+            const { symbol, decimals } = await this.getTokenInfo(tokenAddress);
+            const total = BigInt(amountWei) + BigInt(feeOrGas);
+
+            // The bridge fee is paid in the bridged token on top of the amount
+            if (tokenAddress.toLowerCase() !== TOKEN_ADDRESS.HLS.toLowerCase()) {
+                const balance = await new ethers.Contract(tokenAddress, this.erc20Abi, this.provider).balanceOf(this.wallet.address);
+                if (BigInt(balance) < total) {
+                    throw new Error(`Insufficient ${symbol} balance: ${ethers.formatUnits(balance, decimals)} < ${ethers.formatUnits(total, decimals)} (amount + fee)`);
+                }
+            }
+
+            await this.checkAndApproveToken(tokenAddress, total.toString());
+
             // Build calldata
             const calldata = BridgeCalldataBuilder.buildBridgeCalldata(
                 destChainId,
@@ -92,42 +186,39 @@ class BridgeService {
                 extraString
             );
 
-            // Estimate gas if not provided
-            let estimatedGas = gasLimit;
-            try {
-                estimatedGas = await this.provider.estimateGas({
-                    from: this.wallet.address,
-                    to: this.config.bridgeContract,
-                    data: calldata
-                });
-                estimatedGas = estimatedGas * 120n / 100n; // Add 20% buffer
-            } catch (error) {
-                Helpers.log('Gas estimation failed, using default', 'WARNING');
-            }
+            Helpers.log(`🌉 Bridging ${ethers.formatUnits(amountWei, decimals)} ${symbol} to chain ${destChainId}`, 'INFO');
 
-            // Send transaction
-            Helpers.log(`🌉 Bridging ${Helpers.weiToEth(amountWei)} tokens to chain ${destChainId}`, 'INFO');
-            
-            const nonce = await this.provider.getTransactionCount(this.wallet.address);
-            const tx = await this.wallet.sendTransaction({
+            const result = await this.transactionService.execute(this.wallet, {
                 to: this.config.bridgeContract,
-                data: calldata,
-                gasLimit: estimatedGas,
-                nonce: nonce
+                data: calldata
+            }, {
+                label: 'Bridge',
+                fallbackGasLimit: gasLimit,
+                intent: {
+                    destChainId,
+                    tokenAddress,
+                    amount: `${ethers.formatUnits(amountWei, decimals)} ${symbol}`,
+                    recipient: extraString
+                }
             });
 
-            Helpers.log(`📨 Bridge transaction sent: ${tx.hash}`, 'SUCCESS');
-            
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            Helpers.log(`✅ Bridge confirmed at block: ${receipt.blockNumber}`, 'SUCCESS');
+            if (result.success && !result.dryRun) {
+                await this.bridgeTracker.record(this.wallet.address, {
+                    txHash: result.txHash,
+                    destChainId,
+                    recipient: extraString,
+                    amount: amountWei,
+                    symbol,
+                    decimals
+                });
+            }
 
             return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
+                ...result,
                 destChainId,
+                tokenAddress,
+                symbol,
+                decimals,
                 amount: amountWei
             };
 
@@ -209,7 +300,7 @@ class BridgeService {
 
             return {
                 estimatedGas: estimatedGas.toString(),
-                recommendedGas: (estimatedGas * 120n / 100n).toString(), // 20% buffer
+                recommendedGas: TransactionService.applyGasBuffer(estimatedGas).toString(),
                 gasPrice: (await this.provider.getFeeData()).gasPrice?.toString() || '0'
             };
 
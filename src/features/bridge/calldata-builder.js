@@ -1,11 +1,10 @@
 /**
  * Bridge Calldata Builder
- * Handles manual calldata construction for bridge transactions without ABI
+ * Thin wrapper around the bridge precompile ABI (sendToChain)
  */
 
-const { ethers } = require('ethers');
 const { Helpers } = require('../../utils/helpers');
-const { EncodingUtils } = require('../../utils/encoding');
+const { PrecompileRegistry } = require('../../core/precompile-registry');
 
 class BridgeCalldataBuilder {
 
@@ -20,28 +19,13 @@ class BridgeCalldataBuilder {
      */
     static buildBridgeCalldata(destChainId, tokenAddress, amountWei, feeOrGas, extraString) {
         try {
-            const selector = "0x7ae4a8ff";
-
-            // Static parts (6 params before dynamic data)
-            const encodedDest = EncodingUtils.encodeUint(destChainId);
-            const encodedOffset = EncodingUtils.encodeUint(0xa0);
-            const encodedToken = EncodingUtils.encodeAddress(tokenAddress);
-            const encodedAmount = EncodingUtils.encodeUint(amountWei);
-            const encodedFee = EncodingUtils.encodeUint(feeOrGas);
-
-            // Dynamic part: string (hex of address in format: "0x....")
-            const encodedExtra = EncodingUtils.encodeString(extraString);
-            const encodedLength = encodedExtra.lengthHex;
-            const encodedData = encodedExtra.paddedData;
-
-            const calldata = selector +
-                encodedDest +
-                encodedOffset +
-                encodedToken +
-                encodedAmount +
-                encodedFee +
-                encodedLength +
-                encodedData;
+            const calldata = PrecompileRegistry.encode('bridge', 'sendToChain', [
+                destChainId,
+                extraString,
+                tokenAddress,
+                amountWei,
+                feeOrGas
+            ]);
 
             Helpers.log(`🔧 Built bridge calldata for chain ${destChainId}`, 'INFO');
             return calldata;
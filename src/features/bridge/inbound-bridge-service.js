@@ -0,0 +1,289 @@
+/**
+ * Inbound Bridge Service
+ * Brings wrapped Helios tokens back from the external chains to Helios
+ *
+ * The wallet signs with the same key on the source chain and calls that chain's Hyperion contract
+ * (supportedChains[chainId].inbound.hyperionContract) after approving the token to it.
+ * Gas is paid in the source chain's native coin, within the chain's inbound gas settings (speed-ups and cancels included).
+ * Sent bridges are tracked until they arrive on Helios.
+ */
+
+const { ethers } = require('ethers');
+const { BRIDGE_CONFIGS } = require('../../config/bridge-config');
+const { Helpers } = require('../../utils/helpers');
+const { NetworkUtils } = require('../../utils/network');
+const { TransactionService } = require('../../services/transaction-service');
+
+const HYPERION_ABI = [
+    'function sendToHelios(address _tokenContract, bytes32 _destination, uint256 _amount, string _data)'
+];
+
+class InboundBridgeService {
+    /**
+     * @param {BridgeTracker} bridgeTracker - Tracker the inbound bridges are recorded in
+     * @param {object} config - Bridge config (default: helios-testnet)
+     */
+    constructor(bridgeTracker, config = BRIDGE_CONFIGS['helios-testnet']) {
+        this.bridgeTracker = bridgeTracker;
+        this.config = config;
+        // Source chain ID -> { provider, transactionService }
+        this.chains = new Map();
+        this.erc20Abi = [
+            "function allowance(address owner, address spender) view returns (uint256)",
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function balanceOf(address owner) view returns (uint256)",
+            "function decimals() view returns (uint8)"
+        ];
+    }
+
+    /**
+     * Get the chains with an inbound bridge configured
+     * @param {object} config - Bridge config (default: helios-testnet)
+     * @returns {number[]} Source chain IDs
+     */
+    static getConfiguredChains(config = BRIDGE_CONFIGS['helios-testnet']) {
+        return Object.entries(config.supportedChains)
+            .filter(([, chain]) => chain.inbound?.hyperionContract)
+            .map(([chainId]) => Number(chainId));
+    }
+
+    /**
+     * Get the config of a source chain
+     * @param {number} chainId - Source chain ID
+     * @returns {object} Chain config with inbound settings
+     */
+    getChain(chainId) {
+        const chain = this.config.supportedChains[chainId];
+
+        if (!chain) {
+            throw new Error(`Unsupported source chain: ${chainId}`);
+        }
+        if (!chain.inbound?.hyperionContract) {
+            throw new Error(`No inbound bridge configured for ${chain.name} (supportedChains[${chainId}].inbound.hyperionContract)`);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Connect the wallet on a source chain
+     * @param {string} privateKey - Wallet private key
+     * @param {number} chainId - Source chain ID
+     * @returns {object} Wallet instance and the chain's transaction service ({ wallet, transactionService })
+     */
+    connectWallet(privateKey, chainId) {
+        if (!this.chains.has(chainId)) {
+            const chain = this.getChain(chainId);
+            const provider = NetworkUtils.createProvider(chain.rpc, chainId, chain.name);
+            this.chains.set(chainId, { provider, transactionService: new TransactionService(provider, chainId) });
+        }
+
+        const { provider, transactionService } = this.chains.get(chainId);
+        return { wallet: Helpers.createWallet(privateKey, provider), transactionService };
+    }
+
+    /**
+     * Get the configured fee caps of a source chain in wei
+     * @param {object} chain - Chain config
+     * @returns {object} Fee caps ({ maxFeePerGas, maxPriorityFeePerGas }, null when not capped)
+     */
+    getFeeCaps(chain) {
+        const { maxFeePerGasGwei, maxPriorityFeePerGasGwei } = chain.inbound;
+        return {
+            maxFeePerGas: maxFeePerGasGwei != null ? ethers.parseUnits(String(maxFeePerGasGwei), 'gwei') : null,
+            maxPriorityFeePerGas: maxPriorityFeePerGasGwei != null ? ethers.parseUnits(String(maxPriorityFeePerGasGwei), 'gwei') : null
+        };
+    }
+
+    /**
+     * Get the fee fields of a source chain transaction within its configured caps
+     * @param {object} provider - Source chain provider
+     * @param {object} chain - Chain config
+     * @returns {Promise<object>} Fee fields ({ maxFeePerGas, maxPriorityFeePerGas } or { gasPrice })
+     */
+    async getFeeFields(provider, chain) {
+        const caps = this.getFeeCaps(chain);
+        const cap = caps.maxFeePerGas;
+        const feeData = await provider.getFeeData();
+
+        if (feeData.maxFeePerGas != null) {
+            const maxFeePerGas = cap ?? feeData.maxFeePerGas;
+            const priorityFee = caps.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+
+            return {
+                maxFeePerGas,
+                maxPriorityFeePerGas: priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee
+            };
+        }
+
+        // Legacy gas price: a price above the cap would be underpriced, so the bridge waits for a later cycle
+        if (cap !== null && feeData.gasPrice > cap) {
+            throw new Error(`Gas price on ${chain.name} is ${ethers.formatUnits(feeData.gasPrice, 'gwei')} gwei, above the ${chain.inbound.maxFeePerGasGwei} gwei cap`);
+        }
+
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Get the gas limit of the token approval the bridge needs first
+     * @param {object} wallet - Source chain wallet
+     * @param {TransactionService} transactionService - Source chain transaction service
+     * @param {object} chain - Chain config
+     * @param {string} tokenAddress - Token address on the source chain
+     * @param {bigint} amount - Amount in token base units
+     * @returns {Promise<bigint>} Gas limit of the approval, 0 when the allowance is sufficient
+     */
+    async getApprovalGas(wallet, transactionService, chain, tokenAddress, amount) {
+        const spender = chain.inbound.hyperionContract;
+        const tokenContract = new ethers.Contract(tokenAddress, this.erc20Abi, wallet);
+
+        if (BigInt(await tokenContract.allowance(wallet.address, spender)) >= amount) {
+            return 0n;
+        }
+
+        // Same gas limit policy execute() applies to the approval
+        return await transactionService.getGasLimit(wallet, await tokenContract.approve.populateTransaction(spender, amount));
+    }
+
+    /**
+     * Check and approve the Hyperion contract allowance of the source token
+     * @param {object} wallet - Source chain wallet
+     * @param {TransactionService} transactionService - Source chain transaction service
+     * @param {object} chain - Chain config
+     * @param {string} tokenAddress - Token address on the source chain
+     * @param {bigint} amount - Amount in token base units
+     * @param {object} fees - Fee fields
+     * @returns {Promise<boolean>} True when the allowance is in place
+     */
+    async checkAndApproveToken(wallet, transactionService, chain, tokenAddress, amount, fees) {
+        const spender = chain.inbound.hyperionContract;
+        const tokenContract = new ethers.Contract(tokenAddress, this.erc20Abi, wallet);
+        const allowance = await tokenContract.allowance(wallet.address, spender);
+
+        if (BigInt(allowance) >= amount) {
+            Helpers.log('Token allowance sufficient', 'INFO');
+            return true;
+        }
+
+        Helpers.log(`Approving token for the ${chain.name} Hyperion contract...`, 'INFO');
+        const result = await transactionService.execute(
+            wallet,
+            { ...await tokenContract.approve.populateTransaction(spender, amount), ...fees },
+            {
+                label: `Token approval (${chain.name})`,
+                prerequisite: true,
+                feeCaps: this.getFeeCaps(chain),
+                intent: { token: tokenAddress, spender, amount: amount.toString() }
+            }
+        );
+
+        if (!result.success) {
+            throw new Error(`Token approval failed: ${result.error}`);
+        }
+
+        if (result.dryRun) {
+            Helpers.log('⚠️ [DRY RUN] Allowance not set - bridge simulation may revert', 'WARNING');
+            return false;
+        }
+
+        Helpers.log('Token approval successful', 'SUCCESS');
+        return true;
+    }
+
+    /**
+     * Bridge a token from a source chain back to the same address on Helios
+     * @param {string} privateKey - Wallet private key
+     * @param {number} sourceChainId - Source chain ID
+     * @param {string} symbol - Token symbol from the chain's tokens (default: HLS)
+     * @param {number|null} amount - Amount in token units (null: the whole balance, skipped below inbound.minAmount)
+     * @returns {Promise<object>} Transaction result with { sourceChainId, destChainId, tokenAddress, symbol, decimals, amount }
+     */
+    async bridgeToHelios(privateKey, sourceChainId, symbol = 'HLS', amount = null) {
+        try {
+            const chainId = Number(sourceChainId);
+            const chain = this.getChain(chainId);
+            const tokenAddress = chain.tokens?.[symbol];
+
+            if (!tokenAddress) {
+                throw new Error(`No ${symbol} token configured on ${chain.name} (supportedChains[${chainId}].tokens.${symbol})`);
+            }
+
+            const { wallet, transactionService } = this.connectWallet(privateKey, chainId);
+            const token = new ethers.Contract(tokenAddress, this.erc20Abi, wallet);
+            const [balance, decimals] = await Promise.all([token.balanceOf(wallet.address), token.decimals().then(Number)]);
+            const amountWei = amount === null ? BigInt(balance) : ethers.parseUnits(String(amount), decimals);
+
+            if (amount === null && amountWei < ethers.parseUnits(String(chain.inbound.minAmount), decimals)) {
+                return {
+                    success: false,
+                    skipped: true,
+                    skipReason: `${ethers.formatUnits(amountWei, decimals)} ${symbol} on ${chain.name} is below the ${chain.inbound.minAmount} ${symbol} minimum`
+                };
+            }
+
+            if (BigInt(balance) < amountWei) {
+                throw new Error(`Insufficient ${symbol} balance on ${chain.name}: ${ethers.formatUnits(balance, decimals)} < ${ethers.formatUnits(amountWei, decimals)}`);
+            }
+
+            const fees = await this.getFeeFields(wallet.provider, chain);
+            const gasBalance = await wallet.provider.getBalance(wallet.address);
+            const approvalGas = await this.getApprovalGas(wallet, transactionService, chain, tokenAddress, amountWei);
+            const gasCost = (BigInt(chain.inbound.gasLimit) + approvalGas) * (fees.maxFeePerGas ?? fees.gasPrice);
+            if (gasBalance < gasCost) {
+                throw new Error(`Not enough native coin for gas on ${chain.name}: ${ethers.formatEther(gasBalance)} < ${ethers.formatEther(gasCost)}`);
+            }
+
+            await this.checkAndApproveToken(wallet, transactionService, chain, tokenAddress, amountWei, fees);
+
+            const hyperion = new ethers.Contract(chain.inbound.hyperionContract, HYPERION_ABI, wallet);
+            const destination = ethers.zeroPadValue(wallet.address, 32);
+
+            Helpers.log(`🌉 Bridging ${ethers.formatUnits(amountWei, decimals)} ${symbol} from ${chain.name} back to ${this.config.name}`, 'INFO');
+
+            const result = await transactionService.execute(wallet, {
+                ...await hyperion.sendToHelios.populateTransaction(tokenAddress, destination, amountWei, ''),
+                ...fees
+            }, {
+                label: `Inbound bridge (${chain.name})`,
+                fallbackGasLimit: chain.inbound.gasLimit,
+                feeCaps: this.getFeeCaps(chain),
+                intent: {
+                    sourceChainId: chainId,
+                    tokenAddress,
+                    amount: `${ethers.formatUnits(amountWei, decimals)} ${symbol}`,
+                    recipient: wallet.address
+                }
+            });
+
+            if (result.success && !result.dryRun) {
+                await this.bridgeTracker.record(wallet.address, {
+                    txHash: result.txHash,
+                    sourceChainId: chainId,
+                    destChainId: this.config.chainId,
+                    recipient: wallet.address,
+                    amount: amountWei,
+                    symbol,
+                    decimals
+                });
+            }
+
+            return {
+                ...result,
+                sourceChainId: chainId,
+                destChainId: this.config.chainId,
+                tokenAddress,
+                symbol,
+                decimals,
+                amount: amountWei.toString()
+            };
+        } catch (error) {
+            Helpers.log('Inbound bridge transaction failed', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message
+            };
+        }
+    }
+}
+
+module.exports = { InboundBridgeService };
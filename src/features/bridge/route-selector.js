@@ -0,0 +1,107 @@
+/**
+ * Bridge Route Selector
+ * Picks the bridge route (destination chain, token, amount range, fee) for a cycle
+ *
+ * Selections:
+ * - weighted: Random route, proportional to its weight
+ * - rotate: Routes in order, one per cycle
+ * Routes with weight 0 are never picked.
+ */
+
+const { ethers } = require('ethers');
+const { BRIDGE_CONFIGS } = require('../../config/bridge-config');
+const { TOKEN_ADDRESS } = require('../../config/config');
+const { Helpers } = require('../../utils/helpers');
+
+const ROUTE_SELECTIONS = {
+    weighted: (routes) => {
+        const total = routes.reduce((sum, route) => sum + route.weight, 0);
+        let roll = Math.random() * total;
+
+        for (const route of routes) {
+            roll -= route.weight;
+            if (roll < 0) {
+                return route;
+            }
+        }
+        return routes[routes.length - 1];
+    },
+
+    rotate: (routes, cycleNumber) => routes[Math.max(0, cycleNumber - 1) % routes.length]
+};
+
+class BridgeRouteSelector {
+    /**
+     * @param {object} config - Bridge config (default: helios-testnet)
+     */
+    constructor(config = BRIDGE_CONFIGS['helios-testnet']) {
+        this.config = config;
+    }
+
+    /**
+     * Select the route for a cycle
+     * @param {Array<object>} routes - Routes (default: config routes)
+     * @param {string} selection - weighted or rotate (default: config routeSelection)
+     * @param {number} cycleNumber - Current cycle number (used by rotate)
+     * @returns {object} Route with resolved `tokenAddress`
+     */
+    select(routes = null, selection = null, cycleNumber = 1) {
+        const name = selection || this.config.routeSelection;
+        const select = ROUTE_SELECTIONS[name];
+        if (!select) {
+            throw new Error(`Unknown bridge route selection: ${name} (available: ${Object.keys(ROUTE_SELECTIONS).join(', ')})`);
+        }
+
+        const enabled = this.validate(routes || this.config.routes).filter(route => route.weight > 0);
+        if (enabled.length === 0) {
+            throw new Error('No enabled bridge route (every route has weight 0)');
+        }
+
+        const route = select(enabled, cycleNumber);
+        Helpers.log(`🛣️ Bridge route ${route.id} (${name}): ${route.token} → ${this.config.supportedChains[route.destChainId].name}`, 'INFO');
+        return route;
+    }
+
+    /**
+     * Validate routes and resolve their token address
+     * @param {Array<object>} routes - Routes
+     * @returns {Array<object>} Routes with `tokenAddress` and defaults applied
+     */
+    validate(routes) {
+        const errors = [];
+
+        const resolved = routes.map((route, index) => {
+            const label = `Route ${route.id || index + 1}`;
+            const tokenAddress = TOKEN_ADDRESS[route.token] || route.token;
+            const [min, max] = route.amountRange || [];
+
+            if (!this.config.supportedChains[route.destChainId]) {
+                errors.push(`${label}: unsupported destination chain ${route.destChainId}`);
+            }
+            if (!ethers.isAddress(tokenAddress)) {
+                errors.push(`${label}: unknown token ${route.token}`);
+            }
+            if (!(min > 0) || !(max >= min)) {
+                errors.push(`${label}: amountRange must be [min, max] with 0 < min <= max`);
+            }
+            if (!(route.fee >= 0)) {
+                errors.push(`${label}: fee must be >= 0`);
+            }
+
+            return {
+                ...route,
+                id: route.id || `route-${index + 1}`,
+                tokenAddress,
+                weight: route.weight ?? 1
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Bridge route validation failed:\n- ${errors.join('\n- ')}`);
+        }
+
+        return resolved;
+    }
+}
+
+module.exports = { BridgeRouteSelector, ROUTE_SELECTIONS };
@@ -1,12 +1,8 @@
-const { ethers } = require('ethers');
-const { DELEGATION_CONFIG } = require('../../config/config');
-const { EncodingUtils } = require('../../utils/encoding');
+const { PrecompileRegistry } = require('../../core/precompile-registry');
 
 class DelegationCalldataBuilder {
     constructor() {
-        this.TARGET_CONTRACT = DELEGATION_CONFIG.TARGET_CONTRACT;
-        this.DELEGATE_SELECTOR = "f5e56040";
-        this.CLAIM_SELECTOR = "2efe8a5f"; // function selector untuk claimDelegation(address,uint256)
+        this.TARGET_CONTRACT = PrecompileRegistry.getAddress('staking');
     }
 
     /**
@@ -18,40 +14,43 @@ class DelegationCalldataBuilder {
      * @returns {string} - Built calldata
      */
     buildDelegationCalldata(delegator, validator, amount, denom = "ahelios") {
-        const encodedDelegator = EncodingUtils.encodeAddress(delegator);
-        const encodedValidator = EncodingUtils.encodeAddress(validator);
-        const encodedAmount = EncodingUtils.encodeUint(amount);
-        const encodedOffset = EncodingUtils.encodeUint(128); // offset ke data dynamic (4 * 32 bytes)
-        const encodedString = EncodingUtils.encodeString(denom);
+        return PrecompileRegistry.encode('staking', 'delegate', [delegator, validator, amount, denom]);
+    }
 
-        const calldata = "0x" +
-            this.DELEGATE_SELECTOR +
-            encodedDelegator +
-            encodedValidator +
-            encodedAmount +
-            encodedOffset +
-            encodedString.lengthHex +
-            encodedString.paddedData;
+    /**
+     * Build undelegation calldata
+     * @param {string} delegator - Delegator address
+     * @param {string} validator - Validator address
+     * @param {string} amount - Amount to undelegate (in wei)
+     * @param {string} denom - Token denomination (default: ahelios)
+     * @returns {string} - Built calldata
+     */
+    buildUndelegateCalldata(delegator, validator, amount, denom = "ahelios") {
+        return PrecompileRegistry.encode('staking', 'undelegate', [delegator, validator, amount, denom]);
+    }
 
-        return calldata;
+    /**
+     * Build redelegation calldata
+     * @param {string} delegator - Delegator address
+     * @param {string} srcValidator - Validator the stake moves from
+     * @param {string} dstValidator - Validator the stake moves to
+     * @param {string} amount - Amount to redelegate (in wei)
+     * @param {string} denom - Token denomination (default: ahelios)
+     * @returns {string} - Built calldata
+     */
+    buildRedelegateCalldata(delegator, srcValidator, dstValidator, amount, denom = "ahelios") {
+        return PrecompileRegistry.encode('staking', 'redelegate', [delegator, srcValidator, dstValidator, amount, denom]);
     }
 
     /**
      * Build claim calldata
      * @param {string} delegator - Delegator address
-     * @param {string|number} claimAmountOrId - Amount or ID to claim
+     * @param {number} maxRetrieve - Number of validators to withdraw rewards from
      * @returns {string} - Built calldata
      */
-    buildClaimCalldata(delegator, claimAmountOrId) {
-        const encodedDelegator = EncodingUtils.encodeAddress(delegator);
-        const encodedAmount = EncodingUtils.encodeUint(claimAmountOrId.toString());
-
-        const calldata = "0x" +
-            this.CLAIM_SELECTOR +
-            encodedDelegator +
-            encodedAmount;
-
-        return calldata;
+    buildClaimCalldata(delegator, maxRetrieve) {
+        // Distribution precompile claimRewards(delegator, maxRetrieve)
+        return PrecompileRegistry.encode('distribution', 'claimRewards', [delegator, maxRetrieve]);
     }
 
     /**
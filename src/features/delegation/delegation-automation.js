@@ -1,6 +1,10 @@
 const { ethers } = require('ethers');
 const { DelegationService } = require('./delegation-service');
 const { ValidatorService } = require('../../services/validator-service');
+const { DelegationQueryService } = require('../../services/delegation-query-service');
+const { ValidatorSelector } = require('../../services/validator-selector');
+const { CompoundHistory } = require('../../services/compound-history');
+const { TransactionService } = require('../../services/transaction-service');
 const { DELEGATION_CONFIG, RETRY_CONFIG } = require('../../config/config');
 const { Helpers } = require('../../utils/helpers');
 const { AsyncUtils } = require('../../utils/async');
@@ -9,6 +13,9 @@ class DelegationAutomation {
     constructor() {
         this.delegationService = new DelegationService();
         this.validatorService = new ValidatorService();
+        this.queryService = new DelegationQueryService(this.validatorService, this.delegationService.unbondingTracker);
+        this.validatorSelector = new ValidatorSelector(this.validatorService);
+        this.compoundHistory = new CompoundHistory();
         this.isInitialized = false;
     }
 
@@ -174,12 +181,13 @@ class DelegationAutomation {
     }
 
     /**
-     * Delegate to random validator
+     * Delegate to a validator picked by a selection strategy
      * @param {string} privateKey - Wallet private key
      * @param {string|number} amount - Amount to delegate (optional, uses random if not provided)
-     * @returns {Promise<object>} Delegation result
+     * @param {string} strategy - Validator strategy (optional, VALIDATOR_SELECTION_CONFIG.STRATEGY if not provided)
+     * @returns {Promise<object>} Delegation result (includes the selection decision)
      */
-    async delegateToRandomValidator(privateKey, amount = null) {
+    async delegateToRandomValidator(privateKey, amount = null, strategy = null) {
         if (!this.isInitialized) {
             throw new Error('Delegation automation not initialized');
         }
@@ -190,28 +198,13 @@ class DelegationAutomation {
                     // Connect wallet
                     const address = await this.connectWallet(privateKey);
                     
-                    // Get random validator
-                    const randomValidator = await this.validatorService.getRandomValidator();
-                    
                     // Use random amount if not provided
                     if (amount === null) {
                         amount = Helpers.getRandomDelegationAmount();
                         Helpers.log(`🎲 Using random delegation amount: ${amount} HELIOS`, 'INFO');
                     }
                     
-                    // Convert amount to wei if it's in ETH format
-                    let amountWei;
-                    let amountEth;
-                    
-                    if (typeof amount === 'number' || (typeof amount === 'string' && amount.includes('.'))) {
-                        // Amount is in ETH format, convert to wei
-                        amountWei = Helpers.ethToWei(amount.toString());
-                        amountEth = parseFloat(amount);
-                    } else {
-                        // Amount is already in wei format
-                        amountWei = amount;
-                        amountEth = parseFloat(Helpers.weiToEth(amount));
-                    }
+                    const { amountWei, amountEth } = this.parseAmount(amount);
                     
                     // Check balance first
                     const balance = await this.delegationService.getBalance();
@@ -227,16 +220,31 @@ class DelegationAutomation {
                         };
                     }
 
-                    Helpers.log(`🎯 Starting delegation to ${randomValidator.moniker} (${randomValidator.validatorAddress}): ${amountEth} HELIOS`, 'SUCCESS');
+                    // Pick the validator; spread and the stake cap need the current positions
+                    const positions = await this.queryService.getPortfolio(address)
+                        .then(portfolio => portfolio.positions)
+                        .catch(error => {
+                            Helpers.log(`⚠️ Could not load current delegations, selecting without them: ${error.message}`, 'WARNING');
+                            return [];
+                        });
+                    const selection = await this.validatorSelector.select(strategy, { amountWei, positions });
+                    const selectedValidator = selection.validator;
+
+                    Helpers.log(`🎯 Starting delegation to ${selectedValidator.moniker} (${selectedValidator.validatorAddress}): ${amountEth} HELIOS`, 'SUCCESS');
 
                     // Execute delegation
-                    const result = await this.delegationService.delegate(randomValidator.validatorAddress, amountWei);
+                    const result = await this.delegationService.delegate(selectedValidator.validatorAddress, amountWei);
+                    result.selection = {
+                        strategy: selection.strategy,
+                        candidates: selection.candidates,
+                        metadata: selection.metadata
+                    };
                     
                     if (result.success) {
-                        Helpers.log(`✅ Delegation to ${randomValidator.moniker} successful! Tx: ${result.txHash}`, 'SUCCESS');
-                        result.validator = randomValidator;
+                        Helpers.log(`✅ Delegation to ${selectedValidator.moniker} successful! Tx: ${result.txHash}`, 'SUCCESS');
+                        result.validator = selectedValidator;
                     } else {
-                        Helpers.log(`❌ Delegation to ${randomValidator.moniker} failed: ${result.error}`, 'ERROR');
+                        Helpers.log(`❌ Delegation to ${selectedValidator.moniker} failed: ${result.error}`, 'ERROR');
                     }
 
                     return result;
@@ -292,6 +300,388 @@ class DelegationAutomation {
         }
     }
 
+    /**
+     * Claim rewards when the delegator's pending rewards are worth it
+     * Skips (with skipReason) when there is nothing to claim, the rewards are below minReward
+     * or they would not cover the claim's gas
+     * @param {string} privateKey - Wallet private key
+     * @param {string|number} minReward - Minimum pending rewards in HLS (optional, DELEGATION_CONFIG.MIN_CLAIM_REWARD)
+     * @returns {Promise<object>} Claim result ({ success, claimedAmount, pendingRewards, rewardValidators, ... } or { skipped, skipReason })
+     */
+    async claimPendingRewards(privateKey, minReward = null) {
+        if (!this.isInitialized) {
+            throw new Error('Delegation automation not initialized');
+        }
+
+        try {
+            const address = await this.connectWallet(privateKey);
+            const portfolio = await this.queryService.getPortfolio(address);
+            const rewardPositions = portfolio.positions.filter(position => BigInt(position.rewards) > 0n);
+            const pendingRewards = BigInt(portfolio.totals.rewards);
+            const threshold = BigInt(Helpers.ethToWei(String(minReward ?? DELEGATION_CONFIG.MIN_CLAIM_REWARD)));
+
+            const skip = (skipReason) => ({ success: false, skipped: true, skipReason, pendingRewards: pendingRewards.toString() });
+
+            if (portfolio.positions.length === 0) {
+                return skip('No delegations');
+            }
+
+            if (rewardPositions.length === 0) {
+                return skip('No pending rewards');
+            }
+
+            if (pendingRewards < threshold) {
+                return skip(`Pending rewards ${Helpers.weiToEth(pendingRewards)} HLS below threshold ${Helpers.weiToEth(threshold)} HLS`);
+            }
+
+            // One entry per validator holding rewards
+            const maxRetrieve = rewardPositions.length;
+            const claimFee = await this.delegationService.estimateClaimFee(maxRetrieve);
+
+            if (pendingRewards <= claimFee) {
+                return skip(`Pending rewards ${Helpers.weiToEth(pendingRewards)} HLS do not cover the claim gas (~${Helpers.weiToEth(claimFee)} HLS)`);
+            }
+
+            Helpers.log(`🎁 Claiming ${Helpers.weiToEth(pendingRewards)} HLS pending rewards from ${maxRetrieve} validator(s)`, 'INFO');
+
+            const result = await this.claimReward(privateKey, maxRetrieve);
+
+            return {
+                ...result,
+                pendingRewards: pendingRewards.toString(),
+                rewardValidators: [...rewardPositions]
+                    .sort((a, b) => {
+                        const diff = BigInt(b.rewards) - BigInt(a.rewards);
+                        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+                    })
+                    .map(position => position.validator),
+                // Fall back to the queried amount when the precompile emitted no ClaimRewards event
+                claimedAmount: result.claimedAmount ?? (result.success ? pendingRewards.toString() : null),
+                claimedAmountEstimated: result.success && result.claimedAmount == null
+            };
+        } catch (error) {
+            Helpers.log('❌ Claim pending rewards failed', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Claim rewards and delegate what they added to the balance (minus a gas reserve)
+     * @param {string} privateKey - Wallet private key
+     * @param {object} options - Options ({ minReward, minCompound, gasReserve, strategy, validator })
+     *   minCompound / gasReserve in HLS (defaults from DELEGATION_CONFIG);
+     *   validator: explicit target, strategy: pick the target with ValidatorSelector,
+     *   neither: the validator that held the most rewards
+     * @returns {Promise<object>} Claim result with `compound` ({ status, compounded, validator, delegateTxHash, reason })
+     */
+    async compoundRewards(privateKey, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Delegation automation not initialized');
+        }
+
+        let minCompound, gasReserve, address, balanceBefore;
+
+        try {
+            minCompound = BigInt(Helpers.ethToWei(String(options.minCompound ?? DELEGATION_CONFIG.MIN_COMPOUND_AMOUNT)));
+            gasReserve = BigInt(Helpers.ethToWei(String(options.gasReserve ?? DELEGATION_CONFIG.COMPOUND_GAS_RESERVE)));
+            address = await this.connectWallet(privateKey);
+            balanceBefore = BigInt(await this.delegationService.getBalance());
+        } catch (error) {
+            Helpers.log('❌ Auto-compound failed before the claim', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+
+        const claim = await this.claimPendingRewards(privateKey, options.minReward ?? null);
+
+        if (!claim.success) {
+            return claim;
+        }
+
+        const finish = (compound) => {
+            const event = this.compoundHistory.record(address, {
+                claimTxHash: claim.txHash,
+                claimed: claim.claimedAmount,
+                ...compound
+            });
+            Helpers.log(`🔁 Auto-compound ${event.status}${event.reason ? `: ${event.reason}` : ''}`, event.status === 'failed' ? 'WARNING' : 'INFO');
+            return { ...claim, compound: event };
+        };
+
+        if (claim.dryRun || TransactionService.isDryRun()) {
+            return finish({ status: 'skipped', reason: 'Dry run - the claim did not change the balance' });
+        }
+
+        // The claim receipt is in (execute waits for it), so the delta is what the rewards added net of claim gas
+        let balanceAfter;
+        try {
+            balanceAfter = BigInt(await this.delegationService.getBalance());
+        } catch (error) {
+            return finish({
+                status: 'failed',
+                compounded: '0',
+                reason: `Could not read the balance after the claim: ${error?.shortMessage || error.message || error}`
+            });
+        }
+
+        const delta = balanceAfter - balanceBefore;
+        const compoundAmount = delta - gasReserve;
+
+        if (compoundAmount < minCompound) {
+            return finish({
+                status: 'skipped',
+                balanceDelta: delta.toString(),
+                reason: `Balance delta ${Helpers.weiToEth(delta)} HLS minus gas reserve ${Helpers.weiToEth(gasReserve)} HLS is below the minimum ${Helpers.weiToEth(minCompound)} HLS`
+            });
+        }
+
+        try {
+            let validator = options.validator || null;
+            let strategy = null;
+
+            if (!validator && options.strategy) {
+                const positions = await this.queryService.getPortfolio(address).then(portfolio => portfolio.positions).catch(() => []);
+                const selection = await this.validatorSelector.select(options.strategy, { amountWei: compoundAmount, positions });
+                validator = selection.validator.validatorAddress;
+                strategy = selection.strategy;
+            }
+
+            validator = validator || claim.rewardValidators?.[0] || DELEGATION_CONFIG.DEFAULT_VALIDATOR;
+
+            Helpers.log(`🔁 Compounding ${Helpers.weiToEth(compoundAmount)} HLS into ${validator}`, 'INFO');
+
+            const delegation = await this.customDelegate(privateKey, validator, compoundAmount.toString());
+
+            return finish({
+                status: delegation.success ? 'compounded' : 'failed',
+                balanceDelta: delta.toString(),
+                compounded: delegation.success ? compoundAmount.toString() : '0',
+                validator,
+                strategy,
+                delegateTxHash: delegation.txHash || null,
+                reason: delegation.success ? null : (delegation.reason || delegation.error)
+            });
+        } catch (error) {
+            return finish({
+                status: 'failed',
+                balanceDelta: delta.toString(),
+                compounded: '0',
+                reason: error?.shortMessage || error.message || error
+            });
+        }
+    }
+
+    /**
+     * Get auto-compound history
+     * @param {string} privateKey - Wallet private key
+     * @param {number} limit - Maximum events (default: 20)
+     * @returns {Promise<object>} History ({ totalCompounded, events })
+     */
+    async getCompoundHistory(privateKey, limit = 20) {
+        const address = await this.connectWallet(privateKey);
+
+        return {
+            totalCompounded: this.compoundHistory.getTotalCompounded(address).toString(),
+            events: this.compoundHistory.getHistory(address, limit)
+        };
+    }
+
+    /**
+     * Pick the delegation an undelegation or redelegation takes stake from
+     * @param {string} address - Delegator address
+     * @param {string|null} validator - Validator to take from (null: a random validator the wallet delegates to)
+     * @param {string|number|null} amount - Requested amount (null: DELEGATION_CONFIG.DEFAULT_AMOUNT), capped at the delegation
+     * @returns {Promise<object>} Source ({ position, amountWei, amountEth }) or { skipReason } when there is no such delegation
+     */
+    async getStakeSource(address, validator, amount) {
+        const portfolio = await this.queryService.getPortfolio(address);
+        const positions = portfolio.positions.filter(position =>
+            BigInt(position.amount) > 0n && (!validator || position.validator.toLowerCase() === validator.toLowerCase())
+        );
+
+        if (positions.length === 0) {
+            return { skipReason: validator ? `No delegation on validator ${validator}` : 'No delegations' };
+        }
+
+        const position = positions[Math.floor(Math.random() * positions.length)];
+        const requested = this.parseAmount(amount || DELEGATION_CONFIG.DEFAULT_AMOUNT);
+
+        if (BigInt(requested.amountWei) <= BigInt(position.amount)) {
+            return { position, ...requested };
+        }
+
+        Helpers.log(`⚠️ Only ${Helpers.weiToEth(position.amount)} HELIOS delegated to ${position.moniker || position.validator} - using that instead of ${requested.amountEth}`, 'WARNING');
+        return { position, amountWei: BigInt(position.amount), amountEth: parseFloat(Helpers.weiToEth(position.amount)) };
+    }
+
+    /**
+     * Undelegate tokens from validator
+     * Skipped (with skipReason) when the wallet has no delegation to take from
+     * @param {string} privateKey - Wallet private key
+     * @param {string} validator - Validator address (optional, a random validator the wallet delegates to)
+     * @param {string|number} amount - Amount to undelegate (optional, uses default if not provided; capped at the delegation)
+     * @returns {Promise<object>} Undelegation result
+     */
+    async undelegate(privateKey, validator = null, amount = null) {
+        if (!this.isInitialized) {
+            throw new Error('Delegation automation not initialized');
+        }
+
+        try {
+            return await AsyncUtils.retry(
+                async () => {
+                    // Connect wallet
+                    const address = await this.connectWallet(privateKey);
+
+                    const source = await this.getStakeSource(address, validator, amount);
+                    if (source.skipReason) {
+                        return { success: false, skipped: true, skipReason: source.skipReason };
+                    }
+
+                    const sourceValidator = source.position.validator;
+                    const { amountWei, amountEth } = source;
+
+                    Helpers.log(`🎯 Starting undelegation: ${amountEth} HELIOS from validator ${sourceValidator}`, 'SUCCESS');
+
+                    // Execute undelegation
+                    const result = await this.delegationService.undelegate(sourceValidator, amountWei);
+
+                    if (result.success) {
+                        Helpers.log(`✅ Undelegation successful! Tx: ${result.txHash}`, 'SUCCESS');
+                    } else {
+                        Helpers.log(`❌ Undelegation failed: ${result.error}`, 'ERROR');
+                    }
+
+                    return result;
+                },
+                RETRY_CONFIG.DELEGATION_MAX_ATTEMPTS,
+                RETRY_CONFIG.DELEGATION_DELAY
+            );
+        } catch (error) {
+            Helpers.log('❌ Undelegation failed after retries', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Move stake from one validator to another
+     * Skipped (with skipReason) when the wallet has no delegation to take from
+     * @param {string} privateKey - Wallet private key
+     * @param {string} srcValidator - Validator the stake moves from (optional, a random validator the wallet delegates to)
+     * @param {string} dstValidator - Validator the stake moves to (optional, random active validator if not provided)
+     * @param {string|number} amount - Amount to redelegate (optional, uses default if not provided; capped at the delegation)
+     * @returns {Promise<object>} Redelegation result
+     */
+    async redelegate(privateKey, srcValidator = null, dstValidator = null, amount = null) {
+        if (!this.isInitialized) {
+            throw new Error('Delegation automation not initialized');
+        }
+
+        try {
+            return await AsyncUtils.retry(
+                async () => {
+                    // Connect wallet
+                    const address = await this.connectWallet(privateKey);
+
+                    const source = await this.getStakeSource(address, srcValidator, amount);
+                    if (source.skipReason) {
+                        return { success: false, skipped: true, skipReason: source.skipReason };
+                    }
+
+                    const sourceValidator = source.position.validator;
+                    const { amountWei, amountEth } = source;
+                    let targetValidator = dstValidator;
+
+                    if (!targetValidator) {
+                        const activeValidators = (await this.validatorService.getActiveValidators())
+                            .filter(v => v.validatorAddress.toLowerCase() !== sourceValidator.toLowerCase());
+
+                        if (activeValidators.length === 0) {
+                            return { success: false, reason: 'No other active validator to redelegate to' };
+                        }
+
+                        targetValidator = activeValidators[Math.floor(Math.random() * activeValidators.length)].validatorAddress;
+                    }
+
+                    if (targetValidator.toLowerCase() === sourceValidator.toLowerCase()) {
+                        return { success: false, reason: 'Source and destination validator are the same' };
+                    }
+
+                    Helpers.log(`🎯 Starting redelegation: ${amountEth} HELIOS from ${sourceValidator} to ${targetValidator}`, 'SUCCESS');
+
+                    // Execute redelegation
+                    const result = await this.delegationService.redelegate(sourceValidator, targetValidator, amountWei);
+
+                    if (result.success) {
+                        Helpers.log(`✅ Redelegation successful! Tx: ${result.txHash}`, 'SUCCESS');
+                    } else {
+                        Helpers.log(`❌ Redelegation failed: ${result.error}`, 'ERROR');
+                    }
+
+                    return result;
+                },
+                RETRY_CONFIG.DELEGATION_MAX_ATTEMPTS,
+                RETRY_CONFIG.DELEGATION_DELAY
+            );
+        } catch (error) {
+            Helpers.log('❌ Redelegation failed after retries', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Get tracked unbonding and redelegation entries
+     * @param {string} privateKey - Wallet private key
+     * @returns {Promise<object>} Entries ({ pending, completed, unbondingAmount })
+     */
+    async getUnbondingEntries(privateKey) {
+        if (!this.isInitialized) {
+            throw new Error('Delegation automation not initialized');
+        }
+
+        await this.connectWallet(privateKey);
+        return this.delegationService.getUnbondingEntries();
+    }
+
+    /**
+     * Get the delegation portfolio of an address
+     * @param {string} address - Delegator address
+     * @returns {Promise<object>} Portfolio ({ delegator, positions, unbonding, totals, updatedAt })
+     */
+    async getPortfolio(address) {
+        if (!this.isInitialized) {
+            throw new Error('Delegation automation not initialized');
+        }
+
+        return await this.queryService.getPortfolio(address);
+    }
+
+    /**
+     * Convert an amount given in HELIOS (number or decimal string) or wei (integer string)
+     * @param {string|number} amount - Amount
+     * @returns {object} Amounts ({ amountWei, amountEth })
+     */
+    parseAmount(amount) {
+        if (typeof amount === 'number' || (typeof amount === 'string' && amount.includes('.'))) {
+            // Amount is in ETH format, convert to wei
+            return { amountWei: Helpers.ethToWei(amount.toString()), amountEth: parseFloat(amount) };
+        }
+
+        // Amount is already in wei format
+        return { amountWei: amount, amountEth: parseFloat(Helpers.weiToEth(amount)) };
+    }
+
     /**
      * Get delegation service instance
      * @returns {DelegationService} - Delegation service instance
@@ -1,8 +1,11 @@
 const { ethers } = require('ethers');
 const { DelegationCalldataBuilder } = require('./calldata-builder');
+const { PrecompileRegistry } = require('../../core/precompile-registry');
 const { NetworkConfig } = require('../../config/network');
 const { DELEGATION_CONFIG } = require('../../config/config');
 const { Helpers } = require('../../utils/helpers');
+const { TransactionService } = require('../../services/transaction-service');
+const { UnbondingTracker } = require('../../services/unbonding-tracker');
 
 class DelegationService {
     constructor() {
@@ -10,6 +13,8 @@ class DelegationService {
         this.networkConfig = new NetworkConfig();
         this.provider = null;
         this.wallet = null;
+        this.transactionService = null;
+        this.unbondingTracker = new UnbondingTracker();
         this.isInitialized = false;
     }
 
@@ -19,6 +24,7 @@ class DelegationService {
     async initialize() {
         try {
             this.provider = this.networkConfig.getProvider();
+            this.transactionService = new TransactionService(this.provider);
             await this.networkConfig.validateConnection();
             this.isInitialized = true;
         } catch (error) {
@@ -73,25 +79,21 @@ class DelegationService {
 
             Helpers.log(`📦 Building delegation calldata for ${Helpers.weiToEth(amount)} HELIOS`, 'SUCCESS');
 
-            const nonce = await this.provider.getTransactionCount(this.wallet.address);
-            // Send transaction
-            const tx = await this.wallet.sendTransaction({
+            const result = await this.transactionService.execute(this.wallet, {
                 to: targetContract,
-                data: calldata,
-                gasLimit: DELEGATION_CONFIG.GAS_LIMIT,
-                nonce: nonce
+                data: calldata
+            }, {
+                label: 'Delegation',
+                fallbackGasLimit: DELEGATION_CONFIG.GAS_LIMIT,
+                intent: {
+                    validator,
+                    amount: `${Helpers.weiToEth(amount)} HELIOS`,
+                    denom
+                }
             });
 
-            Helpers.log(`📨 Delegation transaction sent: ${tx.hash}`, 'SUCCESS');
-
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            Helpers.log(`✅ Delegation confirmed in block: ${receipt.blockNumber}`, 'SUCCESS');
-
             return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
+                ...result,
                 delegator,
                 validator,
                 amount,
@@ -107,6 +109,177 @@ class DelegationService {
         }
     }
 
+    /**
+     * Undelegate tokens from validator (starts the unbonding period)
+     * @param {string} validator - Validator address
+     * @param {string} amount - Amount to undelegate (in wei)
+     * @param {string} denom - Token denomination (default: ahelios)
+     * @returns {object} - Undelegation result (includes the tracked unbonding entry)
+     */
+    async undelegate(validator, amount, denom = "ahelios") {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        try {
+            const delegator = this.wallet.address;
+            const calldata = this.calldataBuilder.buildUndelegateCalldata(delegator, validator, amount, denom);
+
+            Helpers.log(`📦 Building undelegation calldata for ${Helpers.weiToEth(amount)} HELIOS`, 'SUCCESS');
+
+            const result = await this.transactionService.execute(this.wallet, {
+                to: this.calldataBuilder.getTargetContract(),
+                data: calldata
+            }, {
+                label: 'Undelegation',
+                fallbackGasLimit: DELEGATION_CONFIG.GAS_LIMIT,
+                intent: {
+                    validator,
+                    amount: `${Helpers.weiToEth(amount)} HELIOS`,
+                    denom
+                },
+                events: 'staking'
+            });
+
+            return {
+                ...result,
+                delegator,
+                validator,
+                amount,
+                denom,
+                unbonding: this.trackUnbonding(result, 'Unbond', { type: 'unbond', validator, amount })
+            };
+
+        } catch (error) {
+            Helpers.log('❌ Undelegation failed', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Move delegated tokens from one validator to another
+     * @param {string} srcValidator - Validator the stake moves from
+     * @param {string} dstValidator - Validator the stake moves to
+     * @param {string} amount - Amount to redelegate (in wei)
+     * @param {string} denom - Token denomination (default: ahelios)
+     * @returns {object} - Redelegation result (includes the tracked redelegation entry)
+     */
+    async redelegate(srcValidator, dstValidator, amount, denom = "ahelios") {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        try {
+            const delegator = this.wallet.address;
+            const calldata = this.calldataBuilder.buildRedelegateCalldata(delegator, srcValidator, dstValidator, amount, denom);
+
+            Helpers.log(`📦 Building redelegation calldata for ${Helpers.weiToEth(amount)} HELIOS`, 'SUCCESS');
+
+            const result = await this.transactionService.execute(this.wallet, {
+                to: this.calldataBuilder.getTargetContract(),
+                data: calldata
+            }, {
+                label: 'Redelegation',
+                fallbackGasLimit: DELEGATION_CONFIG.GAS_LIMIT,
+                intent: {
+                    srcValidator,
+                    dstValidator,
+                    amount: `${Helpers.weiToEth(amount)} HELIOS`,
+                    denom
+                },
+                events: 'staking'
+            });
+
+            return {
+                ...result,
+                delegator,
+                srcValidator,
+                dstValidator,
+                amount,
+                denom,
+                redelegation: this.trackUnbonding(result, 'Redelegate', {
+                    type: 'redelegate',
+                    validator: srcValidator,
+                    dstValidator,
+                    amount
+                })
+            };
+
+        } catch (error) {
+            Helpers.log('❌ Redelegation failed', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Record the unbonding/redelegation entry of a confirmed transaction
+     * The completion time comes from the precompile event, or UNBONDING_TIME when it emitted none
+     * @param {object} result - TransactionService.execute result
+     * @param {string} eventName - Event carrying the completion time (Unbond or Redelegate)
+     * @param {object} entry - Entry fields ({ type, validator, dstValidator, amount })
+     * @returns {object|null} Tracked entry (null when nothing was sent)
+     */
+    trackUnbonding(result, eventName, entry) {
+        if (!result.success || result.dryRun) {
+            return null;
+        }
+
+        const event = (result.events || []).find(e => e.name === eventName);
+        // Cosmos completion times are unix seconds
+        const completionTime = event
+            ? Number(event.args.completionTime) * 1000
+            : Date.now() + DELEGATION_CONFIG.UNBONDING_TIME;
+
+        return this.unbondingTracker.record(this.wallet.address, {
+            ...entry,
+            txHash: result.txHash,
+            completionTime,
+            estimated: !event
+        });
+    }
+
+    /**
+     * Estimate the fee of a reward claim
+     * @param {number} maxRetrieve - Number of validators to withdraw rewards from
+     * @returns {Promise<bigint>} Fee in wei
+     */
+    async estimateClaimFee(maxRetrieve) {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        return await this.transactionService.estimateFee(this.wallet, {
+            to: PrecompileRegistry.getAddress('distribution'),
+            data: this.calldataBuilder.buildClaimCalldata(this.wallet.address, maxRetrieve)
+        }, DELEGATION_CONFIG.GAS_LIMIT);
+    }
+
+    /**
+     * Get tracked unbonding and redelegation entries of the wallet
+     * Entries whose completion time passed are reported once and then dropped
+     * @returns {object} - Entries ({ pending, completed, unbondingAmount })
+     */
+    getUnbondingEntries() {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        const address = this.wallet.address;
+        const completed = this.unbondingTracker.pruneCompleted(address);
+
+        return {
+            pending: this.unbondingTracker.getPending(address),
+            completed,
+            unbondingAmount: this.unbondingTracker.getUnbondingAmount(address).toString()
+        };
+    }
+
     /**
      * Get wallet address
      * @returns {string} - Wallet address
@@ -138,8 +311,8 @@ class DelegationService {
 
     /**
      * Claim delegation rewards
-     * @param {string} claimAmountOrId - Amount or ID to claim
-     * @returns {object} - Claim result
+     * @param {string|number} claimAmountOrId - Number of validators to withdraw rewards from (maxRetrieve)
+     * @returns {object} - Claim result (claimedAmount in wei from the ClaimRewards event, null if not emitted)
      */
     async claimReward(claimAmountOrId) {
         if (!this.wallet) {
@@ -148,7 +321,7 @@ class DelegationService {
 
         try {
             const delegator = this.wallet.address;
-            const targetContract = "0x0000000000000000000000000000000000000801"; // Claim contract address
+            const targetContract = PrecompileRegistry.getAddress('distribution');
             
             // Build calldata for claim
             const calldata = this.calldataBuilder.buildClaimCalldata(
@@ -158,27 +331,23 @@ class DelegationService {
 
             Helpers.log(`🎁 Building reward delegation calldata`, 'SUCCESS');
 
-            const nonce = await this.provider.getTransactionCount(this.wallet.address);
-            // Send transaction
-            const tx = await this.wallet.sendTransaction({
+            const result = await this.transactionService.execute(this.wallet, {
                 to: targetContract,
-                data: calldata,
-                gasLimit: DELEGATION_CONFIG.GAS_LIMIT,
-                nonce: nonce
+                data: calldata
+            }, {
+                label: 'Claim reward',
+                fallbackGasLimit: DELEGATION_CONFIG.GAS_LIMIT,
+                intent: { delegator, claimAmountOrId },
+                events: 'distribution'
             });
 
-            Helpers.log(`📨 Claim transaction sent: ${tx.hash}`, 'SUCCESS');
-
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            Helpers.log(`✅ Claim confirmed in block: ${receipt.blockNumber}`, 'SUCCESS');
+            const claimEvent = (result.events || []).find(event => event.name === 'ClaimRewards');
 
             return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
+                ...result,
                 delegator,
-                claimAmountOrId
+                claimAmountOrId,
+                claimedAmount: claimEvent ? claimEvent.args.amount : null
             };
 
         } catch (error) {
@@ -0,0 +1,298 @@
+/**
+ * Feature Registry
+ * Describes every feature a pipeline step can run: its flag, how to call it and how to report it
+ *
+ * Each entry:
+ * - label: Telegram notification title
+ * - name: Human readable name used in logs
+ * - flag: FEATURE_FLAGS key that enables the feature
+ * - run(main, context, params): Executes the feature through the HeliosMain retry wrappers
+ * - isSuccess(result): Whether the returned result counts as a success
+ * - successDetails(result, params): Extra Telegram details on success
+ * - failureReason(result): Reason reported when the result is not a success
+ * - alertReason(result): Optional; reason of a separate failure alert sent after a success notification, or null
+ *
+ * A run may return { skipped: true, skipReason } when there was nothing to do; it is recorded as skipped, not failed
+ */
+
+const { Helpers } = require('../utils/helpers');
+const { DELEGATION_CONFIG, GOVERNANCE_WATCHER_CONFIG } = require('../config/config');
+const { ProposalTracker } = require('../services/proposal-tracker');
+const { BridgeRouteSelector } = require('./bridge/route-selector');
+const { InboundBridgeService } = require('./bridge/inbound-bridge-service');
+const { BridgeTracker } = require('../services/bridge-tracker');
+const { BRIDGE_CONFIGS, BRIDGE_TRACKER_CONFIG } = require('../config/bridge-config');
+const { ethers } = require('ethers');
+
+/**
+ * Describe a tracked bridge for notifications
+ * @param {object} entry - Tracked bridge
+ * @returns {string} e.g. "0.05 HLS → Sepolia" or, inbound, "0.05 HLS Sepolia → Helios Testnet"
+ */
+function describeBridge(entry) {
+    const amount = `${ethers.formatUnits(entry.amount, entry.decimals)} ${entry.symbol}`;
+    const dest = BridgeTracker.chainName(entry.destChainId);
+
+    if (entry.sourceChainId && entry.sourceChainId !== BRIDGE_CONFIGS['helios-testnet'].chainId) {
+        return `${amount} ${BridgeTracker.chainName(entry.sourceChainId)} → ${dest}`;
+    }
+    return `${amount} → ${dest}`;
+}
+
+/**
+ * Describe the stuck bridges of a bridge check for alerts
+ * @param {object} result - checkBridges result
+ * @returns {string} Count and list of the stuck bridges
+ */
+function describeStuckBridges(result) {
+    const bridges = result.stuck.map(entry => `${entry.txHash} (${describeBridge(entry)}, sent ${entry.sentAt})`);
+    return `${result.stuck.length} bridge(s) stuck after ${BRIDGE_TRACKER_CONFIG.STUCK_AFTER_HOURS}h: ${bridges.join(', ')}`;
+}
+
+const FEATURE_REGISTRY = {
+    faucet: {
+        label: 'FAUCET CLAIM',
+        name: 'Faucet claim',
+        flag: 'ENABLE_FAUCET',
+        run: (main, context, params) => main.claimFaucet(context.privateKey, params.tokenType || 'HLS'),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash || result.result?.transactionHash,
+            amount: result.amount
+        }),
+        failureReason: (result) => result?.reason || result?.error || 'Unknown error'
+    },
+
+    bridge: {
+        label: 'BRIDGE',
+        name: 'Bridge transaction',
+        flag: 'ENABLE_BRIDGE',
+        // Route per cycle from params.routes (default: BRIDGE_CONFIGS routes), picked by params.selection
+        run: (main, context, params) => {
+            const route = new BridgeRouteSelector().select(params.routes || null, params.selection || null, context.cycleNumber);
+            return main.bridgeRoute(context.privateKey, route, params.recipient || context.address);
+        },
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            amount: `${ethers.formatUnits(result.amount, result.decimals)} ${result.symbol}`,
+            route: `${result.route}: ${result.symbol} → ${BRIDGE_CONFIGS['helios-testnet'].supportedChains[result.destChainId].name}`
+        }),
+        failureReason: (result) => result?.error || 'Transaction failed'
+    },
+
+    bridgeTracking: {
+        label: 'BRIDGE ARRIVAL',
+        name: 'Bridge tracking',
+        flag: 'ENABLE_BRIDGE_TRACKING',
+        // Skipped (no notification) while bridges are simply in flight; stuck bridges report as failures (alert),
+        // sent next to the arrival notification when other bridges arrived in the same check
+        run: (main, context) => main.checkBridges(context.privateKey),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            bridges: result.completed.map(entry => `${entry.txHash.slice(0, 10)}… ${describeBridge(entry)}: arrived (${entry.evidence})`)
+        }),
+        failureReason: (result) => result?.stuck?.length ? describeStuckBridges(result) : result?.error || 'Unknown error',
+        alertReason: (result) => result.stuck.length > 0 ? describeStuckBridges(result) : null
+    },
+
+    reverseBridge: {
+        label: 'REVERSE BRIDGE',
+        name: 'Reverse bridge',
+        flag: 'ENABLE_REVERSE_BRIDGE',
+        // One source chain per run, in turn: params.chains (default: every chain with an inbound bridge configured)
+        // Sweeps the whole token balance unless params.amount is set; skipped below the chain's minAmount
+        run: (main, context, params) => {
+            const chains = params.chains || InboundBridgeService.getConfiguredChains();
+            if (chains.length === 0) {
+                return { success: false, skipped: true, skipReason: 'No inbound bridge configured (set <CHAIN>_HYPERION_CONTRACT)' };
+            }
+
+            const sourceChainId = chains[Math.max(0, context.cycleNumber - 1) % chains.length];
+            return main.bridgeToHelios(context.privateKey, sourceChainId, params.amount ?? null, params.token || 'HLS');
+        },
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            amount: `${ethers.formatUnits(result.amount, result.decimals)} ${result.symbol}`,
+            route: `${BridgeTracker.chainName(result.sourceChainId)} → ${BridgeTracker.chainName(result.destChainId)}`
+        }),
+        failureReason: (result) => result?.error || 'Transaction failed'
+    },
+
+    delegation: {
+        label: 'DELEGATION',
+        name: 'Delegation',
+        flag: 'ENABLE_DELEGATION',
+        run: (main, context, params) => {
+            const amount = Helpers.getRandomDelegationAmount(...(params.amountRange || []));
+            return params.validator
+                ? main.delegate(context.privateKey, params.validator, amount)
+                : main.delegateToRandomValidator(context.privateKey, amount, params.strategy || null);
+        },
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            validator: result.validator?.moniker || result.validator,
+            amount: result.amount
+        }),
+        failureReason: (result) => result?.reason || result?.error || 'Unknown error'
+    },
+
+    claimReward: {
+        label: 'CLAIM REWARD',
+        name: 'Claim reward',
+        flag: 'ENABLE_CLAIM_REWARD',
+        run: (main, context, params) => (params.compound ?? DELEGATION_CONFIG.AUTO_COMPOUND)
+            ? main.compoundRewards(context.privateKey, params)
+            : main.claimPendingRewards(context.privateKey, params.minReward ?? null),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            amount: result.claimedAmount && `${Helpers.weiToEth(result.claimedAmount)} HLS${result.claimedAmountEstimated ? ' (estimated)' : ''}`,
+            compound: result.compound && (result.compound.status === 'compounded'
+                ? `${Helpers.weiToEth(result.compound.compounded)} HLS re-delegated to ${result.compound.validator}`
+                : `${result.compound.status} (${result.compound.reason})`)
+        }),
+        failureReason: (result) => result?.error || 'Unknown error'
+    },
+
+    undelegate: {
+        label: 'UNDELEGATE',
+        name: 'Undelegation',
+        flag: 'ENABLE_UNDELEGATE',
+        run: (main, context, params) => {
+            const amount = params.amountRange ? Helpers.getRandomDelegationAmount(...params.amountRange) : null;
+            return main.undelegate(context.privateKey, params.validator || null, amount);
+        },
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            validator: result.validator,
+            amount: Helpers.weiToEth(result.amount),
+            completionTime: result.unbonding?.completionTime
+        }),
+        failureReason: (result) => result?.reason || result?.error || 'Unknown error'
+    },
+
+    redelegate: {
+        label: 'REDELEGATE',
+        name: 'Redelegation',
+        flag: 'ENABLE_REDELEGATE',
+        run: (main, context, params) => {
+            const amount = params.amountRange ? Helpers.getRandomDelegationAmount(...params.amountRange) : null;
+            return main.redelegate(context.privateKey, params.srcValidator || null, params.dstValidator || null, amount);
+        },
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            validator: `${result.srcValidator} → ${result.dstValidator}`,
+            amount: Helpers.weiToEth(result.amount),
+            completionTime: result.redelegation?.completionTime
+        }),
+        failureReason: (result) => result?.reason || result?.error || 'Unknown error'
+    },
+
+    governanceVote: {
+        label: 'GOVERNANCE VOTE',
+        name: 'Governance vote',
+        flag: 'ENABLE_GOVERNANCE_VOTE',
+        // Votes by the vote policy file unless the step pins `support`; at most `maxVotes` proposals per cycle
+        // With the governance watcher running, voting happens there instead of blocking the cycle
+        run: async (main, context, params) => GOVERNANCE_WATCHER_CONFIG.ENABLED
+            ? { success: false, skipped: true, skipReason: 'Voting is handled by the governance watcher' }
+            : main.waitAndVote(
+                context.privateKey,
+                params.support ?? null,
+                params.reason || '',
+                params.timeout || 60000,
+                params.policyFile || null,
+                params.maxVotes ?? null
+            ),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            proposalId: result.proposalId,
+            vote: result.votes
+                .filter(vote => vote.success)
+                .map(vote => `#${vote.proposalId} ${vote.option.toUpperCase()} (rule: ${vote.decision.rule})`)
+                .join(', ')
+        }),
+        // Vote results carry the vote `reason` text, so the error comes first
+        failureReason: (result) => result?.error || result?.reason || 'No active proposal'
+    },
+
+    proposalTracking: {
+        label: 'PROPOSAL OUTCOME',
+        name: 'Proposal tracking',
+        flag: 'ENABLE_PROPOSAL_TRACKING',
+        // Skipped (no notification) until a voted or created proposal finishes
+        run: (main, context) => main.trackProposals(context.privateKey),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            proposals: result.finalized.map(entry => `#${entry.proposalId ?? '?'} ${entry.title}: ${ProposalTracker.describe(entry)}`)
+        }),
+        failureReason: (result) => result?.error || 'Unknown error'
+    },
+
+    createProposal: {
+        label: 'CREATE PROPOSAL',
+        name: 'Create proposal',
+        flag: 'ENABLE_CREATE_PROPOSAL',
+        run: (main, context, params) => main.createRandomProposal(context.privateKey, params.deposit || '1000000000000000000'),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            title: result.title
+        }),
+        failureReason: (result) => result?.error || 'Unknown error'
+    },
+
+    userInfo: {
+        label: 'USER INFO',
+        name: 'User info',
+        flag: 'ENABLE_USER_INFO',
+        run: (main, context) => main.getUserInfo(context.privateKey, context.address),
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            globalRank: result.result.globalRank,
+            userXP: result.result.userXP,
+            discordUsername: result.result.discordUsername
+        }),
+        failureReason: (result) => result?.reason || result?.error || 'Unknown error'
+    },
+
+    swap: {
+        label: 'SWAP',
+        name: 'Swap transaction',
+        flag: 'ENABLE_SWAP',
+        run: (main, context, params) => {
+            const amount = Helpers.getRandomSwapAmount(...(params.amountRange || []));
+            return main.executeSwap(context.privateKey, amount);
+        },
+        isSuccess: (result) => !!result?.success,
+        successDetails: (result) => ({
+            txHash: result.txHash,
+            amountIn: result.amountIn,
+            amountOut: result.amountOut,
+            tokenIn: result.tokenIn,
+            tokenOut: result.tokenOut
+        }),
+        failureReason: (result) => result?.error || 'Unknown error'
+    }
+};
+
+/**
+ * Get feature definition by name
+ * @param {string} name - Feature name
+ * @returns {object} Feature definition
+ */
+function getFeature(name) {
+    const feature = FEATURE_REGISTRY[name];
+    if (!feature) {
+        throw new Error(`Unknown feature: ${name}`);
+    }
+    return feature;
+}
+
+module.exports = { FEATURE_REGISTRY, getFeature };
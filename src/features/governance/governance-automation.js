@@ -4,6 +4,8 @@
  */
 
 const { GovernanceService } = require('./governance-service');
+const { VotePolicy } = require('./vote-policy');
+const { ProposalBuilder } = require('./proposal-builder');
 const { RETRY_CONFIG } = require('../../config/config');
 const { Helpers } = require('../../utils/helpers');
 const { AsyncUtils } = require('../../utils/async');
@@ -86,11 +88,11 @@ class GovernanceAutomation {
      * Vote on specific proposal
      * @param {string} privateKey - Wallet private key
      * @param {number} proposalId - Proposal ID
-     * @param {boolean} support - Vote support (true = yes, false = no)
+     * @param {boolean|string} option - Vote option (true = yes, false = no, or yes/no/abstain/veto)
      * @param {string} reason - Vote reason
      * @returns {Promise<object>} Vote result
      */
-    async vote(privateKey, proposalId, support, reason = "") {
+    async vote(privateKey, proposalId, option, reason = "") {
         if (!this.isInitialized) {
             throw new Error('Governance automation not initialized');
         }
@@ -101,10 +103,10 @@ class GovernanceAutomation {
                     // Connect wallet
                     const address = await this.connectWallet(privateKey);
                     
-                    Helpers.log(`🗳️ Starting vote on proposal ${proposalId} (${support ? 'YES' : 'NO'})`, 'SUCCESS');
+                    Helpers.log(`🗳️ Starting vote on proposal ${proposalId} (${GovernanceService.toVoteOption(option).toUpperCase()})`, 'SUCCESS');
 
                     // Execute vote
-                    const result = await this.governanceService.vote(proposalId, support, reason);
+                    const result = await this.governanceService.vote(proposalId, option, reason);
                     
                     if (result.success) {
                         Helpers.log(`✅ Vote on proposal ${proposalId} successful! Tx: ${result.txHash}`, 'SUCCESS');
@@ -127,31 +129,39 @@ class GovernanceAutomation {
     }
 
     /**
-     * Wait for voting proposal and vote
+     * Wait for open proposals and vote once on each one not voted yet
      * @param {string} privateKey - Wallet private key
-     * @param {boolean} support - Vote support (true = yes, false = no)
-     * @param {string} reason - Vote reason
+     * @param {boolean} support - Fixed vote (true = yes, false = no); null votes by the policy file
+     * @param {string} reason - Vote reason for a fixed vote
      * @param {number} timeout - Timeout in milliseconds (default: 2 minutes)
-     * @returns {Promise<object>} Vote result
+     * @param {string} policyFile - Vote policy file (optional, GOVERNANCE_CONFIG.POLICY_FILE)
+     * @param {number} maxVotes - Maximum votes (optional, GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE)
+     * @returns {Promise<object>} Vote summary
      */
-    async waitAndVote(privateKey, support = true, reason = "", timeout = 120000) {
+    async waitAndVote(privateKey, support = null, reason = "", timeout = 120000, policyFile = null, maxVotes = null) {
         if (!this.isInitialized) {
             throw new Error('Governance automation not initialized');
         }
 
         try {
+            // Loaded per call so policy edits apply on the next cycle
+            const policy = support === null ? VotePolicy.load(policyFile || undefined) : VotePolicy.fixed(support, reason);
+
             return await AsyncUtils.retry(
                 async () => {
                     // Connect wallet
-                    const address = await this.connectWallet(privateKey);
+                    await this.connectWallet(privateKey);
                     
                     Helpers.log(`⏳ Waiting for active voting proposal... (timeout: ${timeout/1000}s)`, 'INFO');
 
                     // Wait and vote
-                    const result = await this.governanceService.waitAndVote(support, reason, timeout);
+                    const result = await this.governanceService.waitAndVote(policy, timeout, maxVotes ?? undefined);
                     
                     if (result.success) {
-                        Helpers.log(`✅ Wait and vote successful! Tx: ${result.txHash}`, 'SUCCESS');
+                        const succeeded = result.votes.filter(vote => vote.success).length;
+                        Helpers.log(`✅ Voted on ${succeeded}/${result.votes.length} proposal(s)! Last tx: ${result.txHash}`, 'SUCCESS');
+                    } else if (result.skipped) {
+                        Helpers.log(`⏭️ ${result.skipReason}`, 'INFO');
                     } else {
                         Helpers.log(`⚠️ Wait and vote result: ${result.reason || result.error}`, 'WARNING');
                     }
@@ -170,6 +180,115 @@ class GovernanceAutomation {
         }
     }
 
+    /**
+     * Vote by the policy file on the currently open proposals (no waiting)
+     * @param {string} privateKey - Wallet private key
+     * @param {string} policyFile - Vote policy file (optional, GOVERNANCE_CONFIG.POLICY_FILE)
+     * @param {number} maxVotes - Maximum votes (optional, GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE)
+     * @returns {Promise<object>} Vote summary
+     */
+    async voteOnOpenProposals(privateKey, policyFile = null, maxVotes = null) {
+        if (!this.isInitialized) {
+            throw new Error('Governance automation not initialized');
+        }
+
+        try {
+            const policy = VotePolicy.load(policyFile || undefined);
+
+            return await AsyncUtils.retry(
+                async () => {
+                    await this.connectWallet(privateKey);
+                    return await this.governanceService.voteOnOpenProposals(policy, maxVotes ?? undefined);
+                },
+                RETRY_CONFIG.GOVERNANCE_MAX_ATTEMPTS,
+                RETRY_CONFIG.GOVERNANCE_DELAY
+            );
+        } catch (error) {
+            Helpers.log('❌ Vote on open proposals failed after retries', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Get proposals currently in their voting period
+     * @returns {Promise<Array>} Open proposals
+     */
+    async getOpenProposals() {
+        if (!this.isInitialized) {
+            throw new Error('Governance automation not initialized');
+        }
+
+        return await this.governanceService.getOpenProposals();
+    }
+
+    /**
+     * Refresh the lifecycle of proposals the wallet voted on or created
+     * @param {string} privateKey - Wallet private key
+     * @returns {Promise<object>} Update ({ success, finalized, active }), skipped when nothing finished
+     */
+    async trackProposals(privateKey) {
+        if (!this.isInitialized) {
+            throw new Error('Governance automation not initialized');
+        }
+
+        try {
+            return await AsyncUtils.retry(
+                async () => {
+                    await this.connectWallet(privateKey);
+
+                    const { finalized, active } = await this.governanceService.updateTrackedProposals();
+                    if (finalized.length === 0) {
+                        return {
+                            success: false,
+                            skipped: true,
+                            skipReason: active.length === 0 ? 'No tracked proposals' : `${active.length} tracked proposal(s) still open`,
+                            finalized,
+                            active
+                        };
+                    }
+
+                    return { success: true, finalized, active };
+                },
+                RETRY_CONFIG.GOVERNANCE_MAX_ATTEMPTS,
+                RETRY_CONFIG.GOVERNANCE_DELAY
+            );
+        } catch (error) {
+            Helpers.log('❌ Proposal tracking failed after retries', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
+    /**
+     * Get tracked proposals of a wallet
+     * @param {string} address - Wallet address
+     * @returns {Array<object>} Tracked entries, newest first
+     */
+    getTrackedProposals(address) {
+        return this.governanceService.proposalTracker.getTracked(address);
+    }
+
+    /**
+     * Show how the vote policy would vote on every open proposal (nothing is sent)
+     * @param {string} policyFile - Vote policy file (optional, GOVERNANCE_CONFIG.POLICY_FILE)
+     * @returns {Promise<Array<object>>} Decisions ({ proposalId, title, rule, action, option, reason })
+     */
+    async evaluatePolicy(policyFile = null) {
+        if (!this.isInitialized) {
+            throw new Error('Governance automation not initialized');
+        }
+
+        const policy = VotePolicy.load(policyFile || undefined);
+        const proposals = await this.governanceService.getOpenProposals();
+
+        return proposals.map(proposal => policy.evaluate(proposal));
+    }
+
     /**
      * Create proposal
      * @param {string} privateKey - Wallet private key
@@ -215,6 +334,57 @@ class GovernanceAutomation {
         }
     }
 
+    /**
+     * Create proposal from a template file
+     * @param {string} privateKey - Wallet private key
+     * @param {string} templateFile - Proposal template file (see ProposalBuilder)
+     * @returns {Promise<object>} Create proposal result
+     */
+    async createProposalFromTemplate(privateKey, templateFile) {
+        if (!this.isInitialized) {
+            throw new Error('Governance automation not initialized');
+        }
+
+        let spec;
+        try {
+            spec = ProposalBuilder.load(templateFile);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+
+        try {
+            return await AsyncUtils.retry(
+                async () => {
+                    // Connect wallet
+                    await this.connectWallet(privateKey);
+
+                    Helpers.log(`📝 Starting ${spec.template} proposal: "${spec.title}"`, 'SUCCESS');
+
+                    const result = await this.governanceService.createProposalFromTemplate(spec);
+
+                    if (result.success) {
+                        Helpers.log(`✅ Create proposal successful! Tx: ${result.txHash}`, 'SUCCESS');
+                    } else {
+                        Helpers.log(`❌ Create proposal failed: ${result.error}`, 'ERROR');
+                    }
+
+                    return result;
+                },
+                RETRY_CONFIG.GOVERNANCE_MAX_ATTEMPTS,
+                RETRY_CONFIG.GOVERNANCE_DELAY
+            );
+        } catch (error) {
+            Helpers.log('❌ Create proposal failed after retries', error, 'ERROR');
+            return {
+                success: false,
+                error: error?.shortMessage || error.message || error
+            };
+        }
+    }
+
     /**
      * Create random proposal
      * @param {string} privateKey - Wallet private key
@@ -3,18 +3,33 @@
  * Handles governance-related operations including proposal voting
  */
 
-const { ethers } = require('ethers');
 const { NetworkConfig } = require('../../config/network');
+const { PrecompileRegistry } = require('../../core/precompile-registry');
 const { GOVERNANCE_CONFIG } = require('../../config/config');
 const { Helpers } = require('../../utils/helpers');
 const { AsyncUtils } = require('../../utils/async');
 const { RETRY_CONFIG } = require('../../config/config');
+const { TransactionService } = require('../../services/transaction-service');
+const { VoteHistory } = require('../../services/vote-history');
+const { ProposalTracker } = require('../../services/proposal-tracker');
+const { ProposalBuilder } = require('./proposal-builder');
+
+// Cosmos SDK gov VoteOption values (0 is VOTE_OPTION_UNSPECIFIED and rejected by the chain)
+const VOTE_OPTIONS = {
+    yes: 1,
+    abstain: 2,
+    no: 3,
+    veto: 4
+};
 
 class GovernanceService {
     constructor() {
         this.networkConfig = new NetworkConfig();
         this.provider = null;
         this.wallet = null;
+        this.transactionService = null;
+        this.voteHistory = new VoteHistory();
+        this.proposalTracker = new ProposalTracker();
         this.isInitialized = false;
         this.apiUrl = 'https://testnet1.helioschainlabs.org/';
     }
@@ -25,6 +40,7 @@ class GovernanceService {
     async initialize() {
         try {
             this.provider = this.networkConfig.getProvider();
+            this.transactionService = new TransactionService(this.provider);
             await this.networkConfig.validateConnection();
             this.isInitialized = true;
         } catch (error) {
@@ -105,14 +121,34 @@ class GovernanceService {
         }
     }
 
+    /**
+     * Get every proposal by paging through eth_getProposalsByPageAndSize
+     * @param {number} pageSize - Page size (default: GOVERNANCE_CONFIG.PROPOSAL_PAGE_SIZE)
+     * @returns {Promise<Array>} All proposals
+     */
+    async getAllProposals(pageSize = GOVERNANCE_CONFIG.PROPOSAL_PAGE_SIZE) {
+        const proposals = [];
+
+        for (let page = 1; page <= GOVERNANCE_CONFIG.MAX_PROPOSAL_PAGES; page++) {
+            const batch = await this.getProposals(page, pageSize) || [];
+            proposals.push(...batch);
+
+            // A short page is the last one
+            if (batch.length < pageSize) {
+                break;
+            }
+        }
+
+        return proposals;
+    }
+
     /**
      * Get active voting proposal
-     * @returns {Promise<object|null>} Active proposal or null
+     * @returns {Promise<object|null>} First proposal in its voting period or null
      */
     async getVotingProposal() {
         try {
-            const proposals = await this.getProposals();
-            const activeProposal = proposals.find(p => p.status === "VOTING_PERIOD");
+            const [activeProposal] = await this.getOpenProposals();
             
             if (activeProposal) {
                 Helpers.log(`📋 Found active proposal: ID ${activeProposal.id} - ${activeProposal.title}`, 'INFO');
@@ -126,79 +162,95 @@ class GovernanceService {
     }
 
     /**
-     * Build vote calldata
-     * @param {string} voter - Voter address
-     * @param {number} proposalId - Proposal ID
-     * @param {boolean} support - Vote support (true = yes, false = no)
-     * @param {string} reason - Vote reason
-     * @returns {string} Built calldata
+     * Get proposals currently in their voting period (all pages)
+     * @returns {Promise<Array>} Open proposals
      */
-    buildVoteCalldata(voter, proposalId, support, reason) {
-        const selector = "9ec4d363";
-        const encodedVoter = this.encodeAddress(voter);
-        const encodedProposalId = this.encodeUint(proposalId);
-        const encodedSupport = this.encodeBool(support);
-        const offsetToString = this.encodeUint(128);
-        const encodedString = this.encodeString(reason);
-        
-        const calldata = selector + 
-                        encodedVoter + 
-                        encodedProposalId + 
-                        encodedSupport + 
-                        offsetToString + 
-                        encodedString.lengthHex + 
-                        encodedString.paddedData;
-
-        return "0x" + calldata;
+    async getOpenProposals() {
+        const proposals = await this.getAllProposals();
+        return proposals.filter(p => p.status === "VOTING_PERIOD");
     }
 
     /**
-     * Encode address to hex
-     * @param {string} addr - Address to encode
-     * @returns {string} Encoded address
+     * Check whether the connected wallet already voted on a proposal
+     * Looks at the local vote history first, then asks the gov precompile
+     * @param {number} proposalId - Proposal ID
+     * @returns {Promise<object|null>} Existing vote ({ option, source, ... }) or null
      */
-    encodeAddress(addr) {
-        return ethers.hexlify(ethers.zeroPadValue(addr, 32)).slice(2);
-    }
+    async getExistingVote(proposalId) {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
 
-    /**
-     * Encode uint to hex
-     * @param {number} value - Value to encode
-     * @returns {string} Encoded uint
-     */
-    encodeUint(value) {
-        return ethers.hexlify(ethers.zeroPadValue(ethers.toBeHex(value), 32)).slice(2);
+        const voter = this.wallet.address;
+        const recorded = this.voteHistory.getVote(voter, proposalId);
+        if (recorded) {
+            return recorded;
+        }
+
+        let raw;
+        try {
+            raw = await this.provider.call({
+                to: PrecompileRegistry.getAddress('gov'),
+                data: PrecompileRegistry.encode('gov', 'getVote', [proposalId, voter])
+            });
+        } catch (error) {
+            // The precompile reverts when there is no vote for this voter
+            if (error?.code === 'CALL_EXCEPTION') {
+                return null;
+            }
+            throw error;
+        }
+
+        const [vote] = PrecompileRegistry.getInterface('gov').decodeFunctionResult('getVote', raw);
+        if (!vote || vote.options.length === 0) {
+            return null;
+        }
+
+        const optionValue = Number(vote.options[0].option);
+        const option = Object.keys(VOTE_OPTIONS).find(name => VOTE_OPTIONS[name] === optionValue) || String(optionValue);
+
+        // Remember it so the next cycle does not need the chain lookup
+        this.voteHistory.record(voter, proposalId, { option, source: 'chain' });
+        return { option, source: 'chain' };
     }
 
     /**
-     * Encode boolean to hex
-     * @param {boolean} value - Boolean to encode
-     * @returns {string} Encoded boolean
+     * Normalize a vote option
+     * @param {boolean|string} option - true/false (yes/no) or yes, no, abstain, veto
+     * @returns {string} Option name
      */
-    encodeBool(value) {
-        return this.encodeUint(value ? 1 : 0);
+    static toVoteOption(option) {
+        if (typeof option === 'boolean') {
+            return option ? 'yes' : 'no';
+        }
+
+        const name = String(option).toLowerCase();
+        if (!VOTE_OPTIONS[name]) {
+            throw new Error(`Invalid vote option: ${option} (expected ${Object.keys(VOTE_OPTIONS).join(', ')})`);
+        }
+        return name;
     }
 
     /**
-     * Encode string to hex
-     * @param {string} str - String to encode
-     * @returns {object} Encoded string with length and data
+     * Build vote calldata
+     * @param {string} voter - Voter address
+     * @param {number} proposalId - Proposal ID
+     * @param {boolean|string} option - Vote option (true = yes, false = no, or yes/no/abstain/veto)
+     * @param {string} reason - Vote reason
+     * @returns {string} Built calldata
      */
-    encodeString(str) {
-        const bytes = ethers.toUtf8Bytes(str);
-        const lengthHex = ethers.hexlify(ethers.zeroPadValue(ethers.toBeHex(bytes.length), 32)).slice(2);
-        const paddedData = ethers.hexlify(ethers.zeroPadBytes(bytes, Math.ceil(bytes.length / 32) * 32)).slice(2);
-        return { lengthHex, paddedData };
+    buildVoteCalldata(voter, proposalId, option, reason) {
+        return PrecompileRegistry.encode('gov', 'vote', [voter, proposalId, VOTE_OPTIONS[GovernanceService.toVoteOption(option)], reason]);
     }
 
     /**
      * Vote on proposal
      * @param {number} proposalId - Proposal ID
-     * @param {boolean} support - Vote support (true = yes, false = no)
+     * @param {boolean|string} option - Vote option (true = yes, false = no, or yes/no/abstain/veto)
      * @param {string} reason - Vote reason
      * @returns {Promise<object>} Vote result
      */
-    async vote(proposalId, support, reason = "") {
+    async vote(proposalId, option, reason = "") {
         if (!this.wallet) {
             throw new Error('Wallet not connected');
         }
@@ -206,33 +258,35 @@ class GovernanceService {
         try {
             const voter = this.wallet.address;
             const targetContract = GOVERNANCE_CONFIG.TARGET_CONTRACT;
+            const voteOption = GovernanceService.toVoteOption(option);
             
             // Build calldata
-            const calldata = this.buildVoteCalldata(voter, proposalId, support, reason);
+            const calldata = this.buildVoteCalldata(voter, proposalId, voteOption, reason);
 
-            Helpers.log(`🗳️ Building vote calldata for proposal ${proposalId} (${support ? 'YES' : 'NO'})`, 'SUCCESS');
+            Helpers.log(`🗳️ Building vote calldata for proposal ${proposalId} (${voteOption.toUpperCase()})`, 'SUCCESS');
 
-            const nonce = await this.provider.getTransactionCount(this.wallet.address);
-            // Send transaction
-            const tx = await this.wallet.sendTransaction({
+            const result = await this.transactionService.execute(this.wallet, {
                 to: targetContract,
-                data: calldata,
-                gasLimit: GOVERNANCE_CONFIG.GAS_LIMIT,
-                nonce: nonce
+                data: calldata
+            }, {
+                label: 'Vote',
+                fallbackGasLimit: GOVERNANCE_CONFIG.GAS_LIMIT,
+                intent: {
+                    proposalId,
+                    option: voteOption.toUpperCase(),
+                    reason
+                }
             });
 
-            Helpers.log(`📨 Vote transaction sent: ${tx.hash}`, 'SUCCESS');
-
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            Helpers.log(`✅ Vote confirmed in block: ${receipt.blockNumber}`, 'SUCCESS');
+            if (result.success && !result.dryRun) {
+                this.voteHistory.record(voter, proposalId, { option: voteOption, txHash: result.txHash, source: 'bot' });
+                this.proposalTracker.trackVote(voter, proposalId, voteOption, result.txHash);
+            }
 
             return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
+                ...result,
                 proposalId,
-                support,
+                option: voteOption,
                 reason,
                 voter
             };
@@ -247,13 +301,14 @@ class GovernanceService {
     }
 
     /**
-     * Wait for voting proposal and vote
-     * @param {boolean} support - Vote support (true = yes, false = no)
-     * @param {string} reason - Vote reason
+     * Wait for open proposals and vote once on each one the wallet has not voted on yet
+     * @param {VotePolicy} policy - Vote policy
      * @param {number} timeout - Timeout in milliseconds (default: 2 minutes)
-     * @returns {Promise<object>} Vote result
+     * @param {number} maxVotes - Maximum votes this call (default: GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE)
+     * @returns {Promise<object>} Summary ({ success, votes, alreadyVoted, policySkipped, remaining })
+     *   plus txHash/proposalId/option/decision of the last successful vote; { skipped, skipReason } when nothing was voted
      */
-    async waitAndVote(support = true, reason = "", timeout = 120000) {
+    async waitAndVote(policy, timeout = 120000, maxVotes = GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE) {
         if (!this.wallet) {
             throw new Error('Wallet not connected');
         }
@@ -262,15 +317,11 @@ class GovernanceService {
         
         while (Date.now() - startTime < timeout) {
             try {
-                const activeProposal = await this.getVotingProposal();
+                const openProposals = await this.getOpenProposals();
                 
-                if (activeProposal) {
-                    const proposalId = parseInt(activeProposal.id);
-                    const voteReason = reason || `Vote on proposal ${proposalId}`;
-                    
-                    Helpers.log(`📋 Found active proposal: ID ${proposalId} - ${activeProposal.title}`, 'SUCCESS');
-                    
-                    return await this.vote(proposalId, support, voteReason);
+                if (openProposals.length > 0) {
+                    Helpers.log(`📋 Found ${openProposals.length} proposal(s) in voting period: ${openProposals.map(p => p.id).join(', ')}`, 'SUCCESS');
+                    return await this.voteOnProposals(openProposals, policy, maxVotes);
                 } else {
                     const remainingTime = Math.ceil((timeout - (Date.now() - startTime)) / 1000);
                     Helpers.log(`⏳ No active voting proposal. Checking again in 30 seconds... (${remainingTime}s remaining)`, 'WARNING');
@@ -289,6 +340,121 @@ class GovernanceService {
         };
     }
 
+    /**
+     * Vote on the currently open proposals without waiting for new ones
+     * @param {VotePolicy} policy - Vote policy
+     * @param {number} maxVotes - Maximum votes (default: GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE)
+     * @returns {Promise<object>} Summary (see waitAndVote)
+     */
+    async voteOnOpenProposals(policy, maxVotes = GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE) {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        const openProposals = await this.getOpenProposals();
+        if (openProposals.length === 0) {
+            return {
+                success: false,
+                skipped: true,
+                skipReason: 'No open proposals'
+            };
+        }
+
+        return await this.voteOnProposals(openProposals, policy, maxVotes);
+    }
+
+    /**
+     * Vote once on each proposal the wallet has not voted on, oldest first, up to maxVotes
+     * @param {Array} proposals - Open proposals
+     * @param {VotePolicy} policy - Vote policy
+     * @param {number} maxVotes - Maximum votes
+     * @returns {Promise<object>} Summary (see waitAndVote)
+     */
+    async voteOnProposals(proposals, policy, maxVotes = GOVERNANCE_CONFIG.MAX_VOTES_PER_CYCLE) {
+        const votes = [];
+        const alreadyVoted = [];
+        const policySkipped = [];
+        const pending = [...proposals].sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10));
+
+        while (pending.length > 0 && votes.length < maxVotes) {
+            const proposal = pending.shift();
+            const proposalId = parseInt(proposal.id, 10);
+
+            const existing = await this.getExistingVote(proposalId);
+            if (existing) {
+                Helpers.log(`↩️ Already voted ${String(existing.option).toUpperCase()} on proposal ${proposalId} (${existing.source})`, 'INFO');
+                alreadyVoted.push(proposalId);
+                continue;
+            }
+
+            const decision = policy.evaluate(proposal);
+            if (!decision.option) {
+                policySkipped.push({ proposalId, rule: decision.rule });
+                continue;
+            }
+
+            const result = await this.vote(proposalId, decision.option, decision.reason);
+            votes.push({ ...result, decision });
+        }
+
+        if (pending.length > 0) {
+            Helpers.log(`🚧 Vote limit of ${maxVotes} per cycle reached, ${pending.length} proposal(s) left for later cycles`, 'INFO');
+        }
+
+        const summary = {
+            votes,
+            alreadyVoted,
+            policySkipped,
+            remaining: pending.map(proposal => parseInt(proposal.id, 10))
+        };
+
+        if (votes.length === 0) {
+            return {
+                success: false,
+                skipped: true,
+                skipReason: policySkipped.length === 0
+                    ? `Already voted on all ${proposals.length} open proposal(s)`
+                    : `Vote policy skips the remaining open proposal(s): ${policySkipped.map(skip => `${skip.proposalId} (${skip.rule})`).join(', ')}`,
+                ...summary
+            };
+        }
+
+        const succeeded = votes.filter(vote => vote.success);
+        const last = succeeded[succeeded.length - 1];
+
+        if (!last) {
+            return { success: false, error: votes[0].error, ...summary };
+        }
+
+        return {
+            success: true,
+            txHash: last.txHash,
+            proposalId: last.proposalId,
+            option: last.option,
+            decision: last.decision,
+            dryRun: !!last.dryRun,
+            ...summary
+        };
+    }
+
+    /**
+     * Refresh proposals this wallet voted on or created
+     * @returns {Promise<object>} Update ({ finalized, active }) - finalized holds entries that finished in this update
+     */
+    async updateTrackedProposals() {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        const address = this.wallet.address;
+        if (this.proposalTracker.getActive(address).length === 0) {
+            return { finalized: [], active: [] };
+        }
+
+        const finalized = this.proposalTracker.update(address, await this.getAllProposals());
+        return { finalized, active: this.proposalTracker.getActive(address) };
+    }
+
     /**
      * Build create proposal calldata
      * @param {string} title - Proposal title
@@ -298,56 +464,8 @@ class GovernanceService {
      * @returns {string} Built calldata
      */
     buildCreateProposalCalldata(title, description, messages, deposit) {
-        const selector = "cb0dddfe";
-        
-        // Calculate dynamic offsets
-        const titleOffset = 160; // 5 * 32 bytes (after selector + deposit + proposer)
-        const descriptionOffset = titleOffset + 32 + Math.ceil(title.length / 32) * 32; // after title
-        const messagesOffset = descriptionOffset + 32 + Math.ceil(description.length / 32) * 32; // after description
-        
-        const encodedTitleOffset = this.encodeUint(titleOffset);
-        const encodedDescriptionOffset = this.encodeUint(descriptionOffset);
-        const encodedMessagesOffset = this.encodeUint(messagesOffset);
-        const encodedDeposit = this.encodeUint(deposit);
-        const encodedProposer = this.encodeAddress("0x0000000000000000000000000000000000000000"); // zero address
-        
-        // Encode title
-        const encodedTitle = this.encodeString(title);
-        
-        // Encode description
-        const encodedDescription = this.encodeString(description);
-        
-        // Encode messages array
-        const encodedMessages = this.encodeMessagesArray(messages);
-        
-        const calldata = selector + 
-                        encodedTitleOffset + 
-                        encodedDescriptionOffset + 
-                        encodedMessagesOffset + 
-                        encodedDeposit + 
-                        encodedProposer +
-                        encodedTitle.lengthHex + 
-                        encodedTitle.paddedData +
-                        encodedDescription.lengthHex + 
-                        encodedDescription.paddedData +
-                        encodedMessages.lengthHex + 
-                        encodedMessages.paddedData;
-
-        return "0x" + calldata;
-    }
-
-    /**
-     * Encode messages array
-     * @param {Array} messages - Array of message objects
-     * @returns {object} Encoded messages with length and data
-     */
-    encodeMessagesArray(messages) {
-        // For now, use a simple approach - encode as bytes
-        const messagesJson = JSON.stringify(messages);
-        const bytes = ethers.toUtf8Bytes(messagesJson);
-        const lengthHex = ethers.hexlify(ethers.zeroPadValue(ethers.toBeHex(bytes.length), 32)).slice(2);
-        const paddedData = ethers.hexlify(ethers.zeroPadBytes(bytes, Math.ceil(bytes.length / 32) * 32)).slice(2);
-        return { lengthHex, paddedData };
+        // The precompile takes the proposal messages as one JSON string
+        return PrecompileRegistry.encode('gov', 'hyperionProposal', [title, description, JSON.stringify(messages), deposit]);
     }
 
     /**
@@ -371,26 +489,26 @@ class GovernanceService {
 
             Helpers.log(`📝 Building create proposal calldata: "${title}"`, 'SUCCESS');
 
-            const nonce = await this.provider.getTransactionCount(this.wallet.address);
-            // Send transaction
-            const tx = await this.wallet.sendTransaction({
+            const result = await this.transactionService.execute(this.wallet, {
                 to: targetContract,
                 data: calldata,
-                gasLimit: GOVERNANCE_CONFIG.GAS_LIMIT,
-                value: deposit, // Include deposit value
-                nonce: nonce
+                value: deposit // Include deposit value
+            }, {
+                label: 'Create proposal',
+                fallbackGasLimit: GOVERNANCE_CONFIG.GAS_LIMIT,
+                intent: {
+                    title,
+                    messages: messages.length,
+                    deposit: `${Helpers.weiToEth(deposit)} HLS`
+                }
             });
 
-            Helpers.log(`📨 Create proposal transaction sent: ${tx.hash}`, 'SUCCESS');
-
-            // Wait for confirmation
-            const receipt = await tx.wait();
-            Helpers.log(`✅ Create proposal confirmed in block: ${receipt.blockNumber}`, 'SUCCESS');
+            if (result.success && !result.dryRun) {
+                this.proposalTracker.trackCreation(this.wallet.address, { txHash: result.txHash, title, deposit });
+            }
 
             return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
+                ...result,
                 title,
                 description,
                 messages,
@@ -406,26 +524,77 @@ class GovernanceService {
         }
     }
 
+    /**
+     * Get the chain minimum deposit
+     * Reads the gov params from the precompile, falls back to GOVERNANCE_CONFIG.MIN_DEPOSIT
+     * @returns {Promise<string>} Minimum deposit in wei
+     */
+    async getMinDeposit() {
+        try {
+            const raw = await this.provider.call({
+                to: PrecompileRegistry.getAddress('gov'),
+                data: PrecompileRegistry.encode('gov', 'getParams', [])
+            });
+            const [params] = PrecompileRegistry.getInterface('gov').decodeFunctionResult('getParams', raw);
+            const coin = params.minDeposit.find(candidate => candidate.denom === 'ahelios') || params.minDeposit[0];
+
+            if (coin) {
+                return coin.amount.toString();
+            }
+        } catch (error) {
+            Helpers.log(`⚠️ Could not read gov params, using configured minimum deposit: ${error?.shortMessage || error.message}`, 'WARNING');
+        }
+
+        return Helpers.ethToWei(GOVERNANCE_CONFIG.MIN_DEPOSIT).toString();
+    }
+
+    /**
+     * Build a proposal from a template spec, check it and submit it
+     * @param {object} spec - Spec ({ template, title, description, deposit, fields }), see ProposalBuilder
+     * @returns {Promise<object>} Create proposal result with `template`
+     */
+    async createProposalFromTemplate(spec) {
+        if (!this.wallet) {
+            throw new Error('Wallet not connected');
+        }
+
+        let proposal;
+        try {
+            proposal = ProposalBuilder.build(spec, { signer: this.wallet.address });
+            ProposalBuilder.checkDeposit(proposal.deposit, await this.getMinDeposit());
+        } catch (error) {
+            Helpers.log(`❌ ${error.message}`, 'ERROR');
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+
+        Helpers.log(`🧱 Built ${proposal.template} proposal with ${proposal.messages.length} message(s)`, 'INFO');
+
+        const result = await this.createProposal(proposal.title, proposal.description, proposal.messages, proposal.deposit);
+        return { ...result, template: proposal.template };
+    }
+
     /**
      * Create random proposal
      * @param {string} deposit - Deposit amount in wei (default: 1 ETH)
      * @returns {Promise<object>} Create proposal result
      */
     async createRandomProposal(deposit = "1000000000000000000") {
-        const title = Helpers.getRandomProposalTitle();
-        const description = Helpers.getRandomProposalDescription();
-        
-        // Random message for timeout update
-        const messages = [{
-            "@type": "/helios.hyperion.v1.MsgUpdateOutTxTimeout",
-            "signer": this.wallet.address,
-            "chain_id": 11155111,
-            "target_batch_timeout": Math.floor(Math.random() * 2000000) + 3000000, // 3M-5M
-            "target_outgoing_tx_timeout": Math.floor(Math.random() * 2000000) + 3000000 // 3M-5M
-        }];
-
-        return await this.createProposal(title, description, messages, deposit);
+        // Random Hyperion timeout update for Sepolia
+        return await this.createProposalFromTemplate({
+            template: 'timeout-update',
+            title: Helpers.getRandomProposalTitle(),
+            description: Helpers.getRandomProposalDescription(),
+            deposit: Helpers.weiToEth(deposit),
+            fields: {
+                chainId: 11155111,
+                batchTimeout: Math.floor(Math.random() * 2000000) + 3000000, // 3M-5M
+                outgoingTxTimeout: Math.floor(Math.random() * 2000000) + 3000000 // 3M-5M
+            }
+        });
     }
 }
 
-module.exports = { GovernanceService }; 
\ No newline at end of file
+module.exports = { GovernanceService, VOTE_OPTIONS }; 
\ No newline at end of file
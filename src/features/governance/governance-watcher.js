@@ -0,0 +1,179 @@
+/**
+ * Governance Watcher
+ * Long-running loop, independent of the wallet cycles, that polls for proposals entering
+ * their voting period and lets every managed wallet vote on them after a reaction delay
+ *
+ * A proposal stays pending until every wallet is done with it (voted, already voted or skipped by
+ * its policy) or it closes, so wallets held back by the per-run vote limit or a failed vote retry on later polls.
+ */
+
+const { GovernanceAutomation } = require('./governance-automation');
+const { getFeature } = require('../feature-registry');
+const { GOVERNANCE_WATCHER_CONFIG } = require('../../config/config');
+const { Helpers } = require('../../utils/helpers');
+const { AsyncUtils } = require('../../utils/async');
+
+class GovernanceWatcher {
+    /**
+     * @param {Array<object>} wallets - Wallet roster entries ({ label, privateKey, address })
+     * @param {TelegramNotifier} telegramNotifier - Telegram notifier
+     * @param {object} options - Watch options ({ pollInterval, reactionDelay, walletJitter, policyFile, maxVotes })
+     */
+    constructor(wallets, telegramNotifier, options = {}) {
+        this.wallets = wallets;
+        this.telegramNotifier = telegramNotifier;
+        this.governance = new GovernanceAutomation();
+        this.pollInterval = options.pollInterval ?? GOVERNANCE_WATCHER_CONFIG.POLL_INTERVAL;
+        this.reactionDelay = options.reactionDelay ?? GOVERNANCE_WATCHER_CONFIG.REACTION_DELAY;
+        this.walletJitter = options.walletJitter ?? GOVERNANCE_WATCHER_CONFIG.WALLET_JITTER;
+        this.policyFile = options.policyFile || null;
+        this.maxVotes = options.maxVotes ?? null;
+
+        // Proposal ID -> time it is due for a reaction (removed when the proposal closes)
+        this.pending = new Map();
+        // Proposal ID -> addresses of the wallets done with it
+        this.done = new Map();
+        // Wallet address -> last failure reported, so retries do not repeat the same alert
+        this.lastFailure = new Map();
+        this.running = false;
+    }
+
+    /**
+     * Start watching (resolves when stop() is called)
+     */
+    async start() {
+        await this.governance.initialize();
+        this.running = true;
+
+        Helpers.log(`👀 Governance watcher started for ${this.wallets.length} wallet(s): polling every ${this.pollInterval / 1000}s, reacting ${this.reactionDelay / 1000}s after a proposal opens`, 'INFO');
+
+        while (this.running) {
+            try {
+                await this.poll();
+            } catch (error) {
+                Helpers.log('❌ Governance watcher poll failed', error, 'ERROR');
+            }
+
+            if (this.running) {
+                await AsyncUtils.sleep(this.pollInterval);
+            }
+        }
+
+        Helpers.log('👀 Governance watcher stopped', 'INFO');
+    }
+
+    /**
+     * Stop after the current poll
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Check for newly opened proposals and react to the due ones some wallet is not done with
+     * @returns {Promise<number[]>} Proposal IDs reacted to in this poll
+     */
+    async poll() {
+        const openProposals = await this.governance.getOpenProposals();
+        const openIds = new Set(openProposals.map(proposal => parseInt(proposal.id, 10)));
+        const now = Date.now();
+
+        for (const proposal of openProposals) {
+            const proposalId = parseInt(proposal.id, 10);
+            if (!this.pending.has(proposalId)) {
+                this.pending.set(proposalId, now + this.reactionDelay);
+                this.done.set(proposalId, new Set());
+                Helpers.log(`🆕 Proposal ${proposalId} entered its voting period: "${proposal.title}" - voting in ${Math.round(this.reactionDelay / 1000)}s`, 'INFO');
+            }
+        }
+
+        // Closed proposals are dropped, voted on or not
+        for (const proposalId of this.pending.keys()) {
+            if (!openIds.has(proposalId)) {
+                this.pending.delete(proposalId);
+                this.done.delete(proposalId);
+            }
+        }
+
+        const due = [...this.pending]
+            .filter(([proposalId, dueAt]) => dueAt <= now && this.getWaitingWallets([proposalId]).length > 0)
+            .map(([proposalId]) => proposalId);
+
+        if (due.length > 0) {
+            await this.react(due);
+        }
+
+        return due;
+    }
+
+    /**
+     * Get the wallets not done with some of the proposals
+     * @param {number[]} proposalIds - Proposal IDs
+     * @returns {Array<object>} Wallet roster entries
+     */
+    getWaitingWallets(proposalIds) {
+        return this.wallets.filter(wallet =>
+            proposalIds.some(proposalId => !this.done.get(proposalId)?.has(wallet.address.toLowerCase()))
+        );
+    }
+
+    /**
+     * Record the proposals a wallet is done with after a vote run
+     * Failed votes and proposals left by the vote limit stay pending for the next poll
+     * @param {object} wallet - Wallet roster entry
+     * @param {object} result - voteOnOpenProposals result
+     */
+    markDone(wallet, result) {
+        const proposalIds = [
+            ...(result.votes || []).filter(vote => vote.success).map(vote => vote.proposalId),
+            ...(result.alreadyVoted || []),
+            ...(result.policySkipped || []).map(skip => skip.proposalId)
+        ];
+
+        for (const proposalId of proposalIds) {
+            this.done.get(parseInt(proposalId, 10))?.add(wallet.address.toLowerCase());
+        }
+    }
+
+    /**
+     * Let every wallet not done with the due proposals vote on the open proposals it has not voted on yet
+     * @param {number[]} proposalIds - Proposals that triggered the reaction
+     */
+    async react(proposalIds) {
+        const wallets = this.getWaitingWallets(proposalIds);
+        Helpers.log(`🗳️ Reacting to proposal(s) ${proposalIds.join(', ')} with ${wallets.length} wallet(s)`, 'INFO');
+        const feature = getFeature('governanceVote');
+
+        for (const wallet of wallets) {
+            // Wallets do not all vote in the same second
+            await AsyncUtils.sleep(Math.floor(Math.random() * this.walletJitter));
+
+            const result = await this.governance.voteOnOpenProposals(wallet.privateKey, this.policyFile, this.maxVotes);
+            this.markDone(wallet, result);
+
+            if (result.skipped) {
+                Helpers.log(`⏭️ [${wallet.label}] ${result.skipReason}`, 'INFO');
+            } else if (feature.isSuccess(result)) {
+                this.lastFailure.delete(wallet.address);
+                await this.telegramNotifier.sendFeatureNotification(feature.label, true, {
+                    walletAddress: wallet.address,
+                    dryRun: result.dryRun,
+                    ...feature.successDetails(result)
+                });
+            } else {
+                const reason = feature.failureReason(result);
+                Helpers.log(`⚠️ [${wallet.label}] Watcher vote failed (retrying next poll): ${reason}`, 'WARNING');
+
+                if (this.lastFailure.get(wallet.address) !== reason) {
+                    this.lastFailure.set(wallet.address, reason);
+                    await this.telegramNotifier.sendFeatureNotification(feature.label, false, {
+                        walletAddress: wallet.address,
+                        reason
+                    });
+                }
+            }
+        }
+    }
+}
+
+module.exports = { GovernanceWatcher };
@@ -0,0 +1,252 @@
+/**
+ * Proposal Builder
+ * Builds governance proposals from typed templates and validates them before they are submitted
+ *
+ * Template file:
+ * - template: Template name (see PROPOSAL_TEMPLATES)
+ * - title / description: Proposal text
+ * - deposit: Initial deposit in HLS (must meet the chain minimum deposit)
+ * - fields: Template fields, e.g. { "chainId": 11155111, "batchTimeout": 3600000 }
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { GOVERNANCE_CONFIG } = require('../../config/config');
+const { Helpers } = require('../../utils/helpers');
+
+const MAX_TITLE_LENGTH = 140;
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+/**
+ * Templates: fields describe the inputs ({ type, required, default }),
+ * build(fields, context) returns the proposal messages, validate(fields) returns extra errors
+ * context: { signer, title, description }
+ */
+const PROPOSAL_TEMPLATES = {
+    text: {
+        description: 'Signaling proposal without messages',
+        fields: {},
+        build: () => []
+    },
+
+    'timeout-update': {
+        description: 'Hyperion batch and outgoing tx timeout update for one counterparty chain',
+        fields: {
+            chainId: { type: 'integer', required: true, default: 11155111 },
+            batchTimeout: { type: 'integer', required: true },
+            outgoingTxTimeout: { type: 'integer', required: true }
+        },
+        build: (fields, context) => [{
+            '@type': '/helios.hyperion.v1.MsgUpdateOutTxTimeout',
+            signer: context.signer,
+            chain_id: fields.chainId,
+            target_batch_timeout: fields.batchTimeout,
+            target_outgoing_tx_timeout: fields.outgoingTxTimeout
+        }]
+    },
+
+    'param-change': {
+        description: 'Module parameter change ({ subspace, key, value } list)',
+        fields: {
+            changes: { type: 'array', required: true }
+        },
+        validate: (fields) => fields.changes.flatMap((change, index) =>
+            ['subspace', 'key', 'value']
+                .filter(name => change?.[name] === undefined || change[name] === '')
+                .map(name => `changes[${index}] is missing ${name}`)
+        ),
+        build: (fields, context) => [{
+            '@type': '/cosmos.gov.v1.MsgExecLegacyContent',
+            authority: GOVERNANCE_CONFIG.GOV_MODULE_ADDRESS,
+            content: {
+                '@type': '/cosmos.params.v1beta1.ParameterChangeProposal',
+                title: context.title,
+                description: context.description,
+                changes: fields.changes.map(({ subspace, key, value }) => ({
+                    subspace,
+                    key,
+                    // Param values are JSON-encoded strings on chain
+                    value: typeof value === 'string' ? value : JSON.stringify(value)
+                }))
+            }
+        }]
+    },
+
+    'asset-whitelist': {
+        description: 'Whitelist ERC-20 assets for the Helios consensus (bridge/staking asset list)',
+        fields: {
+            assets: { type: 'array', required: true }
+        },
+        validate: (fields) => fields.assets.flatMap((asset, index) => {
+            const errors = ['denom', 'symbol']
+                .filter(name => typeof asset?.[name] !== 'string' || asset[name] === '')
+                .map(name => `assets[${index}] is missing ${name}`);
+
+            if (!ethers.isAddress(asset?.contractAddress)) {
+                errors.push(`assets[${index}].contractAddress is not an address`);
+            }
+            if (!Number.isInteger(asset?.chainId) || !Number.isInteger(asset?.decimals)) {
+                errors.push(`assets[${index}] needs integer chainId and decimals`);
+            }
+            return errors;
+        }),
+        build: (fields, context) => [{
+            '@type': '/helios.erc20.v1.MsgAddNewAssetConsensusProposal',
+            signer: context.signer,
+            title: context.title,
+            description: context.description,
+            assets: fields.assets.map(asset => ({
+                denom: asset.denom,
+                contract_address: asset.contractAddress,
+                chain_id: String(asset.chainId),
+                decimals: asset.decimals,
+                base_weight: asset.baseWeight ?? 100,
+                symbol: asset.symbol
+            }))
+        }]
+    }
+};
+
+class ProposalBuilder {
+    /**
+     * Get template names with their description
+     * @returns {Array<object>} Templates ({ name, description, fields })
+     */
+    static getTemplates() {
+        return Object.entries(PROPOSAL_TEMPLATES).map(([name, template]) => ({
+            name,
+            description: template.description,
+            fields: Object.keys(template.fields).join(', ') || '-'
+        }));
+    }
+
+    /**
+     * Load a proposal spec from a JSON template file
+     * @param {string} filePath - Template file
+     * @returns {object} Spec ({ template, title, description, deposit, fields })
+     */
+    static load(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            Helpers.log(`❌ Failed to load proposal template from ${filePath}: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    /**
+     * Build and validate a proposal
+     * @param {object} spec - Spec ({ template, title, description, deposit, fields })
+     * @param {object} context - Build context ({ signer })
+     * @returns {object} Proposal ({ template, title, description, messages, deposit }) with deposit in wei
+     */
+    static build(spec, context) {
+        const errors = [];
+        const template = PROPOSAL_TEMPLATES[spec?.template];
+
+        if (!template) {
+            throw new Error(`Unknown proposal template: ${spec?.template} (available: ${Object.keys(PROPOSAL_TEMPLATES).join(', ')})`);
+        }
+
+        const title = String(spec.title || '').trim();
+        const description = String(spec.description || '').trim();
+        if (!title || title.length > MAX_TITLE_LENGTH) {
+            errors.push(`title must be 1-${MAX_TITLE_LENGTH} characters`);
+        }
+        if (!description || description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`description must be 1-${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        let deposit = null;
+        try {
+            deposit = Helpers.ethToWei(String(spec.deposit));
+        } catch (error) {
+            // Reported below
+        }
+        if (deposit === null || deposit <= 0n) {
+            errors.push(`deposit must be a positive HLS amount (got ${spec.deposit})`);
+        }
+
+        const fields = ProposalBuilder.resolveFields(template, spec.fields || {}, errors);
+
+        if (errors.length === 0 && template.validate) {
+            errors.push(...template.validate(fields));
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Proposal validation failed (${spec.template}):\n- ${errors.join('\n- ')}`);
+        }
+
+        const messages = template.build(fields, { signer: context.signer, title, description });
+        ProposalBuilder.validateMessages(messages);
+
+        return { template: spec.template, title, description, messages, deposit: deposit.toString() };
+    }
+
+    /**
+     * Apply defaults and check field types
+     * @param {object} template - Template
+     * @param {object} values - Field values from the spec
+     * @param {string[]} errors - Collected errors
+     * @returns {object} Resolved fields
+     */
+    static resolveFields(template, values, errors) {
+        const unknown = Object.keys(values).filter(name => !template.fields[name]);
+        if (unknown.length > 0) {
+            errors.push(`unknown field(s): ${unknown.join(', ')}`);
+        }
+
+        return Object.fromEntries(Object.entries(template.fields).map(([name, field]) => {
+            const value = values[name] ?? field.default;
+
+            if (value === undefined) {
+                if (field.required) {
+                    errors.push(`${name} is required`);
+                }
+                return [name, value];
+            }
+
+            const valid = {
+                integer: Number.isInteger(value) && value > 0,
+                string: typeof value === 'string' && value !== '',
+                address: ethers.isAddress(value),
+                array: Array.isArray(value) && value.length > 0
+            }[field.type];
+
+            if (!valid) {
+                errors.push(`${name} must be a${field.type === 'integer' ? ' positive' : field.type === 'array' ? ' non-empty' : 'n'} ${field.type}`);
+            }
+            return [name, value];
+        }));
+    }
+
+    /**
+     * Check that messages are well-formed Any JSON ({ "@type": "/pkg.Msg", ... })
+     * @param {Array<object>} messages - Messages
+     */
+    static validateMessages(messages) {
+        messages.forEach((message, index) => {
+            if (!message || typeof message['@type'] !== 'string' || !message['@type'].startsWith('/')) {
+                throw new Error(`Proposal message ${index} has no valid @type`);
+            }
+
+            const undefinedKeys = Object.keys(message).filter(key => message[key] === undefined || message[key] === null);
+            if (undefinedKeys.length > 0) {
+                throw new Error(`Proposal message ${index} (${message['@type']}) has empty field(s): ${undefinedKeys.join(', ')}`);
+            }
+        });
+    }
+
+    /**
+     * Check the deposit against the chain minimum
+     * @param {string|bigint} deposit - Deposit in wei
+     * @param {string|bigint} minDeposit - Chain minimum deposit in wei
+     */
+    static checkDeposit(deposit, minDeposit) {
+        if (BigInt(deposit) < BigInt(minDeposit)) {
+            throw new Error(`Deposit ${Helpers.weiToEth(deposit)} HLS is below the chain minimum of ${Helpers.weiToEth(minDeposit)} HLS`);
+        }
+    }
+}
+
+module.exports = { ProposalBuilder, PROPOSAL_TEMPLATES };
@@ -0,0 +1,259 @@
+/**
+ * Vote Policy
+ * Decides how to vote on a proposal from a declarative rule list (first matching rule wins)
+ *
+ * Policy file:
+ * - default: Decision when no rule matches ({ action, reason, weights })
+ * - rules: Array of { id, match, action, reason, weights }
+ *     - match (all given conditions must hold):
+ *         - keywords: Any of these words in the title or description (case-insensitive)
+ *         - proposer: Proposer addresses
+ *         - type: Message types; a proposal matches when any of its types contains one of them
+ *         - minDeposit / maxDeposit: Total deposit bounds in HLS
+ *     - action: yes | no | abstain | veto | skip | random
+ *     - weights: For random, e.g. { "yes": 70, "abstain": 20, "no": 10 }
+ *     - reason: Vote reason template; {id}, {title}, {proposer}, {rule} and {option} are filled in
+ */
+
+const fs = require('fs');
+const { GOVERNANCE_CONFIG } = require('../../config/config');
+const { Helpers } = require('../../utils/helpers');
+
+const VOTE_ACTIONS = ['yes', 'no', 'abstain', 'veto'];
+const ACTIONS = [...VOTE_ACTIONS, 'skip', 'random'];
+// Match conditions holding a list of strings
+const LIST_CONDITIONS = ['keywords', 'proposer', 'type'];
+const DEFAULT_REASON = 'Vote on proposal {id}';
+
+class VotePolicy {
+    /**
+     * @param {object} definition - Policy definition ({ default, rules })
+     */
+    constructor(definition) {
+        const { rules, defaultDecision } = VotePolicy.validate(definition);
+        this.rules = rules;
+        this.defaultDecision = defaultDecision;
+    }
+
+    /**
+     * Load policy from a JSON file
+     * @param {string} filePath - Policy file (default: GOVERNANCE_CONFIG.POLICY_FILE)
+     * @returns {VotePolicy} Policy instance
+     */
+    static load(filePath = GOVERNANCE_CONFIG.POLICY_FILE) {
+        try {
+            return new VotePolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+            Helpers.log(`❌ Failed to load vote policy from ${filePath}: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    /**
+     * Policy that always casts the same vote (explicit support/reason)
+     * @param {boolean} support - true = yes, false = no
+     * @param {string} reason - Vote reason (optional)
+     * @returns {VotePolicy} Policy instance
+     */
+    static fixed(support, reason = '') {
+        return new VotePolicy({
+            default: { action: support ? 'yes' : 'no', reason: reason || DEFAULT_REASON },
+            rules: []
+        });
+    }
+
+    /**
+     * Validate policy definition
+     * @param {object} definition - Policy definition
+     * @returns {object} Validated ({ rules, defaultDecision })
+     */
+    static validate(definition) {
+        const errors = [];
+        const rules = definition?.rules || [];
+        const defaultDecision = { id: 'default', action: 'skip', ...definition?.default };
+
+        if (!Array.isArray(rules)) {
+            throw new Error('Vote policy validation failed: rules must be an array');
+        }
+
+        const checkDecision = (decision, label) => {
+            if (!ACTIONS.includes(decision.action)) {
+                errors.push(`${label}: unknown action ${decision.action} (expected ${ACTIONS.join(', ')})`);
+            }
+
+            if (decision.action === 'random') {
+                const weights = Object.entries(decision.weights || {});
+                if (weights.length === 0 || weights.some(([option, weight]) => !VOTE_ACTIONS.includes(option) || !(weight >= 0))) {
+                    errors.push(`${label}: random needs weights for ${VOTE_ACTIONS.join('/')}`);
+                } else if (weights.reduce((sum, [, weight]) => sum + weight, 0) <= 0) {
+                    errors.push(`${label}: random needs at least one weight above 0`);
+                }
+            }
+        };
+
+        const checkMatch = (match, label) => {
+            LIST_CONDITIONS
+                .filter(name => match[name] !== undefined)
+                .filter(name => !Array.isArray(match[name]) || match[name].some(value => typeof value !== 'string' || value === ''))
+                .forEach(name => errors.push(`${label}: match.${name} must be an array of strings`));
+
+            ['minDeposit', 'maxDeposit']
+                .filter(name => match[name] !== undefined && !(Number(match[name]) >= 0))
+                .forEach(name => errors.push(`${label}: match.${name} must be an HLS amount >= 0`));
+        };
+
+        checkDecision(defaultDecision, 'default');
+
+        rules.forEach((rule, index) => {
+            const label = `Rule ${rule.id || index + 1}`;
+            if (!rule.id) {
+                errors.push(`Rule ${index + 1} is missing an id`);
+            }
+            if (!rule.match || typeof rule.match !== 'object' || Array.isArray(rule.match)) {
+                errors.push(`${label}: match must be an object`);
+            } else {
+                checkMatch(rule.match, label);
+            }
+            checkDecision(rule, label);
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Vote policy validation failed:\n- ${errors.join('\n- ')}`);
+        }
+
+        return { rules, defaultDecision };
+    }
+
+    /**
+     * Decide how to vote on a proposal
+     * @param {object} proposal - Proposal from eth_getProposalsByPageAndSize
+     * @returns {object} Decision ({ proposalId, title, rule, action, option, reason })
+     *   option: yes/no/abstain/veto, null when the action is skip
+     */
+    evaluate(proposal) {
+        const rule = this.rules.find(candidate => this.matches(candidate.match, proposal)) || this.defaultDecision;
+        const option = rule.action === 'random'
+            ? VotePolicy.pickWeighted(rule.weights)
+            : rule.action === 'skip' ? null : rule.action;
+
+        const decision = {
+            proposalId: parseInt(proposal.id, 10),
+            title: proposal.title,
+            rule: rule.id,
+            action: rule.action,
+            option,
+            reason: option ? VotePolicy.renderReason(rule.reason || DEFAULT_REASON, proposal, rule.id, option) : null
+        };
+
+        Helpers.log(`🧮 Vote policy on proposal ${decision.proposalId}: ${option ? option.toUpperCase() : 'SKIP'} (rule: ${decision.rule}${rule.action === 'random' ? ', random' : ''})`, 'INFO');
+        return decision;
+    }
+
+    /**
+     * Check rule conditions against a proposal
+     * @param {object} match - Rule conditions
+     * @param {object} proposal - Proposal
+     * @returns {boolean} True if every given condition holds
+     */
+    matches(match = {}, proposal) {
+        if (match.keywords) {
+            const text = `${proposal.title || ''} ${proposal.description || proposal.summary || ''}`.toLowerCase();
+            if (!match.keywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+                return false;
+            }
+        }
+
+        if (match.proposer) {
+            const proposer = (proposal.proposer || '').toLowerCase();
+            if (!match.proposer.some(address => address.toLowerCase() === proposer)) {
+                return false;
+            }
+        }
+
+        if (match.type) {
+            const types = VotePolicy.getTypes(proposal).map(type => type.toLowerCase());
+            if (!match.type.some(wanted => types.some(type => type.includes(wanted.toLowerCase())))) {
+                return false;
+            }
+        }
+
+        if (match.minDeposit !== undefined || match.maxDeposit !== undefined) {
+            const deposit = VotePolicy.getDeposit(proposal);
+            if (match.minDeposit !== undefined && deposit < BigInt(Helpers.ethToWei(String(match.minDeposit)))) {
+                return false;
+            }
+            if (match.maxDeposit !== undefined && deposit > BigInt(Helpers.ethToWei(String(match.maxDeposit)))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the message types of a proposal
+     * @param {object} proposal - Proposal
+     * @returns {string[]} Types
+     */
+    static getTypes(proposal) {
+        const messages = [...(proposal.messages || []), ...(proposal.details || [])];
+        return [proposal.type, ...messages.map(message => message['@type'] || message.type)].filter(Boolean);
+    }
+
+    /**
+     * Get the total deposit of a proposal in wei
+     * @param {object} proposal - Proposal
+     * @returns {bigint} Deposit
+     */
+    static getDeposit(proposal) {
+        const deposit = proposal.totalDeposit ?? proposal.total_deposit ?? proposal.deposit ?? '0';
+        const coins = Array.isArray(deposit) ? deposit : [deposit];
+
+        return coins.reduce((total, coin) => {
+            const amount = typeof coin === 'object' ? coin.amount : coin;
+            return total + BigInt(String(amount ?? '0').split('.')[0] || '0');
+        }, 0n);
+    }
+
+    /**
+     * Pick an option by weight
+     * @param {object} weights - Option weights
+     * @returns {string} Option
+     */
+    static pickWeighted(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = Math.random() * total;
+
+        for (const [option, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                return option;
+            }
+        }
+
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Fill in a reason template
+     * @param {string} template - Template
+     * @param {object} proposal - Proposal
+     * @param {string} ruleId - Matched rule id
+     * @param {string} option - Vote option
+     * @returns {string} Reason
+     */
+    static renderReason(template, proposal, ruleId, option) {
+        const values = {
+            id: proposal.id,
+            title: proposal.title || '',
+            proposer: proposal.proposer || '',
+            rule: ruleId,
+            option
+        };
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+    }
+}
+
+module.exports = { VotePolicy, VOTE_ACTIONS };
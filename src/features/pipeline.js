@@ -0,0 +1,146 @@
+/**
+ * Pipeline
+ * Loads the declarative step list and decides which steps run in a cycle
+ *
+ * Step fields:
+ * - id: Unique step id (also the key in the persisted cycle state)
+ * - feature: Feature name from FEATURE_REGISTRY
+ * - params: Feature parameters (optional)
+ * - waitAfter: Wait between processes after the step (default: true)
+ * - skipIfPreviousFailed: Skip when the step right before this one failed
+ * - skipIfFailed: Array of step ids; skip when any of them failed
+ * - when: Conditions, all must hold
+ *     - minBalance: Minimum wallet balance in HLS
+ *     - everyNCycles: Run on cycle 1, 1+N, 1+2N, ...
+ *     - probability: Chance (0-1) that the step runs
+ */
+
+const fs = require('fs');
+const { PIPELINE_CONFIG } = require('../config/config');
+const { FEATURE_REGISTRY } = require('./feature-registry');
+const { CycleStateService } = require('../services/cycle-state-service');
+const { Helpers } = require('../utils/helpers');
+
+class Pipeline {
+    /**
+     * @param {object} definition - Pipeline definition ({ steps: [...] })
+     */
+    constructor(definition) {
+        this.steps = Pipeline.validate(definition);
+    }
+
+    /**
+     * Load pipeline definition from a JSON file
+     * @param {string} filePath - Pipeline file (default: PIPELINE_CONFIG.FILE)
+     * @returns {Pipeline} Pipeline instance
+     */
+    static load(filePath = PIPELINE_CONFIG.FILE) {
+        try {
+            const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return new Pipeline(definition);
+        } catch (error) {
+            Helpers.log(`❌ Failed to load pipeline from ${filePath}: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    /**
+     * Validate pipeline definition
+     * @param {object} definition - Pipeline definition
+     * @returns {Array<object>} Validated steps
+     */
+    static validate(definition) {
+        const errors = [];
+        const steps = definition?.steps;
+
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pipeline validation failed: steps must be a non-empty array');
+        }
+
+        const ids = new Set();
+
+        steps.forEach((step, index) => {
+            if (!step.id) {
+                errors.push(`Step ${index + 1} is missing an id`);
+            } else if (ids.has(step.id)) {
+                errors.push(`Duplicate step id: ${step.id}`);
+            } else {
+                ids.add(step.id);
+            }
+
+            if (!FEATURE_REGISTRY[step.feature]) {
+                errors.push(`Unknown feature for step ${step.id || index + 1}: ${step.feature}`);
+            }
+
+            if (step.params !== undefined && (typeof step.params !== 'object' || Array.isArray(step.params))) {
+                errors.push(`Params of step ${step.id} must be an object`);
+            }
+
+            for (const dependency of step.skipIfFailed || []) {
+                if (!steps.some(other => other.id === dependency)) {
+                    errors.push(`Step ${step.id} depends on unknown step: ${dependency}`);
+                }
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Pipeline validation failed: ${errors.join(', ')}`);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Get pipeline steps in execution order
+     * @returns {Array<object>} Steps
+     */
+    getSteps() {
+        return this.steps;
+    }
+
+    /**
+     * Check step rules and conditions
+     * @param {object} step - Pipeline step
+     * @param {object} context - Cycle context ({ main, address, cycleNumber, stepResults })
+     * @returns {Promise<string|null>} Skip reason, or null when the step should run
+     */
+    async getSkipReason(step, context) {
+        const hasFailed = (stepId) => {
+            const stepResult = context.stepResults[stepId];
+            return !!stepResult && CycleStateService.getFeatureStatus(stepResult) === 'failed';
+        };
+
+        if (step.skipIfPreviousFailed) {
+            const previous = this.steps[this.steps.indexOf(step) - 1];
+            if (previous && hasFailed(previous.id)) {
+                return `Previous step "${previous.id}" failed`;
+            }
+        }
+
+        const failedDependency = (step.skipIfFailed || []).find(hasFailed);
+        if (failedDependency) {
+            return `Step "${failedDependency}" failed`;
+        }
+
+        const when = step.when || {};
+
+        if (when.everyNCycles && (context.cycleNumber - 1) % when.everyNCycles !== 0) {
+            return `Runs every ${when.everyNCycles} cycles`;
+        }
+
+        if (when.probability !== undefined && Math.random() >= when.probability) {
+            return `Not selected (probability ${when.probability})`;
+        }
+
+        if (when.minBalance !== undefined) {
+            const { balanceInEth } = await context.main.checkBalance();
+            if (parseFloat(balanceInEth) < parseFloat(when.minBalance)) {
+                return `Balance ${balanceInEth} HLS below minimum ${when.minBalance} HLS`;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = { Pipeline };
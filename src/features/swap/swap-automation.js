@@ -32,16 +32,17 @@ class SwapAutomation {
     /**
      * Execute swap with retry logic
      * @param {string} privateKey - Wallet private key
+     * @param {string} amount - Amount in HLS (optional, random if not provided)
      * @returns {Promise<object>} Swap result
      */
-    async executeSwap(privateKey) {
+    async executeSwap(privateKey, amount = null) {
         if (!this.isInitialized) {
             throw new Error('Swap automation not initialized');
         }
 
         const maxAttempts = RETRY_CONFIG.TRANSACTION_MAX_ATTEMPTS;
         const delay = RETRY_CONFIG.TRANSACTION_DELAY;
-        const amount = Helpers.getRandomSwapAmount();
+        amount = amount ? amount.toString() : Helpers.getRandomSwapAmount();
 
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
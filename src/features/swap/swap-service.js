@@ -8,6 +8,7 @@ const axios = require('axios');
 const { Helpers } = require('../../utils/helpers');
 const { NetworkUtils } = require('../../utils/network');
 const { HELIOS_TESTNET_CONFIG} = require('../../config/network');
+const { TransactionService } = require('../../services/transaction-service');
 
 class SwapService {
     constructor() {
@@ -23,6 +24,7 @@ class SwapService {
             "function approve(address spender, uint256 amount) returns (bool)"
         ];
         this.router = null;
+        this.transactionService = null;
     }
 
     /**
@@ -33,6 +35,7 @@ class SwapService {
         try {
             this.provider = NetworkUtils.createProvider(HELIOS_TESTNET_CONFIG.rpcUrl, HELIOS_TESTNET_CONFIG.chainId, HELIOS_TESTNET_CONFIG.name);
             this.router = new ethers.Contract(this.routerAddress, this.routerAbi, this.provider);
+            this.transactionService = new TransactionService(this.provider);
             this.isInitialized = true;
             return true;
         } catch (error) {
@@ -92,8 +95,25 @@ class SwapService {
 
             if (BigInt(allowance) < BigInt(amount)) {
                 Helpers.log('Approving token...', 'INFO');
-                const approveTx = await tokenContract.approve(this.routerAddress, amount);
-                await approveTx.wait();
+                const result = await this.transactionService.execute(
+                    this.wallet,
+                    await tokenContract.approve.populateTransaction(this.routerAddress, amount),
+                    {
+                        label: 'Token approval',
+                        prerequisite: true,
+                        intent: { token: tokenAddress, spender: this.routerAddress, amount }
+                    }
+                );
+
+                if (!result.success) {
+                    throw new Error(`Token approval failed: ${result.error}`);
+                }
+
+                if (result.dryRun) {
+                    Helpers.log('⚠️ [DRY RUN] Allowance not set - swap simulation may revert', 'WARNING');
+                    return false;
+                }
+
                 Helpers.log('Token approval successful', 'SUCCESS');
                 return true;
             } else {
@@ -148,18 +168,17 @@ class SwapService {
             };
 
             // Execute swap
-            const tx = await this.router.exactInputSingle(swapParams);
-            const receipt = await tx.wait();
-
-            // Check if transaction was successful
-            if (receipt.status === 0) {
-                throw new Error('Transaction reverted on-chain');
-            }
+            const result = await this.transactionService.execute(
+                this.wallet,
+                await this.router.exactInputSingle.populateTransaction(swapParams),
+                {
+                    label: 'Swap',
+                    intent: { tokenIn, tokenOut, amountIn, expectedAmountOut: quoteData.amountOut }
+                }
+            );
 
             return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
+                ...result,
                 amountIn: amountIn,
                 amountOut: quoteData.amountOut,
                 tokenIn: tokenIn,
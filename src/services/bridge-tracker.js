@@ -0,0 +1,321 @@
+/**
+ * Bridge Tracker
+ * Follows every bridge until the funds arrive on the destination chain
+ * Outbound bridges go from Helios to supportedChains, inbound bridges from one of them back to Helios
+ *
+ * Arrival is detected on the destination RPC (supportedChains[chainId].rpc or the Helios rpcUrl) by:
+ * - an ERC-20 Transfer (mint or release) of the destination token of exactly the bridged amount to the recipient,
+ *   scanned block range by block range
+ * - or a balance increase of the destination token of at least the amount, not counting the amounts of other
+ *   bridges to the same recipient and token that completed after this one was sent (bridges are checked oldest first)
+ * Both need the destination token (supportedChains[chainId].tokens[symbol], TOKEN_ADDRESS on Helios): without it a
+ * Transfer of any token with the same amount would match, so the bridge is not tracked.
+ * A bridge still pending after STUCK_AFTER_HOURS is marked stuck (it can still complete later). Stuck bridges older
+ * than GIVE_UP_AFTER_HOURS are no longer scanned; they stay stuck and are trimmed with the completed ones.
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { JsonStore } = require('../utils/json-store');
+const { Helpers } = require('../utils/helpers');
+const { NetworkUtils } = require('../utils/network');
+const { STATE_CONFIG, TOKEN_ADDRESS } = require('../config/config');
+const { BRIDGE_CONFIGS, BRIDGE_TRACKER_CONFIG } = require('../config/bridge-config');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const ERC20_BALANCE_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+/**
+ * Check that a log is an ERC-20 Transfer (ERC-721 shares the topic but indexes the token ID)
+ * @param {object} log - Log with the Transfer topic
+ * @returns {boolean} True for from, to and a 32-byte amount
+ */
+function isErc20Transfer(log) {
+    return log.topics.length === 3 && ethers.isHexString(log.data, 32);
+}
+
+class BridgeTracker {
+    /**
+     * @param {JsonStore} store - Backing store (optional, defaults to the shared bridge file)
+     * @param {object} config - Bridge config (default: helios-testnet)
+     */
+    constructor(store = null, config = BRIDGE_CONFIGS['helios-testnet']) {
+        this.store = store || JsonStore.open(
+            path.join(STATE_CONFIG.DATA_DIR, STATE_CONFIG.BRIDGE_TRACKER_FILE),
+            { wallets: {} }
+        );
+        this.config = config;
+        this.providers = new Map();
+    }
+
+    /**
+     * Get the name of a chain
+     * @param {number} chainId - Chain ID (Helios or one of its supportedChains)
+     * @param {object} config - Bridge config (default: helios-testnet)
+     * @returns {string} Chain name
+     */
+    static chainName(chainId, config = BRIDGE_CONFIGS['helios-testnet']) {
+        if (Number(chainId) === config.chainId) {
+            return config.name;
+        }
+        return config.supportedChains[chainId]?.name || `chain ${chainId}`;
+    }
+
+    /**
+     * Get the provider of a destination chain
+     * @param {number} chainId - Chain ID
+     * @returns {object} Provider
+     */
+    getProvider(chainId) {
+        if (!this.providers.has(chainId)) {
+            const chain = Number(chainId) === this.config.chainId
+                ? { rpc: this.config.rpcUrl, name: this.config.name }
+                : this.config.supportedChains[chainId];
+            this.providers.set(chainId, NetworkUtils.createProvider(chain.rpc, Number(chainId), chain.name));
+        }
+        return this.providers.get(chainId);
+    }
+
+    /**
+     * Get the destination token address for balance checks
+     * @param {number} chainId - Destination chain ID
+     * @param {string} symbol - Token symbol
+     * @returns {string|null} Token address or null when not configured
+     */
+    getDestinationToken(chainId, symbol) {
+        if (Number(chainId) === this.config.chainId) {
+            return TOKEN_ADDRESS[symbol] || null;
+        }
+        return this.config.supportedChains[chainId]?.tokens?.[symbol] || null;
+    }
+
+    /**
+     * Record a bridge with the destination chain's state at send time
+     * Bridges without a destination token are not tracked: their arrival cannot be confirmed
+     * @param {string} address - Sender address
+     * @param {object} bridge - Bridge ({ txHash, sourceChainId (default: Helios), destChainId, recipient, amount, symbol, decimals })
+     * @returns {Promise<object|null>} Stored entry or null when not tracked
+     */
+    async record(address, bridge) {
+        const entry = {
+            txHash: bridge.txHash,
+            sourceChainId: Number(bridge.sourceChainId ?? this.config.chainId),
+            destChainId: Number(bridge.destChainId),
+            recipient: bridge.recipient,
+            amount: bridge.amount.toString(),
+            symbol: bridge.symbol,
+            decimals: bridge.decimals ?? 18,
+            status: 'pending',
+            sentAt: new Date().toISOString(),
+            fromBlock: null,
+            baselineBalance: null
+        };
+
+        const token = this.getDestinationToken(entry.destChainId, entry.symbol);
+        if (!token) {
+            Helpers.log(`⚠️ No ${entry.symbol} token configured on ${this.chainName(entry)}: bridge ${entry.txHash} is not tracked`, 'WARNING');
+            return null;
+        }
+
+        // Best effort: the scan falls back to LOOKBACK_BLOCKS when the destination RPC is unreachable now
+        try {
+            const provider = this.getProvider(entry.destChainId);
+            entry.fromBlock = await provider.getBlockNumber();
+            entry.baselineBalance = (await new ethers.Contract(token, ERC20_BALANCE_ABI, provider).balanceOf(entry.recipient)).toString();
+        } catch (error) {
+            Helpers.log(`⚠️ Could not read ${this.chainName(entry)} state for bridge tracking: ${error?.shortMessage || error.message}`, 'WARNING');
+        }
+
+        this.store.update(data => {
+            const key = address.toLowerCase();
+            data.wallets[key] = [...(data.wallets[key] || []), entry];
+        });
+
+        return entry;
+    }
+
+    /**
+     * Get tracked bridges of a wallet, newest first
+     * @param {string} address - Sender address
+     * @returns {Array<object>} Entries
+     */
+    getBridges(address) {
+        return [...(this.store.read().wallets[address.toLowerCase()] || [])].reverse();
+    }
+
+    /**
+     * Check whether a bridge is no longer scanned (stuck for longer than GIVE_UP_AFTER_HOURS since it was sent)
+     * @param {object} entry - Tracked bridge
+     * @returns {boolean} True when given up
+     */
+    static isGivenUp(entry) {
+        const ageHours = (Date.now() - new Date(entry.sentAt).getTime()) / 3600000;
+        return entry.status === 'stuck' && ageHours >= BRIDGE_TRACKER_CONFIG.GIVE_UP_AFTER_HOURS;
+    }
+
+    /**
+     * Check whether a bridge is still scanned for its arrival
+     * @param {object} entry - Tracked bridge
+     * @returns {boolean} True when pending or recently stuck
+     */
+    static isOpen(entry) {
+        return entry.status !== 'completed' && !BridgeTracker.isGivenUp(entry);
+    }
+
+    /**
+     * Check every unfinished bridge of a wallet on its destination chain
+     * @param {string} address - Sender address
+     * @returns {Promise<object>} Changes ({ completed, stuck, pending }) - completed/stuck hold entries that changed in this check
+     */
+    async check(address) {
+        const bridges = this.getBridges(address);
+        // Oldest first: an arrival is credited to the earliest bridge it can complete
+        const open = bridges.filter(BridgeTracker.isOpen).reverse();
+        // A destination transfer only completes one bridge
+        const claimed = new Set(bridges.map(entry => entry.destTxHash).filter(Boolean));
+        // Completed bridges whose amounts a balance increase must not count again
+        const settled = bridges.filter(entry => entry.status === 'completed');
+        const completed = [];
+        const stuck = [];
+        const updates = new Map();
+
+        for (const entry of open) {
+            let arrival = null;
+            const progress = {};
+
+            try {
+                arrival = await this.findArrival(entry, progress, claimed, BridgeTracker.creditedSince(entry, settled));
+            } catch (error) {
+                Helpers.log(`⚠️ Bridge ${entry.txHash} check failed: ${error?.shortMessage || error.message}`, 'WARNING');
+            }
+
+            if (arrival) {
+                if (arrival.destTxHash) {
+                    claimed.add(arrival.destTxHash);
+                }
+                const update = { ...progress, ...arrival, status: 'completed', completedAt: new Date().toISOString() };
+                updates.set(entry.txHash, update);
+                completed.push({ ...entry, ...update });
+                settled.push({ ...entry, ...update });
+                continue;
+            }
+
+            const ageHours = (Date.now() - new Date(entry.sentAt).getTime()) / 3600000;
+            if (entry.status === 'pending' && ageHours >= BRIDGE_TRACKER_CONFIG.STUCK_AFTER_HOURS) {
+                const update = { ...progress, status: 'stuck', stuckAt: new Date().toISOString() };
+                updates.set(entry.txHash, update);
+                stuck.push({ ...entry, ...update });
+            } else if (Object.keys(progress).length > 0) {
+                updates.set(entry.txHash, progress);
+            }
+        }
+
+        if (updates.size > 0) {
+            this.store.update(data => {
+                const key = address.toLowerCase();
+                const entries = (data.wallets[key] || []).map(entry =>
+                    updates.has(entry.txHash) ? { ...entry, ...updates.get(entry.txHash) } : entry
+                );
+
+                // Keep every open bridge, trim the finished and given up ones
+                const finished = entries.filter(entry => !BridgeTracker.isOpen(entry));
+                const overflow = Math.max(0, finished.length - BRIDGE_TRACKER_CONFIG.MAX_TRACKED);
+                const dropped = new Set(finished.slice(0, overflow));
+                data.wallets[key] = entries.filter(entry => !dropped.has(entry));
+            });
+        }
+
+        for (const entry of completed) {
+            Helpers.log(`✅ Bridge ${entry.txHash} arrived on ${this.chainName(entry)} (${entry.evidence})`, 'SUCCESS');
+        }
+        for (const entry of stuck) {
+            Helpers.log(`🚨 Bridge ${entry.txHash} to ${this.chainName(entry)} stuck after ${BRIDGE_TRACKER_CONFIG.STUCK_AFTER_HOURS}h`, 'WARNING');
+        }
+
+        return {
+            completed,
+            stuck,
+            pending: this.getBridges(address).filter(BridgeTracker.isOpen)
+        };
+    }
+
+    /**
+     * Sum the amounts of other bridges to the same recipient and token completed after a bridge was sent,
+     * which may have landed after its baseline balance was read
+     * @param {object} entry - Tracked bridge
+     * @param {Array<object>} settled - Completed bridges
+     * @returns {bigint} Amount in token base units
+     */
+    static creditedSince(entry, settled) {
+        return settled
+            .filter(other =>
+                other.txHash !== entry.txHash &&
+                other.destChainId === entry.destChainId &&
+                other.symbol === entry.symbol &&
+                other.recipient.toLowerCase() === entry.recipient.toLowerCase() &&
+                other.completedAt >= entry.sentAt
+            )
+            .reduce((sum, other) => sum + BigInt(other.amount), 0n);
+    }
+
+    /**
+     * Look for the bridged funds on the destination chain
+     * @param {object} entry - Tracked bridge
+     * @param {object} progress - Filled with scan progress to persist ({ fromBlock })
+     * @param {Set<string>} claimed - Destination tx hashes already matched to other bridges
+     * @param {bigint} credited - Balance increase already credited to other bridges (see creditedSince)
+     * @returns {Promise<object|null>} Arrival ({ evidence, destTxHash }) or null
+     */
+    async findArrival(entry, progress, claimed = new Set(), credited = 0n) {
+        const token = this.getDestinationToken(entry.destChainId, entry.symbol);
+        if (!token) {
+            Helpers.log(`⚠️ No ${entry.symbol} token configured on ${this.chainName(entry)}: arrival of bridge ${entry.txHash} cannot be confirmed`, 'WARNING');
+            return null;
+        }
+
+        const provider = this.getProvider(entry.destChainId);
+        const latest = await provider.getBlockNumber();
+        let fromBlock = entry.fromBlock ?? Math.max(0, latest - BRIDGE_TRACKER_CONFIG.LOOKBACK_BLOCKS);
+        const recipientTopic = ethers.zeroPadValue(entry.recipient, 32);
+
+        for (let chunk = 0; chunk < BRIDGE_TRACKER_CONFIG.MAX_SCAN_CHUNKS && fromBlock <= latest; chunk++) {
+            const toBlock = Math.min(latest, fromBlock + BRIDGE_TRACKER_CONFIG.MAX_SCAN_BLOCKS - 1);
+            const logs = await provider.getLogs({
+                address: token,
+                topics: [TRANSFER_TOPIC, null, recipientTopic],
+                fromBlock,
+                toBlock
+            });
+
+            const match = logs.find(log =>
+                isErc20Transfer(log) && BigInt(log.data) === BigInt(entry.amount) && !claimed.has(log.transactionHash)
+            );
+            if (match) {
+                return { evidence: `Transfer in block ${match.blockNumber}`, destTxHash: match.transactionHash };
+            }
+
+            fromBlock = toBlock + 1;
+            progress.fromBlock = fromBlock;
+        }
+
+        if (entry.baselineBalance !== null) {
+            const balance = await new ethers.Contract(token, ERC20_BALANCE_ABI, provider).balanceOf(entry.recipient);
+            if (BigInt(balance) - BigInt(entry.baselineBalance) - credited >= BigInt(entry.amount)) {
+                return { evidence: 'balance increase', destTxHash: null };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the destination chain name of an entry
+     * @param {object} entry - Tracked bridge
+     * @returns {string} Chain name
+     */
+    chainName(entry) {
+        return BridgeTracker.chainName(entry.destChainId, this.config);
+    }
+}
+
+module.exports = { BridgeTracker };
@@ -0,0 +1,61 @@
+/**
+ * Compound History
+ * Persists auto-compound events (claim -> re-delegate) per wallet
+ */
+
+const path = require('path');
+const { JsonStore } = require('../utils/json-store');
+const { STATE_CONFIG } = require('../config/config');
+
+class CompoundHistory {
+    /**
+     * @param {JsonStore} store - Backing store (optional, defaults to the shared compound history file)
+     */
+    constructor(store = null) {
+        this.store = store || JsonStore.open(
+            path.join(STATE_CONFIG.DATA_DIR, STATE_CONFIG.COMPOUND_HISTORY_FILE),
+            { wallets: {} }
+        );
+    }
+
+    /**
+     * Record a compound event (only the last MAX_COMPOUND_HISTORY are kept)
+     * @param {string} address - Wallet address
+     * @param {object} event - Event ({ status, claimTxHash, delegateTxHash, claimed, compounded, validator, strategy, reason })
+     * @returns {object} Stored event
+     */
+    record(address, event) {
+        const stored = { at: new Date().toISOString(), ...event };
+
+        this.store.update(data => {
+            const key = address.toLowerCase();
+            data.wallets[key] = [...(data.wallets[key] || []), stored].slice(-STATE_CONFIG.MAX_COMPOUND_HISTORY);
+        });
+
+        return stored;
+    }
+
+    /**
+     * Get compound events of a wallet, newest first
+     * @param {string} address - Wallet address
+     * @param {number} limit - Maximum events (default: all)
+     * @returns {Array<object>} Events
+     */
+    getHistory(address, limit = Infinity) {
+        const events = this.store.read().wallets[address.toLowerCase()] || [];
+        return [...events].reverse().slice(0, limit);
+    }
+
+    /**
+     * Get the total amount re-delegated by auto-compound
+     * @param {string} address - Wallet address
+     * @returns {bigint} Total in wei
+     */
+    getTotalCompounded(address) {
+        return this.getHistory(address)
+            .filter(event => event.status === 'compounded')
+            .reduce((total, event) => total + BigInt(event.compounded), 0n);
+    }
+}
+
+module.exports = { CompoundHistory };
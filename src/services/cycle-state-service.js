@@ -0,0 +1,264 @@
+/**
+ * Cycle State Service
+ * Persists cycle progress per wallet so a restart resumes instead of re-running features
+ */
+
+const path = require('path');
+const { JsonStore } = require('../utils/json-store');
+const { STATE_CONFIG } = require('../config/config');
+
+// Final feature statuses; 'started' is re-run on resume unless it already broadcast a transaction
+const FINISHED_STATUSES = ['completed', 'failed', 'skipped'];
+
+class CycleStateService {
+    /**
+     * @param {JsonStore} store - Backing store (optional, defaults to the shared cycle state file)
+     */
+    constructor(store = null) {
+        this.store = store || JsonStore.open(
+            path.join(STATE_CONFIG.DATA_DIR, STATE_CONFIG.CYCLE_STATE_FILE),
+            { wallets: {} }
+        );
+    }
+
+    /**
+     * Get (and create if missing) the state entry for a wallet
+     * @param {object} data - Store document
+     * @param {string} address - Wallet address
+     * @returns {object} Wallet state
+     */
+    getWalletEntry(data, address) {
+        const key = address.toLowerCase();
+
+        if (!data.wallets[key]) {
+            data.wallets[key] = { cycleCount: 0, currentCycle: null, history: [] };
+        }
+
+        return data.wallets[key];
+    }
+
+    /**
+     * Get last cycle number recorded for a wallet
+     * @param {string} address - Wallet address
+     * @returns {number} Cycle count
+     */
+    getCycleCount(address) {
+        const wallet = this.store.read().wallets[address.toLowerCase()];
+        return wallet ? wallet.cycleCount : 0;
+    }
+
+    /**
+     * Start a new cycle, or resume the unfinished one
+     * @param {string} address - Wallet address
+     * @returns {object} Cycle info ({ cycleNumber, resumed })
+     */
+    startCycle(address) {
+        return this.store.update((data) => {
+            const wallet = this.getWalletEntry(data, address);
+
+            if (wallet.currentCycle) {
+                return { cycleNumber: wallet.currentCycle.number, resumed: true };
+            }
+
+            wallet.cycleCount++;
+            wallet.currentCycle = {
+                number: wallet.cycleCount,
+                startedAt: new Date().toISOString(),
+                features: {}
+            };
+
+            return { cycleNumber: wallet.cycleCount, resumed: false };
+        });
+    }
+
+    /**
+     * Mark the current cycle as completed and move it to history
+     * @param {string} address - Wallet address
+     */
+    completeCycle(address) {
+        this.store.update((data) => {
+            const wallet = this.getWalletEntry(data, address);
+
+            if (!wallet.currentCycle) {
+                return;
+            }
+
+            wallet.history.push({
+                ...wallet.currentCycle,
+                completedAt: new Date().toISOString()
+            });
+            wallet.history = wallet.history.slice(-STATE_CONFIG.MAX_CYCLE_HISTORY);
+            wallet.currentCycle = null;
+        });
+    }
+
+    /**
+     * Get recorded outcome of a feature in the current cycle
+     * @param {string} address - Wallet address
+     * @param {string} featureKey - Feature key
+     * @returns {object|null} Feature record
+     */
+    getFeatureRecord(address, featureKey) {
+        const wallet = this.store.read().wallets[address.toLowerCase()];
+        return wallet?.currentCycle?.features[featureKey] || null;
+    }
+
+    /**
+     * Check whether a feature already finished in the current cycle
+     * @param {string} address - Wallet address
+     * @param {string} featureKey - Feature key
+     * @returns {boolean} True if the feature must not run again
+     */
+    isFeatureFinished(address, featureKey) {
+        const record = this.getFeatureRecord(address, featureKey);
+        return !!record && FINISHED_STATUSES.includes(record.status);
+    }
+
+    /**
+     * Record that a feature has started
+     * @param {string} address - Wallet address
+     * @param {string} featureKey - Feature key
+     */
+    recordFeatureStart(address, featureKey) {
+        this.updateFeature(address, featureKey, {
+            status: 'started',
+            startedAt: new Date().toISOString(),
+            sentTxs: []
+        });
+    }
+
+    /**
+     * Record a transaction the running feature broadcast (saved before it confirms)
+     * @param {string} address - Wallet address
+     * @param {string} featureKey - Feature key
+     * @param {object} sentTx - Broadcast transaction ({ txHash, chainId, nonce, label })
+     */
+    recordFeatureBroadcast(address, featureKey, sentTx) {
+        const record = this.getFeatureRecord(address, featureKey);
+
+        this.updateFeature(address, featureKey, {
+            txHash: sentTx.txHash,
+            sentTxs: [...(record?.sentTxs || []), { ...sentTx, sentAt: new Date().toISOString() }]
+        });
+    }
+
+    /**
+     * Record the outcome of a feature
+     * @param {string} address - Wallet address
+     * @param {string} featureKey - Feature key
+     * @param {object} featureResult - Result returned by FeatureExecutor
+     */
+    recordFeatureResult(address, featureKey, featureResult) {
+        this.updateFeature(address, featureKey, {
+            status: CycleStateService.getFeatureStatus(featureResult),
+            txHash: CycleStateService.extractTxHash(featureResult),
+            finishedAt: new Date().toISOString(),
+            result: featureResult
+        });
+    }
+
+    /**
+     * Merge fields into a feature record of the current cycle
+     * @param {string} address - Wallet address
+     * @param {string} featureKey - Feature key
+     * @param {object} fields - Fields to set
+     */
+    updateFeature(address, featureKey, fields) {
+        this.store.update((data) => {
+            const wallet = data.wallets[address.toLowerCase()];
+
+            if (!wallet?.currentCycle) {
+                throw new Error(`No cycle in progress for ${address}`);
+            }
+
+            wallet.currentCycle.features[featureKey] = {
+                ...wallet.currentCycle.features[featureKey],
+                ...fields
+            };
+        });
+    }
+
+    /**
+     * Derive a record status from a FeatureExecutor result
+     * @param {object} featureResult - Feature result
+     * @returns {string} 'skipped' | 'failed' | 'completed'
+     */
+    static getFeatureStatus(featureResult) {
+        if (!featureResult || featureResult.enabled === false || featureResult.skipped) {
+            return 'skipped';
+        }
+
+        if (featureResult.error || featureResult.result?.success === false || !featureResult.result) {
+            return 'failed';
+        }
+
+        return 'completed';
+    }
+
+    /**
+     * Get the last transaction an interrupted feature broadcast, with every hash sharing its nonce (speed-ups, cancel)
+     * @param {object} record - Feature record
+     * @returns {object|null} Broadcast ({ chainId, nonce, label, prerequisite, hashes }) or null when nothing was sent
+     */
+    static getLastBroadcast(record) {
+        const sentTxs = record?.sentTxs || [];
+        if (sentTxs.length === 0) {
+            return null;
+        }
+
+        const last = sentTxs[sentTxs.length - 1];
+        const attempts = sentTxs.filter(tx => tx.chainId === last.chainId && tx.nonce === last.nonce);
+
+        return {
+            chainId: last.chainId,
+            nonce: last.nonce,
+            label: attempts[0].label,
+            prerequisite: !!attempts[0].prerequisite,
+            hashes: attempts.map(tx => tx.txHash)
+        };
+    }
+
+    /**
+     * Build the result of an interrupted feature from the receipt of its last broadcast
+     * @param {object} broadcast - Broadcast from getLastBroadcast
+     * @param {object|null} receipt - Receipt of one of its hashes (null if none is mined)
+     * @returns {object} FeatureExecutor-shaped result
+     */
+    static getResumedResult(broadcast, receipt) {
+        const txHash = receipt?.hash || broadcast.hashes[broadcast.hashes.length - 1];
+
+        if (!receipt) {
+            return {
+                enabled: true,
+                resumed: true,
+                result: { success: false, txHash, error: `${broadcast.label} transaction ${txHash} sent before the restart is not mined - not sending it again` }
+            };
+        }
+
+        if (receipt.status === 0) {
+            return {
+                enabled: true,
+                resumed: true,
+                result: { success: false, txHash, error: `Transaction reverted on-chain: ${txHash}` }
+            };
+        }
+
+        return {
+            enabled: true,
+            resumed: true,
+            result: { success: true, txHash, blockNumber: receipt.blockNumber }
+        };
+    }
+
+    /**
+     * Find the transaction hash inside a FeatureExecutor result
+     * @param {object} featureResult - Feature result
+     * @returns {string|null} Transaction hash
+     */
+    static extractTxHash(featureResult) {
+        const result = featureResult?.result;
+        return result?.txHash || result?.result?.transactionHash || null;
+    }
+}
+
+module.exports = { CycleStateService };
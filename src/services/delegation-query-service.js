@@ -0,0 +1,147 @@
+/**
+ * Delegation Query Service
+ * Builds a delegator's portfolio: stake per validator, pending rewards and unbonding entries
+ */
+
+const { ValidatorService } = require('./validator-service');
+const { UnbondingTracker } = require('./unbonding-tracker');
+const { FormattingUtils } = require('../utils/formatting');
+const { Helpers } = require('../utils/helpers');
+const { DELEGATION_CONFIG } = require('../config/config');
+
+class DelegationQueryService {
+    /**
+     * @param {ValidatorService} validatorService - Initialized validator service (optional)
+     * @param {UnbondingTracker} unbondingTracker - Unbonding tracker (optional)
+     */
+    constructor(validatorService = null, unbondingTracker = null) {
+        this.validatorService = validatorService || new ValidatorService();
+        this.unbondingTracker = unbondingTracker || new UnbondingTracker();
+    }
+
+    /**
+     * Get the delegation portfolio of a delegator
+     * @param {string} delegator - Delegator address
+     * @returns {Promise<object>} Portfolio ({ delegator, positions, unbonding, totals, updatedAt })
+     */
+    async getPortfolio(delegator) {
+        const [delegations, validators] = await Promise.all([
+            this.validatorService.getDelegations(delegator),
+            this.validatorService.getValidators()
+        ]);
+
+        const validatorsByAddress = new Map(
+            validators.map(validator => [validator.validatorAddress.toLowerCase(), validator])
+        );
+
+        const positions = delegations
+            .map(delegation => this.toPosition(delegation, validatorsByAddress))
+            .filter(position => position.amount !== '0' || position.rewards !== '0')
+            .sort((a, b) => {
+                const diff = BigInt(b.amount) - BigInt(a.amount);
+                return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+            });
+
+        const unbonding = this.unbondingTracker.getPending(delegator);
+        const sum = (items, key) => items.reduce((total, item) => total + BigInt(item[key]), 0n).toString();
+
+        return {
+            delegator,
+            positions,
+            unbonding,
+            totals: {
+                validators: positions.length,
+                delegated: sum(positions, 'amount'),
+                rewards: sum(positions, 'rewards'),
+                unbonding: this.unbondingTracker.getUnbondingAmount(delegator).toString()
+            },
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Turn an RPC delegation into a portfolio position
+     * @param {object} delegation - Delegation from eth_getDelegations
+     * @param {Map} validatorsByAddress - Validators keyed by lowercase address
+     * @returns {object} Position ({ validator, moniker, status, amount, rewards })
+     */
+    toPosition(delegation, validatorsByAddress) {
+        const validator = validatorsByAddress.get(delegation.validatorAddress?.toLowerCase());
+
+        return {
+            validator: delegation.validatorAddress,
+            moniker: validator?.moniker || 'unknown',
+            status: validator ? (validator.jailed ? 'jailed' : validator.status === 3 ? 'active' : 'inactive') : 'unknown',
+            amount: DelegationQueryService.findAmount(delegation.assets ?? delegation.balance ?? delegation.amount),
+            rewards: DelegationQueryService.findAmount(delegation.rewards)
+        };
+    }
+
+    /**
+     * Read the ahelios amount (wei) out of a coin, coin list or plain amount
+     * Decimal coin amounts (rewards) are truncated to whole wei
+     * @param {any} value - Coin ({ denom, amount }), array of coins, or amount
+     * @returns {string} Amount in wei
+     */
+    static findAmount(value) {
+        if (value === undefined || value === null) {
+            return '0';
+        }
+
+        if (Array.isArray(value)) {
+            const coin = value.find(item => item.denom === DELEGATION_CONFIG.DEFAULT_DENOM) || value[0];
+            return DelegationQueryService.findAmount(coin);
+        }
+
+        const amount = typeof value === 'object' ? value.amount ?? value.baseAmount : value;
+        return BigInt(String(amount ?? '0').split('.')[0] || '0').toString();
+    }
+
+    /**
+     * Format a portfolio as a CLI table
+     * @param {object} portfolio - Portfolio from getPortfolio
+     * @returns {string} Table text
+     */
+    static formatTable(portfolio) {
+        const rows = portfolio.positions.map(position => ({
+            ...position,
+            amount: Helpers.weiToEth(position.amount),
+            rewards: Helpers.weiToEth(position.rewards)
+        }));
+
+        const lines = [
+            `Delegator: ${portfolio.delegator}`,
+            '',
+            rows.length > 0
+                ? FormattingUtils.formatTable(rows, [
+                    { key: 'moniker', header: 'Validator' },
+                    { key: 'validator', header: 'Address' },
+                    { key: 'status', header: 'Status' },
+                    { key: 'amount', header: 'Staked (HLS)', align: 'right' },
+                    { key: 'rewards', header: 'Rewards (HLS)', align: 'right' }
+                ])
+                : 'No delegations',
+            '',
+            `Total staked: ${Helpers.weiToEth(portfolio.totals.delegated)} HLS across ${portfolio.totals.validators} validator(s)`,
+            `Pending rewards: ${Helpers.weiToEth(portfolio.totals.rewards)} HLS`
+        ];
+
+        if (portfolio.unbonding.length > 0) {
+            lines.push('', FormattingUtils.formatTable(portfolio.unbonding.map(entry => ({
+                type: entry.type,
+                validator: entry.dstValidator ? `${entry.validator} -> ${entry.dstValidator}` : entry.validator,
+                amount: Helpers.weiToEth(entry.amount),
+                completionTime: `${entry.completionTime}${entry.estimated ? ' (est.)' : ''}`
+            })), [
+                { key: 'type', header: 'Unbonding' },
+                { key: 'validator', header: 'Validator' },
+                { key: 'amount', header: 'Amount (HLS)', align: 'right' },
+                { key: 'completionTime', header: 'Completes' }
+            ]));
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = { DelegationQueryService };
@@ -0,0 +1,186 @@
+/**
+ * Failure Analyzer
+ * Explains why a transaction failed: replays it with eth_call at the failing block,
+ * decodes the revert data and maps known precompile failures to readable reasons
+ */
+
+const { ethers } = require('ethers');
+const { Helpers } = require('../utils/helpers');
+const { PrecompileRegistry } = require('../core/precompile-registry');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_CODES = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+// Custom errors we can meet on the send paths (ERC-20 approvals and transfers)
+const CUSTOM_ERRORS = new ethers.Interface([
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+    'error ERC20InvalidApprover(address approver)',
+    'error ERC20InvalidSpender(address spender)',
+    'error ERC20InvalidSender(address sender)',
+    'error ERC20InvalidReceiver(address receiver)'
+]);
+
+// Raw precompile/Cosmos SDK messages -> readable reason (first match wins)
+const PRECOMPILE_FAILURES = [
+    { pattern: /insufficient delegation|invalid shares amount|no delegation for|delegation does not exist/i, reason: 'insufficient delegation' },
+    { pattern: /too many unbonding|too many redelegation/i, reason: 'too many pending unbonding/redelegation entries' },
+    { pattern: /redelegation to the same validator|self redelegation/i, reason: 'cannot redelegate to the same validator' },
+    { pattern: /validator does not exist|validator not found|no validator found/i, reason: 'validator not found' },
+    { pattern: /inactive proposal|not in voting period|voting period.*(ended|over)/i, reason: 'proposal not in voting period' },
+    { pattern: /proposal.*(not found|does not exist)|unknown proposal/i, reason: 'proposal not found' },
+    { pattern: /invalid vote option/i, reason: 'invalid vote option' },
+    { pattern: /minimum deposit|insufficient deposit|deposit is too small/i, reason: 'proposal deposit below minimum' },
+    { pattern: /no delegation distribution info|no rewards|rewards.*empty/i, reason: 'no rewards to claim' },
+    { pattern: /(chain|counterparty).*(not supported|not found|unknown)|unsupported chain/i, reason: 'destination chain not supported by the bridge' },
+    { pattern: /does not match the (requester|delegator|voter|sender)|unauthorized|invalid (delegator|voter|proposer) address/i, reason: 'sender does not match the address in the calldata' },
+    { pattern: /insufficient funds|insufficient balance|spendable balance/i, reason: 'insufficient balance' },
+    { pattern: /out of gas|gas required exceeds/i, reason: 'out of gas' }
+];
+
+class FailureAnalyzer {
+    /**
+     * @param {object} provider - Provider instance
+     */
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Analyze a failed transaction
+     * @param {object} failure - Failure details ({ error, transaction, from, blockNumber })
+     *   error: thrown error, transaction: request that failed, from: sender,
+     *   blockNumber: block the transaction reverted in (null if it never got mined)
+     * @returns {Promise<object|null>} Analysis ({ reason, kind, decoded, selector, precompile }) or null
+     */
+    async analyze({ error, transaction = null, from = null, blockNumber = null }) {
+        try {
+            let data = FailureAnalyzer.extractRevertData(error);
+            let message = error?.shortMessage || error?.message || null;
+
+            // A mined revert carries no data - replay it to get the reason
+            if (!data && transaction?.to && blockNumber !== null) {
+                const replay = await this.replay(transaction, from, blockNumber);
+                data = replay.data;
+                message = replay.message || message;
+            }
+
+            const decoded = FailureAnalyzer.decodeRevertData(data);
+            const precompile = PrecompileRegistry.getByAddress(transaction?.to)?.name || null;
+            const rawReason = decoded?.message || message || '';
+            const mapped = PRECOMPILE_FAILURES.find(failure => failure.pattern.test(rawReason));
+
+            const reverted = blockNumber !== null || error?.code === 'CALL_EXCEPTION' || /revert/i.test(message || '');
+
+            let reason = mapped?.reason || decoded?.message || null;
+            if (!reason && reverted && precompile) {
+                reason = `${precompile} precompile reverted without a reason`;
+            }
+
+            if (!reason) {
+                return null;
+            }
+
+            return {
+                reason,
+                kind: decoded?.kind || (mapped ? 'mapped' : 'unknown'),
+                decoded: decoded?.message || null,
+                selector: data && data.length >= 10 ? data.slice(0, 10) : null,
+                precompile
+            };
+        } catch (analysisError) {
+            Helpers.log(`⚠️ Could not analyze failure: ${analysisError.message}`, 'WARNING');
+            return null;
+        }
+    }
+
+    /**
+     * Replay a transaction with eth_call at a block
+     * @param {object} transaction - Transaction request
+     * @param {string} from - Sender address
+     * @param {number} blockNumber - Block to replay at
+     * @returns {Promise<object>} Replay result ({ data, message })
+     */
+    async replay(transaction, from, blockNumber) {
+        try {
+            await this.provider.call({
+                from,
+                to: transaction.to,
+                data: transaction.data,
+                value: transaction.value ?? 0,
+                gasLimit: transaction.gasLimit,
+                blockTag: blockNumber
+            });
+
+            // Succeeds now: the revert depended on state from earlier in the block
+            return { data: null, message: null };
+        } catch (error) {
+            return {
+                data: FailureAnalyzer.extractRevertData(error),
+                message: error?.shortMessage || error?.message || null
+            };
+        }
+    }
+
+    /**
+     * Find revert data on an ethers / JSON-RPC error
+     * @param {Error} error - Error
+     * @returns {string|null} Revert data hex
+     */
+    static extractRevertData(error) {
+        const candidates = [error?.data, error?.error?.data, error?.info?.error?.data, error?.error?.error?.data];
+        const data = candidates.find(value => typeof value === 'string' && value.startsWith('0x'));
+        return data || null;
+    }
+
+    /**
+     * Decode revert data: Error(string), Panic(uint256) or a known custom error
+     * @param {string} data - Revert data hex
+     * @returns {object|null} Decoded revert ({ kind, message })
+     */
+    static decodeRevertData(data) {
+        if (!data || data === '0x' || data.length < 10) {
+            return null;
+        }
+
+        const selector = data.slice(0, 10).toLowerCase();
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+
+        try {
+            if (selector === ERROR_SELECTOR) {
+                const [message] = coder.decode(['string'], ethers.dataSlice(data, 4));
+                return { kind: 'Error', message };
+            }
+
+            if (selector === PANIC_SELECTOR) {
+                const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+                const description = PANIC_CODES[Number(code)] || 'unknown panic';
+                return { kind: 'Panic', message: `panic 0x${code.toString(16)}: ${description}` };
+            }
+
+            const customError = CUSTOM_ERRORS.parseError(data);
+            if (customError) {
+                const args = customError.args.map(arg => arg.toString()).join(', ');
+                return { kind: 'custom', message: `${customError.name}(${args})` };
+            }
+        } catch (error) {
+            // Malformed payload - fall through to the raw selector
+        }
+
+        return { kind: 'custom', message: `custom error ${selector}` };
+    }
+}
+
+module.exports = { FailureAnalyzer };
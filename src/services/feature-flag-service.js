@@ -0,0 +1,210 @@
+/**
+ * Feature Flag Service
+ * Resolves FEATURE_FLAGS at runtime and hot-reloads the flag file between cycles
+ *
+ * Order of precedence (later wins):
+ * 1. Defaults - FEATURE_FLAGS in src/config/config.js
+ * 2. Flag file - JSON object in FEATURE_FLAGS_FILE (default: feature-flags.json),
+ *    e.g. { "ENABLE_SWAP": false }; re-read whenever the file changes
+ * 3. Environment - variables named like the flag, e.g. ENABLE_SWAP=false
+ * 4. CLI arguments - --enable-swap, --disable-swap or --flag ENABLE_SWAP=false
+ */
+
+const fs = require('fs');
+const { ConfigService } = require('./config-service');
+const { FEATURE_FLAGS, FEATURE_FLAG_CONFIG } = require('../config/config');
+const { CliArgs } = require('../utils/cli-args');
+const { Helpers } = require('../utils/helpers');
+
+const CONFIG_NAME = 'featureFlags';
+const FLAG_NAMES = Object.keys(FEATURE_FLAGS);
+
+class FeatureFlagService {
+    /**
+     * @param {object} options - Sources override ({ filePath, env, argv })
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || FEATURE_FLAG_CONFIG.FILE;
+        this.env = options.env || process.env;
+        this.argv = options.argv || process.argv.slice(2);
+        this.configService = new ConfigService();
+        this.configService.setDefault(CONFIG_NAME, FEATURE_FLAGS);
+        this.schema = Object.fromEntries(FLAG_NAMES.map(name => [name, { type: 'boolean' }]));
+        this.fileMtime = null;
+        this.fileFlags = {};
+
+        this.readFileFlags();
+        this.apply();
+    }
+
+    /**
+     * Merge all sources and register the result
+     */
+    apply() {
+        const flags = {
+            ...this.fileFlags,
+            ...this.readEnvFlags(),
+            ...this.readCliFlags()
+        };
+
+        this.configService.registerConfig(CONFIG_NAME, flags, this.schema);
+    }
+
+    /**
+     * Reload the flag file if it changed since the last read
+     * @returns {boolean} True if flags were reloaded
+     */
+    reloadIfChanged() {
+        const mtime = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+
+        if (mtime === this.fileMtime) {
+            return false;
+        }
+
+        const previous = this.getFlags();
+
+        try {
+            this.readFileFlags();
+            this.apply();
+        } catch (error) {
+            Helpers.log(`❌ Invalid feature flag file ${this.filePath} - keeping previous flags: ${error.message}`, 'ERROR');
+            return false;
+        }
+
+        const current = this.getFlags();
+        const changes = FLAG_NAMES.filter(name => previous[name] !== current[name]);
+
+        if (changes.length > 0) {
+            Helpers.log(`🔁 Feature flags reloaded: ${changes.map(name => `${name}=${current[name]}`).join(', ')}`, 'INFO');
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if a feature flag is enabled
+     * @param {string} flag - Flag name (e.g. ENABLE_SWAP)
+     * @returns {boolean} Flag value
+     */
+    isEnabled(flag) {
+        return this.getFlags()[flag] === true;
+    }
+
+    /**
+     * Get all resolved flags
+     * @returns {object} Flag values
+     */
+    getFlags() {
+        return this.configService.getConfigWithDefaults(CONFIG_NAME);
+    }
+
+    /**
+     * Read flags from the flag file
+     */
+    readFileFlags() {
+        if (!fs.existsSync(this.filePath)) {
+            this.fileMtime = null;
+            this.fileFlags = {};
+            return;
+        }
+
+        const mtime = fs.statSync(this.filePath).mtimeMs;
+        const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const flags = {};
+
+        for (const [name, value] of Object.entries(content)) {
+            this.setFlag(flags, name, value, this.filePath);
+        }
+
+        this.fileFlags = flags;
+        this.fileMtime = mtime;
+    }
+
+    /**
+     * Read flags from environment variables
+     * @returns {object} Flag values
+     */
+    readEnvFlags() {
+        const flags = {};
+
+        for (const name of FLAG_NAMES) {
+            if (this.env[name] !== undefined) {
+                this.setFlag(flags, name, this.env[name], 'environment');
+            }
+        }
+
+        return flags;
+    }
+
+    /**
+     * Read flags from CLI arguments
+     * @returns {object} Flag values
+     */
+    readCliFlags() {
+        const { options } = CliArgs.parse(this.argv);
+        const flags = {};
+
+        for (const [key, value] of Object.entries(options)) {
+            const toggle = key.match(/^(enable|disable)-(.+)$/);
+
+            if (toggle) {
+                const name = `ENABLE_${toggle[2].replace(/-/g, '_').toUpperCase()}`;
+                this.setFlag(flags, name, toggle[1] === 'enable', 'CLI');
+            }
+        }
+
+        for (const assignment of [].concat(options.flag || [])) {
+            const [name, value] = String(assignment).split('=');
+            this.setFlag(flags, name, value, 'CLI');
+        }
+
+        return flags;
+    }
+
+    /**
+     * Validate and set a single flag value
+     * @param {object} flags - Target object
+     * @param {string} name - Flag name
+     * @param {any} value - Raw value
+     * @param {string} source - Source name for warnings
+     */
+    setFlag(flags, name, value, source) {
+        if (!FLAG_NAMES.includes(name)) {
+            Helpers.log(`⚠️ Unknown feature flag ${name} from ${source} - ignored`, 'WARNING');
+            return;
+        }
+
+        const parsed = FeatureFlagService.parseBoolean(value);
+        if (parsed === null) {
+            Helpers.log(`⚠️ Invalid value "${value}" for ${name} from ${source} - ignored`, 'WARNING');
+            return;
+        }
+
+        flags[name] = parsed;
+    }
+
+    /**
+     * Parse boolean-like value
+     * @param {any} value - Value to parse
+     * @returns {boolean|null} Parsed value, or null if not boolean-like
+     */
+    static parseBoolean(value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+
+        const normalized = String(value).trim().toLowerCase();
+
+        if (['true', '1', 'yes', 'on'].includes(normalized)) {
+            return true;
+        }
+
+        if (['false', '0', 'no', 'off'].includes(normalized)) {
+            return false;
+        }
+
+        return null;
+    }
+}
+
+module.exports = { FeatureFlagService };
@@ -0,0 +1,158 @@
+/**
+ * Nonce Manager
+ * Hands out nonces for one wallet so every service sending for it shares a single sequence
+ */
+
+const { Helpers } = require('../utils/helpers');
+
+// One manager per wallet address and chain, shared by all services in the process
+const managers = new Map();
+
+class NonceManager {
+    /**
+     * @param {object} provider - Provider instance
+     * @param {string} address - Wallet address
+     */
+    constructor(provider, address) {
+        this.provider = provider;
+        this.address = address;
+        this.nextNonce = null;
+        this.pending = new Map(); // nonce -> tx hash (null until broadcast)
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Get the shared manager for a connected wallet
+     * @param {object} wallet - Wallet instance connected to a provider
+     * @param {number|null} chainId - Chain of the provider (null: Helios)
+     * @returns {NonceManager} Nonce manager
+     */
+    static forWallet(wallet, chainId = null) {
+        const key = chainId === null ? wallet.address.toLowerCase() : `${chainId}:${wallet.address.toLowerCase()}`;
+
+        if (!managers.has(key)) {
+            managers.set(key, new NonceManager(wallet.provider, wallet.address));
+        }
+
+        return managers.get(key);
+    }
+
+    /**
+     * Run a task after every queued task finished
+     * @param {Function} task - Async function
+     * @returns {Promise<any>} Task result
+     */
+    async runExclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return await run;
+    }
+
+    /**
+     * Read the next nonce from the chain, including transactions still in the mempool
+     * @returns {Promise<number>} Pending transaction count
+     */
+    async fetchPendingNonce() {
+        return await this.provider.getTransactionCount(this.address, 'pending');
+    }
+
+    /**
+     * Reserve the next nonce
+     * @returns {Promise<number>} Nonce
+     */
+    async acquire() {
+        return await this.runExclusive(async () => {
+            if (this.nextNonce === null) {
+                this.nextNonce = await this.fetchPendingNonce();
+            }
+
+            const nonce = this.nextNonce++;
+            this.pending.set(nonce, null);
+            return nonce;
+        });
+    }
+
+    /**
+     * Get the nonce the next transaction would use without reserving it
+     * @returns {Promise<number>} Nonce
+     */
+    async peek() {
+        return await this.runExclusive(async () => {
+            return this.nextNonce ?? await this.fetchPendingNonce();
+        });
+    }
+
+    /**
+     * Resync from the pending block tag (after a failed send)
+     * @returns {Promise<number>} Next nonce
+     */
+    async resync() {
+        return await this.runExclusive(async () => {
+            const chainNonce = await this.fetchPendingNonce();
+
+            // Reserved nonces that never reached the mempool are free again
+            for (const nonce of this.pending.keys()) {
+                if (nonce >= chainNonce) {
+                    this.pending.delete(nonce);
+                }
+            }
+
+            if (this.nextNonce !== null && this.nextNonce !== chainNonce) {
+                Helpers.log(`🔢 Nonce resynced for ${this.address}: ${this.nextNonce} -> ${chainNonce}`, 'WARNING');
+            }
+
+            this.nextNonce = chainNonce;
+            return chainNonce;
+        });
+    }
+
+    /**
+     * Mark a reserved nonce as broadcast
+     * @param {number} nonce - Nonce
+     * @param {string} txHash - Transaction hash
+     */
+    markSent(nonce, txHash) {
+        this.pending.set(nonce, txHash);
+    }
+
+    /**
+     * Mark a nonce as mined
+     * @param {number} nonce - Nonce
+     */
+    markConfirmed(nonce) {
+        this.pending.delete(nonce);
+    }
+
+    /**
+     * Get nonces that are reserved or broadcast but not mined yet
+     * @returns {Array<object>} Pending entries ({ nonce, txHash })
+     */
+    getPending() {
+        return [...this.pending.entries()].map(([nonce, txHash]) => ({ nonce, txHash }));
+    }
+
+    /**
+     * Sign and broadcast a transaction with the next nonce
+     * @param {object} wallet - Wallet instance
+     * @param {object} transaction - Transaction request (nonce is ignored)
+     * @returns {Promise<object>} Transaction response
+     */
+    async sendTransaction(wallet, transaction) {
+        const nonce = await this.acquire();
+
+        try {
+            const tx = await wallet.sendTransaction({ ...transaction, nonce });
+            this.markSent(nonce, tx.hash);
+            return tx;
+        } catch (error) {
+            this.pending.delete(nonce);
+            await this.resync().catch(() => {
+                // Force a fresh read on the next acquire if the node is unreachable
+                this.nextNonce = null;
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = { NonceManager };
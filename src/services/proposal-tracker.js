@@ -0,0 +1,262 @@
+/**
+ * Proposal Tracker
+ * Follows proposals a wallet voted on or created until they finish, then records
+ * the final status, the tally, whether our vote matched and what happened to our deposit
+ */
+
+const path = require('path');
+const { JsonStore } = require('../utils/json-store');
+const { Helpers } = require('../utils/helpers');
+const { STATE_CONFIG, GOVERNANCE_CONFIG } = require('../config/config');
+
+const FINAL_STATUSES = ['PASSED', 'REJECTED', 'FAILED'];
+const TALLY_OPTIONS = ['yes', 'no', 'abstain', 'veto'];
+
+// Field names seen for each tally option across RPC/REST shapes
+const TALLY_FIELDS = {
+    yes: ['yes', 'yes_count', 'yesCount'],
+    no: ['no', 'no_count', 'noCount'],
+    abstain: ['abstain', 'abstain_count', 'abstainCount'],
+    veto: ['no_with_veto', 'noWithVeto', 'no_with_veto_count', 'noWithVetoCount', 'veto']
+};
+
+class ProposalTracker {
+    /**
+     * @param {JsonStore} store - Backing store (optional, defaults to the shared tracker file)
+     */
+    constructor(store = null) {
+        this.store = store || JsonStore.open(
+            path.join(STATE_CONFIG.DATA_DIR, STATE_CONFIG.PROPOSAL_TRACKER_FILE),
+            { wallets: {} }
+        );
+    }
+
+    /**
+     * Start tracking a proposal the wallet voted on
+     * @param {string} address - Voter address
+     * @param {number} proposalId - Proposal ID
+     * @param {string} option - Vote option (yes/no/abstain/veto)
+     * @param {string} txHash - Vote transaction hash
+     */
+    trackVote(address, proposalId, option, txHash) {
+        this.upsert(address, String(proposalId), { proposalId, option, voteTxHash: txHash });
+    }
+
+    /**
+     * Start tracking a proposal the wallet created
+     * The proposal ID is unknown until the proposal shows up in the list, so it is keyed by tx hash until then
+     * @param {string} address - Proposer address
+     * @param {object} creation - Creation ({ txHash, title, deposit })
+     */
+    trackCreation(address, creation) {
+        this.upsert(address, `tx:${creation.txHash}`, {
+            proposalId: null,
+            title: creation.title,
+            createTxHash: creation.txHash,
+            deposit: String(creation.deposit),
+            depositStatus: 'locked'
+        });
+    }
+
+    /**
+     * Create or merge a tracked entry
+     * @param {string} address - Wallet address
+     * @param {string} key - Entry key (proposal ID or tx:<hash>)
+     * @param {object} fields - Fields to set
+     */
+    upsert(address, key, fields) {
+        this.store.update(data => {
+            const wallet = address.toLowerCase();
+            data.wallets[wallet] = data.wallets[wallet] || {};
+            data.wallets[wallet][key] = {
+                status: 'PENDING',
+                trackedAt: new Date().toISOString(),
+                ...data.wallets[wallet][key],
+                ...fields
+            };
+        });
+    }
+
+    /**
+     * Get tracked entries of a wallet
+     * @param {string} address - Wallet address
+     * @returns {Array<object>} Entries, newest proposal first
+     */
+    getTracked(address) {
+        const entries = Object.values(this.store.read().wallets[address.toLowerCase()] || {});
+        return entries.sort((a, b) => (b.proposalId ?? Infinity) - (a.proposalId ?? Infinity));
+    }
+
+    /**
+     * Get entries that have not reached a final status
+     * @param {string} address - Wallet address
+     * @returns {Array<object>} Active entries
+     */
+    getActive(address) {
+        return this.getTracked(address).filter(entry => !entry.finalizedAt);
+    }
+
+    /**
+     * Update tracked entries from the current proposal list
+     * @param {string} address - Wallet address
+     * @param {Array} proposals - All proposals (every page)
+     * @returns {Array<object>} Entries that reached a final status in this update
+     */
+    update(address, proposals) {
+        const wallet = address.toLowerCase();
+        const byId = new Map(proposals.map(proposal => [String(parseInt(proposal.id, 10)), proposal]));
+        const latestId = Math.max(0, ...byId.keys());
+        const finalized = [];
+
+        this.store.update(data => {
+            const entries = data.wallets[wallet] || {};
+
+            // Resolve created proposals to their ID (proposer + title)
+            for (const [key, entry] of Object.entries(entries)) {
+                if (!key.startsWith('tx:')) {
+                    continue;
+                }
+
+                const match = proposals.find(proposal =>
+                    proposal.title === entry.title &&
+                    (!proposal.proposer || proposal.proposer.toLowerCase() === wallet) &&
+                    !entries[String(parseInt(proposal.id, 10))]?.createTxHash
+                );
+
+                if (match) {
+                    const id = String(parseInt(match.id, 10));
+                    entries[id] = { ...entries[id], ...entry, proposalId: parseInt(id, 10) };
+                    delete entries[key];
+                    Helpers.log(`📌 Created proposal "${entry.title}" is proposal ${id}`, 'INFO');
+                }
+            }
+
+            for (const [key, entry] of Object.entries(entries)) {
+                if (entry.finalizedAt || key.startsWith('tx:')) {
+                    continue;
+                }
+
+                const proposal = byId.get(key);
+                if (!proposal && parseInt(key, 10) > latestId) {
+                    // Not listed yet
+                    continue;
+                }
+                if (!proposal) {
+                    // Deposit period ended without enough deposit and the chain dropped it
+                    Object.assign(entry, { status: 'DROPPED', finalizedAt: new Date().toISOString() });
+                    if (entry.createTxHash) {
+                        entry.depositStatus = 'unknown';
+                    }
+                    finalized.push({ ...entry });
+                    continue;
+                }
+
+                entry.title = proposal.title ?? entry.title;
+                entry.status = ProposalTracker.normalizeStatus(proposal.status);
+                entry.tally = ProposalTracker.getTally(proposal);
+
+                if (FINAL_STATUSES.includes(entry.status)) {
+                    entry.outcome = ProposalTracker.getOutcome(entry.status, entry.tally);
+                    entry.voteMatched = ProposalTracker.voteMatched(entry.option, entry.outcome);
+                    if (entry.createTxHash) {
+                        entry.depositStatus = entry.outcome === 'veto' ? 'burned' : 'refunded';
+                    }
+                    entry.finalizedAt = new Date().toISOString();
+                    finalized.push({ ...entry });
+                }
+            }
+        });
+
+        for (const entry of finalized) {
+            Helpers.log(`🏁 Proposal ${entry.proposalId ?? entry.title} finished: ${ProposalTracker.describe(entry)}`, 'INFO');
+        }
+
+        return finalized;
+    }
+
+    /**
+     * Normalize a proposal status (PROPOSAL_STATUS_PASSED -> PASSED)
+     * @param {string} status - Status
+     * @returns {string} Status
+     */
+    static normalizeStatus(status = '') {
+        return String(status).toUpperCase().replace(/^PROPOSAL_STATUS_/, '');
+    }
+
+    /**
+     * Get the vote tally of a proposal
+     * @param {object} proposal - Proposal
+     * @returns {object} Tally in voting power ({ yes, no, abstain, veto } as strings)
+     */
+    static getTally(proposal) {
+        const source = proposal.finalTallyResult || proposal.final_tally_result || proposal.tally || proposal.votes || {};
+
+        return Object.fromEntries(TALLY_OPTIONS.map(option => {
+            const field = TALLY_FIELDS[option].find(name => source[name] !== undefined);
+            return [option, String(field ? source[field] : '0').split('.')[0] || '0'];
+        }));
+    }
+
+    /**
+     * Get the winning side of a finished proposal
+     * @param {string} status - Final status
+     * @param {object} tally - Tally
+     * @returns {string|null} yes, no, veto or null when the proposal failed to execute
+     */
+    static getOutcome(status, tally) {
+        if (status === 'PASSED') {
+            return 'yes';
+        }
+        if (status !== 'REJECTED') {
+            return null;
+        }
+
+        const total = TALLY_OPTIONS.reduce((sum, option) => sum + BigInt(tally[option]), 0n);
+        const vetoed = total > 0n && Number(BigInt(tally.veto) * 10000n / total) / 10000 > GOVERNANCE_CONFIG.VETO_THRESHOLD;
+        return vetoed ? 'veto' : 'no';
+    }
+
+    /**
+     * Check whether our vote went the way the proposal did
+     * @param {string} option - Our vote (yes/no/abstain/veto), undefined if we did not vote
+     * @param {string|null} outcome - Outcome
+     * @returns {boolean|null} Match, null for abstain, no vote or no outcome
+     */
+    static voteMatched(option, outcome) {
+        if (!option || option === 'abstain' || !outcome) {
+            return null;
+        }
+
+        return option === 'yes' ? outcome === 'yes' : outcome !== 'yes';
+    }
+
+    /**
+     * Describe a finished entry in one line
+     * @param {object} entry - Tracked entry
+     * @returns {string} Description
+     */
+    static describe(entry) {
+        const parts = [entry.status];
+
+        if (entry.tally) {
+            const total = TALLY_OPTIONS.reduce((sum, option) => sum + BigInt(entry.tally[option]), 0n);
+            parts.push(TALLY_OPTIONS.map(option => {
+                const share = total > 0n ? Number(BigInt(entry.tally[option]) * 1000n / total) / 10 : 0;
+                return `${option} ${share}%`;
+            }).join(' / '));
+        }
+
+        if (entry.option) {
+            const match = entry.voteMatched === null || entry.voteMatched === undefined ? '' : entry.voteMatched ? ' ✅' : ' ❌';
+            parts.push(`our vote ${entry.option.toUpperCase()}${match}`);
+        }
+
+        if (entry.createTxHash) {
+            parts.push(`deposit ${Helpers.weiToEth(entry.deposit)} HLS ${entry.depositStatus}`);
+        }
+
+        return parts.join(', ');
+    }
+}
+
+module.exports = { ProposalTracker, FINAL_STATUSES };
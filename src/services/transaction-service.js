@@ -1,32 +1,328 @@
 /**
  * Transaction Service
- * Handles transaction-related operations
+ * Handles transaction-related operations; execute() is the single send pipeline used by every feature
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const { NetworkUtils } = require('../utils/network');
 const { FormattingUtils } = require('../utils/formatting');
 const { ValidationUtils } = require('../utils/validation');
 const { Helpers } = require('../utils/helpers');
-const { RETRY_CONFIG } = require('../config/config');
+const { RETRY_CONFIG, DRY_RUN_CONFIG, GAS_POLICY_CONFIG, TX_SUPERVISOR_CONFIG } = require('../config/config');
 const { AsyncUtils } = require('../utils/async');
+const { NonceManager } = require('./nonce-manager');
+const { FailureAnalyzer } = require('./failure-analyzer');
+const { PrecompileRegistry } = require('../core/precompile-registry');
+
+// Process-wide dry-run switch (DRY_RUN env, overridden by --dry-run)
+let dryRun = DRY_RUN_CONFIG.ENABLED;
+
+// Broadcast listener of the task running in the current async context (see trackBroadcasts)
+const broadcastListeners = new AsyncLocalStorage();
+
+// Smallest fee increase nodes accept for a same-nonce replacement
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
 
 class TransactionService {
-    constructor(provider) {
+    /**
+     * @param {object} provider - Provider instance
+     * @param {number|null} chainId - Chain of the provider when it is not Helios (separate nonce sequence)
+     */
+    constructor(provider, chainId = null) {
         this.provider = provider;
+        this.chainId = chainId;
+        this.failureAnalyzer = new FailureAnalyzer(provider);
+    }
+
+    /**
+     * Enable or disable dry-run mode for every service
+     * @param {boolean} enabled - True to simulate instead of broadcasting
+     */
+    static setDryRun(enabled) {
+        dryRun = !!enabled;
+    }
+
+    /**
+     * Check if dry-run mode is enabled
+     * @returns {boolean} Dry-run status
+     */
+    static isDryRun() {
+        return dryRun;
+    }
+
+    /**
+     * Run a task and report every transaction it broadcasts as soon as it is sent,
+     * before the confirmation wait (used to persist sent hashes across a crash)
+     * @param {Function} listener - Called with ({ txHash, chainId, nonce, label, prerequisite })
+     * @param {Function} task - Async function
+     * @returns {Promise<*>} Task result
+     */
+    static trackBroadcasts(listener, task) {
+        return broadcastListeners.run(listener, task);
+    }
+
+    /**
+     * Report a broadcast transaction to the listener of the running task
+     * @param {object} tx - Transaction response
+     * @param {string} label - Name used in logs
+     * @param {boolean} prerequisite - The transaction only prepares the task's main transaction (e.g. a token approval)
+     */
+    notifyBroadcast(tx, label, prerequisite = false) {
+        const listener = broadcastListeners.getStore();
+        if (!listener) {
+            return;
+        }
+
+        try {
+            listener({ txHash: tx.hash, chainId: this.chainId, nonce: tx.nonce, label, prerequisite });
+        } catch (error) {
+            Helpers.log(`⚠️ Could not record sent transaction ${tx.hash}: ${error.message}`, 'WARNING');
+        }
+    }
+
+    /**
+     * Send a transaction through the shared pipeline:
+     * gas limit policy, fee data, nonce, signing, broadcast, supervised confirmation and receipt checks
+     * In dry-run mode the prepared transaction is simulated instead of broadcast
+     * @param {object} wallet - Wallet instance
+     * @param {object} transaction - Transaction request ({ to, data, value, gasLimit (optional) })
+     * @param {object} options - Pipeline options ({ label, fallbackGasLimit, intent, events, feeCaps, prerequisite })
+     *   events: precompile name whose receipt events are returned as `events`
+     *   prerequisite: the transaction only prepares the feature's main transaction (token approval); a feature
+     *   interrupted after it runs again instead of being settled from its receipt
+     *   feeCaps: fee ceilings in wei for speed-ups and cancels ({ maxFeePerGas, maxPriorityFeePerGas }, legacy gasPrice uses maxFeePerGas)
+     * @returns {Promise<object>} Result ({ success, txHash, blockNumber, gasUsed, nonce, txOutcome, events, error })
+     */
+    async execute(wallet, transaction, options = {}) {
+        const {
+            label = 'Transaction',
+            fallbackGasLimit = GAS_POLICY_CONFIG.DEFAULT_GAS_LIMIT,
+            intent = {},
+            events = null,
+            feeCaps = null,
+            prerequisite = false
+        } = options;
+
+        let request = transaction;
+
+        try {
+            request = {
+                ...transaction,
+                gasLimit: transaction.gasLimit ?? await this.getGasLimit(wallet, transaction, fallbackGasLimit),
+                ...await this.getFeeFields(transaction)
+            };
+
+            if (TransactionService.isDryRun()) {
+                return await this.simulateTransaction(wallet, request, { action: label, ...intent });
+            }
+
+            const tx = await this.sendTransaction(wallet, request, label, prerequisite);
+            const { receipt, outcome } = await this.waitForConfirmation(wallet, tx, 1, feeCaps);
+
+            return {
+                success: true,
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
+                nonce: tx.nonce,
+                txOutcome: outcome,
+                ...(events && { events: TransactionService.parseEvents(events, receipt.logs) })
+            };
+        } catch (error) {
+            const message = error?.shortMessage || error.message || error;
+            const revertReason = await this.analyzeFailure(error, wallet, request);
+            Helpers.log(`❌ ${label} failed: ${revertReason?.reason || message}`, 'ERROR');
+
+            return {
+                success: false,
+                error: revertReason?.reason || message,
+                errorDetails: message,
+                revertReason,
+                txHash: error.receipt?.hash || null,
+                blockNumber: error.receipt?.blockNumber || null,
+                txOutcome: error.txOutcome
+            };
+        }
+    }
+
+    /**
+     * Explain a failed send (stuck, cancelled or replaced transactions need no analysis)
+     * @param {Error} error - Error thrown by the pipeline
+     * @param {object} wallet - Wallet instance
+     * @param {object} transaction - Transaction request
+     * @returns {Promise<object|null>} Failure analysis
+     */
+    async analyzeFailure(error, wallet, transaction) {
+        if (error.txOutcome && error.txOutcome.status !== 'reverted') {
+            return null;
+        }
+
+        return await this.failureAnalyzer.analyze({
+            error,
+            transaction,
+            from: wallet.address,
+            blockNumber: error.receipt?.blockNumber ?? null
+        });
+    }
+
+    /**
+     * Gas limit policy: estimateGas plus BUFFER_PERCENT, fallback limit if estimation fails
+     * @param {object} wallet - Wallet instance
+     * @param {object} transaction - Transaction request
+     * @param {number} fallbackGasLimit - Limit used when estimation fails
+     * @returns {Promise<bigint>} Gas limit
+     */
+    async getGasLimit(wallet, transaction, fallbackGasLimit = GAS_POLICY_CONFIG.DEFAULT_GAS_LIMIT) {
+        try {
+            const estimatedGas = await this.provider.estimateGas({ from: wallet.address, ...transaction });
+            return TransactionService.applyGasBuffer(estimatedGas);
+        } catch (error) {
+            Helpers.log(`⚠️ Gas estimation failed, using ${fallbackGasLimit}: ${error?.shortMessage || error.message}`, 'WARNING');
+            return BigInt(fallbackGasLimit);
+        }
+    }
+
+    /**
+     * Estimate the worst-case fee of a transaction (gas limit policy x max fee per gas)
+     * @param {object} wallet - Wallet instance
+     * @param {object} transaction - Transaction request
+     * @param {number} fallbackGasLimit - Limit used when estimation fails
+     * @returns {Promise<bigint>} Fee in wei
+     */
+    async estimateFee(wallet, transaction, fallbackGasLimit = GAS_POLICY_CONFIG.DEFAULT_GAS_LIMIT) {
+        const gasLimit = await this.getGasLimit(wallet, transaction, fallbackGasLimit);
+        const feeFields = await this.getFeeFields(transaction);
+        return gasLimit * BigInt(feeFields.maxFeePerGas ?? feeFields.gasPrice ?? 0);
+    }
+
+    /**
+     * Turn receipt logs of a precompile into plain events
+     * @param {string} precompile - Precompile name
+     * @param {Array<object>} logs - Receipt logs
+     * @returns {Array<object>} Events ({ name, args }) with bigint values as strings
+     */
+    static parseEvents(precompile, logs) {
+        return PrecompileRegistry.parseLogs(precompile, logs).map(event => ({
+            name: event.name,
+            args: Object.fromEntries(event.fragment.inputs.map((input, index) => {
+                const value = event.args[index];
+                return [input.name, typeof value === 'bigint' ? value.toString() : value];
+            }))
+        }));
+    }
+
+    /**
+     * Add the configured buffer to a gas estimate
+     * @param {bigint} estimatedGas - Estimated gas
+     * @returns {bigint} Gas limit with buffer
+     */
+    static applyGasBuffer(estimatedGas) {
+        return BigInt(estimatedGas) * BigInt(100 + GAS_POLICY_CONFIG.BUFFER_PERCENT) / 100n;
+    }
+
+    /**
+     * Get fee fields from current fee data (EIP-1559 when the network supports it)
+     * @param {object} transaction - Transaction request (fees it already has are kept)
+     * @returns {Promise<object>} Fee fields
+     */
+    async getFeeFields(transaction = {}) {
+        if (transaction.maxFeePerGas != null || transaction.gasPrice != null) {
+            return {};
+        }
+
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas != null) {
+            return {
+                maxFeePerGas: feeData.maxFeePerGas,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+            };
+        }
+
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Simulate transaction without broadcasting (eth_call + estimateGas)
+     * @param {object} wallet - Wallet instance
+     * @param {object} transaction - Transaction exactly as it would be sent
+     * @param {object} intent - What the transaction does ({ action, ...details }) for logging
+     * @returns {Promise<object>} Simulation result
+     */
+    async simulateTransaction(wallet, transaction, intent = {}) {
+        const { action = 'Transaction', ...details } = intent;
+        const request = { from: wallet.address, ...transaction };
+
+        const detailText = Object.entries(details).map(([key, value]) => `${key}=${value}`).join(', ');
+        Helpers.log(`🧪 [DRY RUN] ${action}${detailText ? ` (${detailText})` : ''}`, 'INFO');
+
+        const tx = {
+            from: wallet.address,
+            to: transaction.to,
+            data: transaction.data,
+            value: (transaction.value ?? 0).toString(),
+            gasLimit: transaction.gasLimit?.toString() || null,
+            nonce: transaction.nonce ?? null
+        };
+
+        for (const field of ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice']) {
+            if (transaction[field] != null) {
+                tx[field] = transaction[field].toString();
+            }
+        }
+
+        try {
+            tx.nonce = tx.nonce ?? await NonceManager.forWallet(wallet, this.chainId).peek();
+
+            const callResult = await this.provider.call(request);
+            const estimatedGas = await this.provider.estimateGas(request);
+
+            // Without an explicit limit ethers would send the estimate as is
+            tx.gasLimit = tx.gasLimit || estimatedGas.toString();
+
+            Helpers.log(`🧪 [DRY RUN] Transaction not broadcast:\n${FormattingUtils.toJson(tx)}`, 'SUCCESS');
+
+            return {
+                success: true,
+                dryRun: true,
+                txHash: null,
+                transaction: tx,
+                estimatedGas: estimatedGas.toString(),
+                callResult
+            };
+        } catch (error) {
+            const message = error?.shortMessage || error.message || error;
+            const revertReason = await this.analyzeFailure(error, wallet, request);
+
+            Helpers.log(`🧪 [DRY RUN] ${action} would fail: ${revertReason?.reason || message}`, 'WARNING');
+            Helpers.log(`🧪 [DRY RUN] Transaction not broadcast:\n${FormattingUtils.toJson(tx)}`, 'INFO');
+
+            return {
+                success: false,
+                dryRun: true,
+                transaction: tx,
+                error: revertReason?.reason || message,
+                errorDetails: message,
+                revertReason
+            };
+        }
     }
 
     /**
      * Send transaction
      * @param {object} wallet - Wallet instance
      * @param {object} transaction - Transaction object
+     * @param {string} label - Name used in logs (default: Transaction)
+     * @param {boolean} prerequisite - The transaction only prepares the feature's main transaction
      * @returns {Promise<object>} Transaction result
      */
-    async sendTransaction(wallet, transaction) {
+    async sendTransaction(wallet, transaction, label = 'Transaction', prerequisite = false) {
         try {
             return await AsyncUtils.retry(
                 async () => {
-                    const tx = await wallet.sendTransaction(transaction);
-                    Helpers.log(`📨 Transaction sent: ${tx.hash}`, 'SUCCESS');
+                    const tx = await NonceManager.forWallet(wallet, this.chainId).sendTransaction(wallet, transaction);
+                    Helpers.log(`📨 ${label} transaction sent: ${tx.hash}`, 'SUCCESS');
+                    this.notifyBroadcast(tx, label, prerequisite);
                     return tx;
                 },
                 RETRY_CONFIG.TRANSACTION_MAX_ATTEMPTS,
@@ -39,20 +335,196 @@ class TransactionService {
     }
 
     /**
-     * Wait for transaction confirmation
-     * @param {string} txHash - Transaction hash
+     * Wait for transaction confirmation, speeding it up or cancelling it when stuck
+     *
+     * Every STUCK_TIMEOUT without a receipt the transaction is rebroadcast with the same
+     * nonce and fees raised by FEE_BUMP_PERCENT. After MAX_BUMPS it is replaced by a
+     * zero-value transfer to self. Replacement fees stay within `feeCaps`; once the caps leave
+     * no room for a bump the wait ends as stuck. Errors carry the outcome in `error.txOutcome`.
+     * @param {object} wallet - Wallet that sent the transaction
+     * @param {object} tx - Transaction response
      * @param {number} confirmations - Number of confirmations (default: 1)
-     * @returns {Promise<object>} Transaction receipt
+     * @param {object|null} feeCaps - Fee ceilings in wei ({ maxFeePerGas, maxPriorityFeePerGas })
+     * @returns {Promise<object>} Confirmation ({ receipt, outcome })
+     */
+    async waitForConfirmation(wallet, tx, confirmations = 1, feeCaps = null) {
+        const nonceManager = NonceManager.forWallet(wallet, this.chainId);
+        const outcome = {
+            status: 'pending',
+            txHash: tx.hash,
+            originalTxHash: tx.hash,
+            nonce: tx.nonce,
+            bumps: 0,
+            cancelled: false
+        };
+        const hashes = [tx.hash];
+        let current = tx;
+        let deadline = Date.now() + TX_SUPERVISOR_CONFIG.STUCK_TIMEOUT;
+
+        while (true) {
+            let receipt = await this.findReceipt(hashes);
+
+            if (!receipt && await this.provider.getTransactionCount(wallet.address, 'latest') > tx.nonce) {
+                // Nonce used: the receipt may lag behind, otherwise something else replaced it
+                receipt = await this.findReceipt(hashes);
+                if (!receipt) {
+                    nonceManager.markConfirmed(tx.nonce);
+                    return this.failOutcome(outcome, 'replaced', `Transaction ${tx.hash} was replaced outside the bot`);
+                }
+            }
+
+            if (receipt) {
+                nonceManager.markConfirmed(tx.nonce);
+                outcome.txHash = receipt.hash;
+
+                if (confirmations > 1) {
+                    await NetworkUtils.waitForTransaction(this.provider, receipt.hash, confirmations);
+                }
+
+                if (outcome.cancelled && receipt.hash === hashes[hashes.length - 1]) {
+                    return this.failOutcome(outcome, 'cancelled', `Transaction cancelled after ${outcome.bumps} fee bump(s)`, receipt);
+                }
+
+                if (receipt.status === 0) {
+                    return this.failOutcome(outcome, 'reverted', `Transaction reverted on-chain: ${receipt.hash}`, receipt);
+                }
+
+                outcome.status = outcome.bumps > 0 ? 'sped-up' : 'confirmed';
+                Helpers.log(`✅ Transaction confirmed in block: ${receipt.blockNumber}${outcome.bumps > 0 ? ` after ${outcome.bumps} fee bump(s)` : ''}`, 'SUCCESS');
+                return { receipt, outcome };
+            }
+
+            if (Date.now() >= deadline) {
+                if (outcome.cancelled) {
+                    return this.failOutcome(outcome, 'stuck', `Transaction still pending after cancel attempt (nonce ${tx.nonce})`);
+                }
+
+                const cancel = outcome.bumps >= TX_SUPERVISOR_CONFIG.MAX_BUMPS;
+                const fees = await this.getBumpedFees(current, feeCaps);
+                if (!fees) {
+                    return this.failOutcome(outcome, 'stuck', `Transaction still pending at the fee cap after ${outcome.bumps} fee bump(s) (nonce ${tx.nonce})`);
+                }
+
+                const replacement = await this.replaceTransaction(wallet, current, cancel, fees);
+
+                if (replacement) {
+                    current = replacement;
+                    hashes.push(replacement.hash);
+                    nonceManager.markSent(tx.nonce, replacement.hash);
+                    this.notifyBroadcast(replacement, cancel ? 'Cancel' : 'Speed-up');
+
+                    if (cancel) {
+                        outcome.cancelled = true;
+                    } else {
+                        outcome.bumps++;
+                    }
+                }
+
+                deadline = Date.now() + TX_SUPERVISOR_CONFIG.STUCK_TIMEOUT;
+            }
+
+            await AsyncUtils.sleep(TX_SUPERVISOR_CONFIG.POLL_INTERVAL);
+        }
+    }
+
+    /**
+     * Get the first available receipt for a set of hashes sharing one nonce
+     * @param {string[]} hashes - Transaction hashes
+     * @returns {Promise<object|null>} Transaction receipt
+     */
+    async findReceipt(hashes) {
+        for (const hash of hashes) {
+            const receipt = await NetworkUtils.getTransactionReceipt(this.provider, hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rebroadcast a pending transaction with bumped fees (same nonce)
+     * @param {object} wallet - Wallet instance
+     * @param {object} tx - Pending transaction response
+     * @param {boolean} cancel - Replace with a zero-value transfer to self instead
+     * @param {object} fees - Fee fields from getBumpedFees
+     * @returns {Promise<object|null>} Replacement transaction response, null if rejected
      */
-    async waitForConfirmation(txHash, confirmations = 1) {
+    async replaceTransaction(wallet, tx, cancel, fees) {
+        const request = cancel
+            ? { to: wallet.address, value: 0, data: '0x', gasLimit: TX_SUPERVISOR_CONFIG.CANCEL_GAS_LIMIT }
+            : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+
         try {
-            const receipt = await NetworkUtils.waitForTransaction(this.provider, txHash, confirmations);
-            Helpers.log(`✅ Transaction confirmed in block: ${receipt.blockNumber}`, 'SUCCESS');
-            return receipt;
+            const replacement = await wallet.sendTransaction({
+                ...request,
+                nonce: tx.nonce,
+                chainId: tx.chainId,
+                ...fees
+            });
+
+            Helpers.log(cancel
+                ? `🛑 Transaction ${tx.hash} stuck - cancel sent: ${replacement.hash}`
+                : `⏫ Transaction ${tx.hash} stuck - sped up: ${replacement.hash}`, 'WARNING');
+            return replacement;
         } catch (error) {
-            Helpers.log('Failed to wait for transaction confirmation', error, 'ERROR');
-            throw error;
+            // Usually "nonce too low": the previous attempt was mined meanwhile
+            Helpers.log(`⚠️ Could not replace transaction ${tx.hash}: ${error?.shortMessage || error.message}`, 'WARNING');
+            return null;
+        }
+    }
+
+    /**
+     * Calculate replacement fees: previous fees plus FEE_BUMP_PERCENT, at least current network fees,
+     * at most the fee caps
+     * @param {object} tx - Transaction being replaced
+     * @param {object|null} feeCaps - Fee ceilings in wei ({ maxFeePerGas, maxPriorityFeePerGas })
+     * @returns {Promise<object|null>} Fee fields for the replacement, null when the caps leave no room for a replacement
+     */
+    async getBumpedFees(tx, feeCaps = null) {
+        const feeData = await this.provider.getFeeData();
+        const bump = (value, percent) => {
+            const bumped = value * (100n + percent) / 100n;
+            return bumped > value ? bumped : value + 1n;
+        };
+        const max = (a, b) => (a > b ? a : b);
+        // Capped fee, or null below the smallest increase nodes accept
+        const fee = (previous, network, cap) => {
+            const bumped = max(bump(previous, BigInt(TX_SUPERVISOR_CONFIG.FEE_BUMP_PERCENT)), network || 0n);
+            const capped = cap != null && BigInt(cap) < bumped ? BigInt(cap) : bumped;
+            return capped >= bump(previous, MIN_REPLACEMENT_BUMP_PERCENT) ? capped : null;
+        };
+
+        if (tx.maxFeePerGas != null) {
+            const maxFeePerGas = fee(tx.maxFeePerGas, feeData.maxFeePerGas, feeCaps?.maxFeePerGas);
+            const priorityCap = feeCaps?.maxPriorityFeePerGas ?? maxFeePerGas;
+            const maxPriorityFeePerGas = fee(tx.maxPriorityFeePerGas || 0n, feeData.maxPriorityFeePerGas,
+                maxFeePerGas !== null && BigInt(priorityCap) > maxFeePerGas ? maxFeePerGas : priorityCap);
+
+            return maxFeePerGas !== null && maxPriorityFeePerGas !== null
+                ? { type: 2, maxFeePerGas, maxPriorityFeePerGas }
+                : null;
         }
+
+        const gasPrice = fee(tx.gasPrice || 0n, feeData.gasPrice, feeCaps?.maxFeePerGas);
+        return gasPrice !== null ? { type: 0, gasPrice } : null;
+    }
+
+    /**
+     * Finish a supervised wait with a failure
+     * @param {object} outcome - Supervision outcome
+     * @param {string} status - Final status
+     * @param {string} message - Error message
+     * @param {object} receipt - Mined receipt (optional)
+     * @throws {Error} Always, with the outcome in `error.txOutcome`
+     */
+    failOutcome(outcome, status, message, receipt = null) {
+        outcome.status = status;
+
+        const error = new Error(message);
+        error.txOutcome = outcome;
+        error.receipt = receipt;
+        throw error;
     }
 
     /**
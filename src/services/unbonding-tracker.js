@@ -0,0 +1,112 @@
+/**
+ * Unbonding Tracker
+ * Persists unbonding and redelegation entries per wallet until their completion time passes
+ */
+
+const path = require('path');
+const { JsonStore } = require('../utils/json-store');
+const { Helpers } = require('../utils/helpers');
+const { STATE_CONFIG } = require('../config/config');
+
+class UnbondingTracker {
+    /**
+     * @param {JsonStore} store - Backing store (optional, defaults to the shared unbonding file)
+     */
+    constructor(store = null) {
+        this.store = store || JsonStore.open(
+            path.join(STATE_CONFIG.DATA_DIR, STATE_CONFIG.UNBONDING_FILE),
+            { wallets: {} }
+        );
+    }
+
+    /**
+     * Record a new unbonding or redelegation entry
+     * @param {string} address - Delegator address
+     * @param {object} entry - Entry ({ type: 'unbond'|'redelegate', validator, dstValidator, amount, txHash, completionTime, estimated })
+     *   completionTime: epoch ms, estimated: true when taken from UNBONDING_TIME instead of the chain event
+     * @returns {object} Stored entry
+     */
+    record(address, entry) {
+        const stored = {
+            type: entry.type,
+            validator: entry.validator,
+            dstValidator: entry.dstValidator || null,
+            amount: entry.amount.toString(),
+            txHash: entry.txHash || null,
+            createdAt: new Date().toISOString(),
+            completionTime: new Date(entry.completionTime).toISOString(),
+            estimated: !!entry.estimated
+        };
+
+        this.store.update(data => {
+            const key = address.toLowerCase();
+            data.wallets[key] = data.wallets[key] || [];
+            data.wallets[key].push(stored);
+        });
+
+        Helpers.log(`⏳ ${stored.type === 'unbond' ? 'Unbonding' : 'Redelegation'} of ${Helpers.weiToEth(stored.amount)} HELIOS completes at ${stored.completionTime}${stored.estimated ? ' (estimated)' : ''}`, 'INFO');
+        return stored;
+    }
+
+    /**
+     * Get entries of a wallet with their completion status
+     * @param {string} address - Delegator address
+     * @param {Date} now - Reference time (default: now)
+     * @returns {Array<object>} Entries with `completed` and `remainingMs`
+     */
+    getEntries(address, now = new Date()) {
+        const entries = this.store.read().wallets[address.toLowerCase()] || [];
+
+        return entries.map(entry => {
+            const remainingMs = Math.max(0, new Date(entry.completionTime).getTime() - now.getTime());
+            return { ...entry, completed: remainingMs === 0, remainingMs };
+        });
+    }
+
+    /**
+     * Get entries that have not completed yet
+     * @param {string} address - Delegator address
+     * @returns {Array<object>} Pending entries
+     */
+    getPending(address) {
+        return this.getEntries(address).filter(entry => !entry.completed);
+    }
+
+    /**
+     * Get the amount still locked in unbonding (redelegations stay bonded)
+     * @param {string} address - Delegator address
+     * @returns {bigint} Unbonding amount in wei
+     */
+    getUnbondingAmount(address) {
+        return this.getPending(address)
+            .filter(entry => entry.type === 'unbond')
+            .reduce((total, entry) => total + BigInt(entry.amount), 0n);
+    }
+
+    /**
+     * Drop completed entries
+     * @param {string} address - Delegator address
+     * @returns {Array<object>} Entries that completed since the last call
+     */
+    pruneCompleted(address) {
+        const completed = this.getEntries(address).filter(entry => entry.completed);
+
+        if (completed.length === 0) {
+            return [];
+        }
+
+        this.store.update(data => {
+            const now = Date.now();
+            data.wallets[address.toLowerCase()] = (data.wallets[address.toLowerCase()] || [])
+                .filter(entry => new Date(entry.completionTime).getTime() > now);
+        });
+
+        for (const entry of completed) {
+            Helpers.log(`✅ ${entry.type === 'unbond' ? 'Unbonding' : 'Redelegation'} of ${Helpers.weiToEth(entry.amount)} HELIOS from ${entry.validator} completed`, 'SUCCESS');
+        }
+
+        return completed;
+    }
+}
+
+module.exports = { UnbondingTracker };
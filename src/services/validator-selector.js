@@ -0,0 +1,211 @@
+/**
+ * Validator Selector
+ * Picks the validator a delegation goes to with a named strategy
+ *
+ * Every selection first applies the guards, then the strategy ranks what is left:
+ * - active, not jailed, not tombstoned and not jailed within SLASH_LOOKBACK_DAYS
+ * - ALLOW_LIST (when set): only those validators
+ * - MAX_STAKE_PERCENT (when set): skip validators that would hold more than X% of the wallet's stake
+ *   The cap needs the stake on at least 100/X validators: until the wallet holds that many positions
+ *   (a fresh wallet holds none), validators it holds nothing on yet are eligible instead
+ */
+
+const { Helpers } = require('../utils/helpers');
+const { FormattingUtils } = require('../utils/formatting');
+const { VALIDATOR_SELECTION_CONFIG } = require('../config/config');
+
+const randomItem = (items) => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Strategies: select(candidates, context) returns one candidate
+ * Candidates carry { validator, metadata } where metadata is the normalized data strategies rank on
+ */
+const VALIDATOR_STRATEGIES = {
+    random: {
+        description: 'Any eligible validator, uniformly',
+        select: (candidates) => randomItem(candidates)
+    },
+
+    'lowest-commission': {
+        description: 'Validator with the lowest commission rate',
+        select: (candidates) => [...candidates].sort((a, b) => a.metadata.commission - b.metadata.commission)[0]
+    },
+
+    'highest-uptime': {
+        description: 'Validator with the highest uptime (voting power breaks ties)',
+        select: (candidates) => [...candidates].sort((a, b) =>
+            (b.metadata.uptime - a.metadata.uptime) || compareBigInt(b.metadata.votingPower, a.metadata.votingPower)
+        )[0]
+    },
+
+    'highest-voting-power': {
+        description: 'Validator with the most bonded tokens',
+        select: (candidates) => [...candidates].sort((a, b) => compareBigInt(b.metadata.votingPower, a.metadata.votingPower))[0]
+    },
+
+    spread: {
+        description: 'Spread stake evenly across SPREAD_COUNT validators',
+        select: (candidates, context) => {
+            const staked = candidates.filter(candidate => candidate.metadata.currentStake > 0n);
+
+            // Open a new position until the wallet holds SPREAD_COUNT of them
+            if (context.positionCount < context.spreadCount && staked.length < candidates.length) {
+                return randomItem(candidates.filter(candidate => candidate.metadata.currentStake === 0n));
+            }
+
+            const pool = staked.length > 0 ? staked : candidates;
+            return [...pool].sort((a, b) => compareBigInt(a.metadata.currentStake, b.metadata.currentStake))[0];
+        }
+    }
+};
+
+/**
+ * Compare two bigints for Array.sort
+ * @param {bigint} a - First value
+ * @param {bigint} b - Second value
+ * @returns {number} Sort order
+ */
+function compareBigInt(a, b) {
+    return a > b ? 1 : a < b ? -1 : 0;
+}
+
+class ValidatorSelector {
+    /**
+     * @param {ValidatorService} validatorService - Initialized validator service
+     * @param {object} config - Selection config (default: VALIDATOR_SELECTION_CONFIG)
+     */
+    constructor(validatorService, config = VALIDATOR_SELECTION_CONFIG) {
+        this.validatorService = validatorService;
+        this.config = config;
+    }
+
+    /**
+     * Get strategy names
+     * @returns {string[]} Strategy names
+     */
+    static getStrategies() {
+        return Object.keys(VALIDATOR_STRATEGIES);
+    }
+
+    /**
+     * Select a validator
+     * @param {string} strategyName - Strategy name (default: config STRATEGY)
+     * @param {object} context - Selection context ({ amountWei, positions })
+     *   positions: current delegations ({ validator, amount }) used by spread and the stake cap
+     * @returns {Promise<object>} Selection ({ validator, strategy, metadata, candidates })
+     */
+    async select(strategyName = null, context = {}) {
+        const name = strategyName || this.config.STRATEGY;
+        const strategy = VALIDATOR_STRATEGIES[name];
+        if (!strategy) {
+            throw new Error(`Unknown validator strategy: ${name} (available: ${ValidatorSelector.getStrategies().join(', ')})`);
+        }
+
+        const positions = context.positions || [];
+        const stakeByValidator = new Map(positions.map(position => [position.validator.toLowerCase(), BigInt(position.amount)]));
+
+        const validators = await this.validatorService.getValidators();
+        const candidates = this.applyGuards(
+            validators.map(validator => ({
+                validator,
+                metadata: ValidatorSelector.getMetadata(validator, stakeByValidator)
+            })),
+            positions,
+            BigInt(context.amountWei || 0)
+        );
+
+        if (candidates.length === 0) {
+            throw new Error(`No eligible validator for strategy ${name}`);
+        }
+
+        const selected = strategy.select(candidates, {
+            positionCount: positions.filter(position => BigInt(position.amount) > 0n).length,
+            spreadCount: this.config.SPREAD_COUNT
+        });
+
+        Helpers.log(`🧭 Strategy ${name} picked ${selected.validator.moniker} (${selected.validator.validatorAddress}) out of ${candidates.length} eligible: ${ValidatorSelector.describe(selected.metadata)}`, 'INFO');
+
+        return {
+            validator: selected.validator,
+            strategy: name,
+            metadata: selected.metadata,
+            candidates: candidates.length
+        };
+    }
+
+    /**
+     * Drop validators the guards exclude
+     * @param {Array<object>} candidates - Candidates ({ validator, metadata })
+     * @param {Array<object>} positions - Current delegations ({ validator, amount })
+     * @param {bigint} amountWei - Amount about to be delegated
+     * @returns {Array<object>} Eligible candidates
+     */
+    applyGuards(candidates, positions, amountWei) {
+        const allowList = this.config.ALLOW_LIST.map(address => address.toLowerCase());
+        const slashCutoff = Date.now() - this.config.SLASH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+        const totalStake = positions.reduce((total, position) => total + BigInt(position.amount), 0n);
+        const positionCount = positions.filter(position => BigInt(position.amount) > 0n).length;
+        const spreading = positionCount < Math.ceil(100 / this.config.MAX_STAKE_PERCENT);
+
+        return candidates.filter(({ validator, metadata }) => {
+            // status 3 = bonded (active)
+            if (validator.status !== 3 || metadata.jailed || metadata.tombstoned) {
+                return false;
+            }
+
+            if (metadata.lastJailedAt && metadata.lastJailedAt.getTime() > slashCutoff) {
+                return false;
+            }
+
+            if (allowList.length > 0 && !allowList.includes(validator.validatorAddress.toLowerCase())) {
+                return false;
+            }
+
+            if (this.config.MAX_STAKE_PERCENT > 0 && amountWei > 0n && !(spreading && metadata.currentStake === 0n)) {
+                const share = Number((metadata.currentStake + amountWei) * 10000n / (totalStake + amountWei)) / 100;
+                if (share > this.config.MAX_STAKE_PERCENT) {
+                    return false;
+                }
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Normalize the validator data strategies rank on
+     * @param {object} validator - Validator from eth_getValidatorsByPageAndSize
+     * @param {Map} stakeByValidator - Current stake (wei) keyed by lowercase validator address
+     * @returns {object} Metadata ({ commission, uptime, votingPower, currentStake, jailed, tombstoned, lastJailedAt })
+     */
+    static getMetadata(validator, stakeByValidator = new Map()) {
+        const jailedUntil = validator.jailedUntil || validator.signingInfo?.jailedUntil;
+        const lastJailedAt = jailedUntil && new Date(jailedUntil).getTime() > 0 ? new Date(jailedUntil) : null;
+
+        return {
+            commission: Number(validator.commission?.commission_rates?.rate ?? validator.commission?.rate ?? validator.commission ?? 1),
+            uptime: Number(validator.uptime ?? validator.signingInfo?.uptime ?? 0),
+            votingPower: BigInt(String(validator.tokens ?? validator.votingPower ?? validator.shares ?? '0').split('.')[0] || '0'),
+            currentStake: stakeByValidator.get(validator.validatorAddress.toLowerCase()) || 0n,
+            jailed: !!validator.jailed,
+            tombstoned: !!(validator.tombstoned || validator.signingInfo?.tombstoned),
+            lastJailedAt
+        };
+    }
+
+    /**
+     * Describe metadata for the decision log
+     * @param {object} metadata - Candidate metadata
+     * @returns {string} Description
+     */
+    static describe(metadata) {
+        return [
+            `commission ${FormattingUtils.formatPercentage(metadata.commission)}`,
+            `uptime ${FormattingUtils.formatPercentage(metadata.uptime > 1 ? metadata.uptime / 100 : metadata.uptime)}`,
+            `voting power ${Helpers.weiToEth(metadata.votingPower)} HLS`,
+            `current stake ${Helpers.weiToEth(metadata.currentStake)} HLS`
+        ].join(', ');
+    }
+}
+
+module.exports = { ValidatorSelector, VALIDATOR_STRATEGIES };
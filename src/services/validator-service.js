@@ -38,46 +38,72 @@ class ValidatorService {
         }
 
         try {
-            const payload = {
-                jsonrpc: "2.0",
-                method: "eth_getValidatorsByPageAndSize",
-                params: [`0x${page.toString(16)}`, `0x${size.toString(16)}`],
-                id: 1
-            };
-
-            const response = await AsyncUtils.retry(
-                async () => {
-                    const res = await fetch(this.apiUrl, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify(payload)
-                    });
-
-                    if (!res.ok) {
-                        throw new Error(`HTTP error! status: ${res.status}`);
-                    }
-
-                    const data = await res.json();
-                    
-                    if (data.error) {
-                        throw new Error(`API error: ${data.error.message}`);
-                    }
-
-                    return data.result;
-                },
-                RETRY_CONFIG.DEFAULT_MAX_ATTEMPTS,
-                RETRY_CONFIG.DEFAULT_DELAY
-            );
-
-            return response;
+            return await this.rpcRequest('eth_getValidatorsByPageAndSize', [`0x${page.toString(16)}`, `0x${size.toString(16)}`]);
         } catch (error) {
             Helpers.log('❌ Failed to get validators', error, 'ERROR');
             throw error;
         }
     }
 
+    /**
+     * Get every delegation of a delegator
+     * @param {string} delegator - Delegator address
+     * @returns {Promise<Array>} Array of delegations (validatorAddress, shares, assets, rewards)
+     */
+    async getDelegations(delegator) {
+        if (!this.isInitialized) {
+            throw new Error('Validator service not initialized');
+        }
+
+        try {
+            return await this.rpcRequest('eth_getDelegations', [delegator]) || [];
+        } catch (error) {
+            Helpers.log('❌ Failed to get delegations', error, 'ERROR');
+            throw error;
+        }
+    }
+
+    /**
+     * Call a Helios JSON-RPC method
+     * @param {string} method - RPC method
+     * @param {Array} params - RPC params
+     * @returns {Promise<any>} RPC result
+     */
+    async rpcRequest(method, params = []) {
+        const payload = {
+            jsonrpc: "2.0",
+            method,
+            params,
+            id: 1
+        };
+
+        return await AsyncUtils.retry(
+            async () => {
+                const res = await fetch(this.apiUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(payload)
+                });
+
+                if (!res.ok) {
+                    throw new Error(`HTTP error! status: ${res.status}`);
+                }
+
+                const data = await res.json();
+
+                if (data.error) {
+                    throw new Error(`API error: ${data.error.message}`);
+                }
+
+                return data.result;
+            },
+            RETRY_CONFIG.DEFAULT_MAX_ATTEMPTS,
+            RETRY_CONFIG.DEFAULT_DELAY
+        );
+    }
+
     /**
      * Get active validators only
      * @param {number} page - Page number (default: 1)
@@ -0,0 +1,46 @@
+/**
+ * Vote History
+ * Remembers which proposals each wallet already voted on so a proposal is never voted twice
+ */
+
+const path = require('path');
+const { JsonStore } = require('../utils/json-store');
+const { STATE_CONFIG } = require('../config/config');
+
+class VoteHistory {
+    /**
+     * @param {JsonStore} store - Backing store (optional, defaults to the shared vote history file)
+     */
+    constructor(store = null) {
+        this.store = store || JsonStore.open(
+            path.join(STATE_CONFIG.DATA_DIR, STATE_CONFIG.VOTE_HISTORY_FILE),
+            { wallets: {} }
+        );
+    }
+
+    /**
+     * Get the recorded vote of a wallet on a proposal
+     * @param {string} address - Voter address
+     * @param {number|string} proposalId - Proposal ID
+     * @returns {object|null} Vote ({ option, txHash, rule, source, votedAt }) or null
+     */
+    getVote(address, proposalId) {
+        return this.store.read().wallets[address.toLowerCase()]?.[String(proposalId)] || null;
+    }
+
+    /**
+     * Record a vote
+     * @param {string} address - Voter address
+     * @param {number|string} proposalId - Proposal ID
+     * @param {object} vote - Vote ({ option, txHash, rule, source: 'bot'|'chain' })
+     */
+    record(address, proposalId, vote) {
+        this.store.update(data => {
+            const key = address.toLowerCase();
+            data.wallets[key] = data.wallets[key] || {};
+            data.wallets[key][String(proposalId)] = { ...vote, votedAt: new Date().toISOString() };
+        });
+    }
+}
+
+module.exports = { VoteHistory };
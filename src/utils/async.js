@@ -76,6 +76,38 @@ class AsyncUtils {
         return results;
     }
 
+    /**
+     * Create a limiter that runs at most `concurrency` functions at once
+     * @param {number} concurrency - Maximum concurrent executions (default: 1)
+     * @returns {Function} Limiter that queues an async function and resolves with its result
+     */
+    static createLimiter(concurrency = 1) {
+        const queue = [];
+        let active = 0;
+
+        const next = () => {
+            if (active >= concurrency || queue.length === 0) {
+                return;
+            }
+
+            active++;
+            const { fn, resolve, reject } = queue.shift();
+
+            Promise.resolve()
+                .then(fn)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        };
+
+        return (fn) => new Promise((resolve, reject) => {
+            queue.push({ fn, resolve, reject });
+            next();
+        });
+    }
+
     /**
      * Execute functions sequentially
      * @param {Function[]} functions - Array of functions to execute
@@ -0,0 +1,56 @@
+/**
+ * CLI Arguments
+ * Minimal argv parser for subcommands and --options
+ */
+
+class CliArgs {
+    /**
+     * Parse command line arguments
+     * Options keep their kebab-case name: `--dry-run` -> options['dry-run']
+     * Values: `--to 1`, `--to=1`; options listed in booleanOptions and
+     * `--enable-*` / `--disable-*` never consume the next argument
+     * @param {string[]} argv - Arguments (default: process.argv without node and script)
+     * @param {string[]} booleanOptions - Options that never take a value
+     * @returns {object} Parsed arguments ({ positionals, options })
+     */
+    static parse(argv = process.argv.slice(2), booleanOptions = []) {
+        const positionals = [];
+        const options = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === '--') {
+                positionals.push(...argv.slice(i + 1));
+                break;
+            }
+
+            if (!arg.startsWith('--')) {
+                positionals.push(arg);
+                continue;
+            }
+
+            const separatorIndex = arg.indexOf('=');
+            const key = separatorIndex === -1 ? arg.slice(2) : arg.slice(2, separatorIndex);
+            const isBoolean = booleanOptions.includes(key) || /^(enable|disable)-/.test(key);
+            let value = true;
+
+            if (separatorIndex !== -1) {
+                value = arg.slice(separatorIndex + 1);
+            } else if (!isBoolean && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                value = argv[++i];
+            }
+
+            // Repeated options collect into an array
+            if (options[key] === undefined) {
+                options[key] = value;
+            } else {
+                options[key] = [].concat(options[key], value);
+            }
+        }
+
+        return { positionals, options };
+    }
+}
+
+module.exports = { CliArgs };
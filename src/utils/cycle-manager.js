@@ -6,8 +6,15 @@ const { TimeUtils } = require('./time-utils');
 const { Helpers } = require('./helpers');
 
 class CycleManager {
-    constructor(telegramNotifier) {
+    /**
+     * @param {TelegramNotifier} telegramNotifier - Telegram notifier
+     * @param {string} walletLabel - Wallet label used in logs (optional)
+     * @param {CycleStateService} cycleState - Persistent cycle state (optional, in-memory count if omitted)
+     */
+    constructor(telegramNotifier, walletLabel = null, cycleState = null) {
         this.telegramNotifier = telegramNotifier;
+        this.walletLabel = walletLabel;
+        this.cycleState = cycleState;
         this.cycleCount = 0;
     }
 
@@ -18,18 +25,33 @@ class CycleManager {
      * @returns {Promise<object>} Cycle result
      */
     async executeCycle(cycleFunction, privateKey) {
-        this.cycleCount++;
         const startTime = new Date();
-        
-        Helpers.log(`🚀 Starting cycle #${this.cycleCount} at ${startTime.toLocaleString()}`, 'INFO');
-        
         let address = null;
+
+        if (this.cycleState) {
+            // Carry on from the persisted count and resume an interrupted cycle
+            address = Helpers.getAddressFromPrivateKey(privateKey);
+            const cycle = this.cycleState.startCycle(address);
+            this.cycleCount = cycle.cycleNumber;
+
+            if (cycle.resumed) {
+                Helpers.log(`♻️ ${this.getLogPrefix()}Resuming unfinished cycle #${this.cycleCount}`, 'WARNING');
+            }
+        } else {
+            this.cycleCount++;
+        }
+        
+        Helpers.log(`🚀 ${this.getLogPrefix()}Starting cycle #${this.cycleCount} at ${startTime.toLocaleString()}`, 'INFO');
         
         try {
             // Execute cycle function
             const result = await cycleFunction(privateKey);
+
+            if (this.cycleState) {
+                this.cycleState.completeCycle(address);
+            }
             
-            Helpers.log(`✅ Cycle #${this.cycleCount} completed successfully`, 'SUCCESS');
+            Helpers.log(`✅ ${this.getLogPrefix()}Cycle #${this.cycleCount} completed successfully`, 'SUCCESS');
             
             return {
                 success: true,
@@ -39,7 +61,7 @@ class CycleManager {
             };
             
         } catch (error) {
-            Helpers.log(`❌ Cycle #${this.cycleCount} failed`, error, 'ERROR');
+            Helpers.log(`❌ ${this.getLogPrefix()}Cycle #${this.cycleCount} failed`, error, 'ERROR');
             
             return {
                 success: false,
@@ -58,7 +80,7 @@ class CycleManager {
         const cooldownMs = TimeUtils.getRandomCooldown();
         const cooldownFormatted = TimeUtils.formatTime(cooldownMs);
         
-        Helpers.log(`⏸️ Waiting ${cooldownFormatted} before next cycle...`, 'INFO');
+        Helpers.log(`⏸️ ${this.getLogPrefix()}Waiting ${cooldownFormatted} before next cycle...`, 'INFO');
         
         await TimeUtils.sleep(cooldownMs);
         
@@ -121,6 +143,14 @@ class CycleManager {
         return this.cycleCount;
     }
 
+    /**
+     * Get log prefix identifying the wallet this manager belongs to
+     * @returns {string} Log prefix (empty when no label is set)
+     */
+    getLogPrefix() {
+        return this.walletLabel ? `[${this.walletLabel}] ` : '';
+    }
+
     /**
      * Reset cycle count
      */
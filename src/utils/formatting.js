@@ -82,6 +82,40 @@ class FormattingUtils {
         return `${(value * 100).toFixed(decimals)}%`;
     }
 
+    /**
+     * Serialize value to JSON, writing BigInt values as strings
+     * @param {any} value - Value to serialize
+     * @param {number} indent - Indentation (default: 2)
+     * @returns {string} JSON string
+     */
+    static toJson(value, indent = 2) {
+        return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, indent);
+    }
+
+    /**
+     * Format rows as a fixed-width text table
+     * @param {Array<object>} rows - Rows
+     * @param {Array<object>} columns - Columns ({ key, header, align: 'left'|'right' })
+     * @returns {string} Table with a header and separator line
+     */
+    static formatTable(rows, columns) {
+        const widths = columns.map(column =>
+            Math.max(column.header.length, ...rows.map(row => String(row[column.key] ?? '').length))
+        );
+        const formatRow = (values) => values
+            .map((value, index) => columns[index].align === 'right'
+                ? String(value).padStart(widths[index])
+                : String(value).padEnd(widths[index]))
+            .join('  ')
+            .trimEnd();
+
+        return [
+            formatRow(columns.map(column => column.header)),
+            formatRow(widths.map(width => '-'.repeat(width))),
+            ...rows.map(row => formatRow(columns.map(column => row[column.key] ?? '')))
+        ].join('\n');
+    }
+
     /**
      * Format time duration
      * @param {number} milliseconds - Duration in milliseconds
@@ -57,6 +57,11 @@ class Helpers {
         return AsyncUtils.retry(fn, maxAttempts, delay);
     }
 
+    // Kirim log ke stderr (stdout tetap bersih untuk output --json)
+    static logToStderr(enabled = true) {
+        this.useStderr = enabled;
+    }
+
     // Log dengan timestamp
     static log(message, type = 'INFO') {
         const timestamp = new Date().toISOString();
@@ -64,8 +69,9 @@ class Helpers {
                          type === 'SUCCESS' ? chalk.green :
                          type === 'WARNING' ? chalk.yellow :
                          type === 'ERROR' ? chalk.red : chalk.white;
+        const write = this.useStderr ? console.error : console.log;
         
-        console.log(chalk.gray(`[${timestamp}]`) + ' ' + typeColor(`[${type}]`) + ' ' + chalk.white(message));
+        write(chalk.gray(`[${timestamp}]`) + ' ' + typeColor(`[${type}]`) + ' ' + chalk.white(message));
     }
     
     static getRandomBridgeAmount(minAmount = 0.010, maxAmount = 0.1) {
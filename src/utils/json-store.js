@@ -0,0 +1,92 @@
+/**
+ * JSON Store
+ * Small file-backed JSON document store for local persistent state
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Helpers } = require('./helpers');
+const { FormattingUtils } = require('./formatting');
+
+// One instance per file so every service in the process shares the same cached document
+const openStores = new Map();
+
+class JsonStore {
+    /**
+     * @param {string} filePath - Path to the JSON file
+     * @param {object} defaults - Initial document when the file does not exist
+     */
+    constructor(filePath, defaults = {}) {
+        this.filePath = path.resolve(filePath);
+        this.defaults = defaults;
+        this.data = null;
+    }
+
+    /**
+     * Get the shared store instance for a file
+     * @param {string} filePath - Path to the JSON file
+     * @param {object} defaults - Initial document when the file does not exist
+     * @returns {JsonStore} Store instance
+     */
+    static open(filePath, defaults = {}) {
+        const resolvedPath = path.resolve(filePath);
+
+        if (!openStores.has(resolvedPath)) {
+            openStores.set(resolvedPath, new JsonStore(resolvedPath, defaults));
+        }
+
+        return openStores.get(resolvedPath);
+    }
+
+    /**
+     * Read the document (loaded from disk on first access)
+     * @returns {object} Document
+     */
+    read() {
+        if (this.data !== null) {
+            return this.data;
+        }
+
+        if (!fs.existsSync(this.filePath)) {
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+            return this.data;
+        }
+
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            // Keep the unreadable file aside instead of silently overwriting it
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, backupPath);
+            Helpers.log(`⚠️ Could not parse ${this.filePath} - moved to ${backupPath}`, 'WARNING');
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Write the document to disk atomically
+     */
+    save() {
+        const data = this.read();
+        const tempPath = `${this.filePath}.tmp`;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, FormattingUtils.toJson(data));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Mutate the document and persist it
+     * @param {Function} mutator - Receives the document, may return a value
+     * @returns {any} Mutator return value
+     */
+    update(mutator) {
+        const result = mutator(this.read());
+        this.save();
+        return result;
+    }
+}
+
+module.exports = { JsonStore };
@@ -82,18 +82,52 @@ class TelegramNotifier {
             message += `👛 <b>Wallet:</b> <code>${details.walletAddress}</code>\n`;
         }
         
+        if (details.dryRun) {
+            message += `🧪 <b>Mode:</b> Dry run (not broadcast)\n`;
+        }
+        
         // Add details if provided
         if (details.txHash) {
             message += `🔗 <b>Tx Hash:</b> <code>${details.txHash}</code>\n`;
         }
         
+        if (details.txOutcome && details.txOutcome.status !== 'confirmed') {
+            const { status, bumps, originalTxHash } = details.txOutcome;
+            message += `🚦 <b>Tx Status:</b> ${status} after ${bumps} fee bump(s)\n`;
+            message += `🔗 <b>Original Tx:</b> <code>${originalTxHash}</code>\n`;
+        }
+        
         if (details.validator) {
             message += `👤 <b>Validator:</b> ${details.validator}\n`;
         }
         
+        if (details.route) {
+            message += `🛣️ <b>Route:</b> ${details.route}\n`;
+        }
+
         if (details.amount) {
             message += `💰 <b>Amount:</b> ${details.amount}\n`;
         }
+
+        if (details.vote) {
+            message += `🗳️ <b>Vote:</b> ${details.vote}\n`;
+        }
+
+        if (details.bridges) {
+            message += `🌉 <b>Bridges:</b>\n${details.bridges.map(line => `   • ${line}`).join('\n')}\n`;
+        }
+
+        if (details.proposals) {
+            message += `🏁 <b>Proposals:</b>\n${details.proposals.map(line => `   • ${line}`).join('\n')}\n`;
+        }
+
+        if (details.compound) {
+            message += `🔁 <b>Compound:</b> ${details.compound}\n`;
+        }
+
+        if (details.completionTime) {
+            message += `⏳ <b>Completes:</b> ${details.completionTime}\n`;
+        }
         
         if (details.globalRank) {
             message += `🏆 <b>Global Rank:</b> #${details.globalRank}\n`;
@@ -115,6 +149,10 @@ class TelegramNotifier {
             message += `📝 <b>Reason:</b> ${details.reason}\n`;
         }
         
+        if (details.revertReason?.decoded && details.revertReason.decoded !== details.reason) {
+            message += `🧾 <b>Revert:</b> ${details.revertReason.kind}: ${details.revertReason.decoded}\n`;
+        }
+        
         if (details.error) {
             message += `⚠️ <b>Error:</b> ${details.error}\n`;
         }
@@ -157,8 +195,23 @@ class TelegramNotifier {
             message += `👛 <b>Wallet:</b> <code>${walletAddress}</code>\n`;
         }
         
-        message += `💰 <b>Balance:</b> ${results.balance || 'N/A'}\n` +
-                  `⏸️ <b>Cooldown:</b> ${cooldownTime}\n` +
+        message += `💰 <b>Balance:</b> ${results.balance || 'N/A'}\n`;
+
+        if (results.delegationPortfolio) {
+            const { totals, positions } = results.delegationPortfolio;
+            message += `🥩 <b>Staked:</b> ${Helpers.weiToEth(totals.delegated)} HLS across ${totals.validators} validator(s)\n` +
+                      `🎁 <b>Pending Rewards:</b> ${Helpers.weiToEth(totals.rewards)} HLS\n`;
+
+            if (totals.unbonding !== '0') {
+                message += `⏳ <b>Unbonding:</b> ${Helpers.weiToEth(totals.unbonding)} HLS\n`;
+            }
+
+            for (const position of positions.slice(0, 3)) {
+                message += `   • ${position.moniker}: ${Helpers.weiToEth(position.amount)} HLS\n`;
+            }
+        }
+
+        message += `⏸️ <b>Cooldown:</b> ${cooldownTime}\n` +
                   `🔄 <b>Status:</b> Waiting for next cycle...`;
         
         return await this.sendMessage(message);
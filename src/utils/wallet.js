@@ -63,7 +63,7 @@ class WalletUtils {
      */
     static createWalletFromMnemonic(mnemonic, path = "m/44'/60'/0'/0/0") {
         try {
-            return ethers.Wallet.fromPhrase(mnemonic, path);
+            return ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, path);
         } catch (error) {
             throw new Error(`Failed to create wallet from mnemonic: ${error.message}`);
         }
@@ -0,0 +1,89 @@
+/**
+ * Precompile Registry golden test
+ * The thin-wrapper builders and a plain ethers.Interface encoding must give byte-identical calldata,
+ * pinned to fixtures/precompile-calldata.json (produced by the original hand-rolled builders;
+ * hyperionProposal by ethers.Interface, since the hand-rolled offsets were wrong)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { PrecompileRegistry } = require('../../src/core/precompile-registry');
+const { BridgeCalldataBuilder } = require('../../src/features/bridge/calldata-builder');
+const { DelegationCalldataBuilder } = require('../../src/features/delegation/calldata-builder');
+const { GovernanceService } = require('../../src/features/governance/governance-service');
+const { BRIDGE_CONFIGS } = require('../../src/config/bridge-config');
+const golden = require('../fixtures/precompile-calldata.json');
+
+const DELEGATOR = '0x1111111111111111111111111111111111111111';
+const VALIDATOR = '0x72a9B3509B19D9Dbc2E0Df71c4A6451e8a3DD705';
+const TOKEN = '0xD4949664cD82660AaE99bEdc034a0deA8A0bd517';
+const MESSAGES = [{ '@type': '/helios.hyperion.v1.MsgUpdateOutTxTimeout', chain_id: 11155111 }];
+
+/**
+ * Encode through a standalone Interface built from the signature (independent of the registry)
+ * @param {string} signature - Human-readable function signature
+ * @param {Array} args - Arguments
+ * @returns {string} Calldata
+ */
+function encode(signature, args) {
+    const iface = new ethers.Interface([`function ${signature}`]);
+    return iface.encodeFunctionData(iface.fragments[0].name, args);
+}
+
+test('bridge sendToChain', () => {
+    const wrapper = BridgeCalldataBuilder.buildBridgeCalldata(11155111, TOKEN, '50000000000000000', '500000000000000000', DELEGATOR);
+    const direct = encode('sendToChain(uint64 chainId, string destAddress, address contractAddress, uint256 amount, uint256 bridgeFee)',
+        [11155111, DELEGATOR, TOKEN, '50000000000000000', '500000000000000000']);
+
+    assert.equal(wrapper, direct);
+    assert.equal(wrapper, golden.sendToChain);
+    assert.equal(wrapper.slice(0, 10), BRIDGE_CONFIGS['helios-testnet'].functionSelectors.bridge);
+});
+
+test('staking delegate', () => {
+    const wrapper = new DelegationCalldataBuilder().buildDelegationCalldata(DELEGATOR, VALIDATOR, '1200000000000000000');
+    const direct = encode('delegate(address delegatorAddress, address validatorAddress, uint256 amount, string denom)',
+        [DELEGATOR, VALIDATOR, '1200000000000000000', 'ahelios']);
+
+    assert.equal(wrapper, direct);
+    assert.equal(wrapper, golden.delegate);
+});
+
+test('distribution claimRewards', () => {
+    const wrapper = new DelegationCalldataBuilder().buildClaimCalldata(DELEGATOR, 10);
+    const direct = encode('claimRewards(address delegatorAddress, uint32 maxRetrieve)', [DELEGATOR, 10]);
+
+    assert.equal(wrapper, direct);
+    assert.equal(wrapper, golden.claimRewards);
+});
+
+test('gov vote', () => {
+    const governance = new GovernanceService();
+    const wrapper = governance.buildVoteCalldata(DELEGATOR, 42, 'yes', 'Supporting the upgrade');
+    const direct = encode('vote(address voter, uint64 proposalId, uint8 option, string metadata)',
+        [DELEGATOR, 42, 1, 'Supporting the upgrade']);
+
+    assert.equal(wrapper, direct);
+    assert.equal(wrapper, golden.vote);
+    // Legacy boolean support maps to the same option
+    assert.equal(governance.buildVoteCalldata(DELEGATOR, 42, true, 'Supporting the upgrade'), golden.vote);
+});
+
+test('gov hyperionProposal', () => {
+    const title = 'Raise Sepolia Hyperion timeouts';
+    const description = 'Raise the Sepolia batch timeout.';
+    const wrapper = new GovernanceService().buildCreateProposalCalldata(title, description, MESSAGES, '1000000000000000000');
+    const direct = encode('hyperionProposal(string title, string description, string msg, uint256 initialDepositAmount)',
+        [title, description, JSON.stringify(MESSAGES), '1000000000000000000']);
+
+    assert.equal(wrapper, direct);
+    assert.equal(wrapper, golden.hyperionProposal);
+});
+
+test('decode round-trips the encoded calldata', () => {
+    const decoded = PrecompileRegistry.decode(golden.delegate, PrecompileRegistry.getAddress('staking'));
+
+    assert.equal(decoded.precompile, 'staking');
+    assert.equal(decoded.function, 'delegate');
+});
@@ -0,0 +1,70 @@
+/**
+ * Bridge Route Selector tests
+ * Weighted and rotating route selection, disabled routes and route validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BridgeRouteSelector } = require('../../../src/features/bridge/route-selector');
+const { BRIDGE_CONFIGS } = require('../../../src/config/bridge-config');
+
+const TOKEN = '0xD4949664cD82660AaE99bEdc034a0deA8A0bd517';
+const ROUTES = [
+    { id: 'sepolia', destChainId: 11155111, token: 'HLS', amountRange: [0.01, 0.1], fee: 0.5, weight: 1 },
+    { id: 'bsc', destChainId: 56, token: 'HLS', amountRange: [0.01, 0.1], fee: 0.5, weight: 0 },
+    { id: 'polygon', destChainId: 137, token: TOKEN, amountRange: [0.01, 0.1], fee: 0.5, weight: 3 }
+];
+
+const selector = new BridgeRouteSelector();
+
+test('weighted selection follows the weights and never picks a zero weight', (context) => {
+    context.mock.method(Math, 'random', () => 0);
+    assert.equal(selector.select(ROUTES, 'weighted').id, 'sepolia');
+
+    // Total weight 4: sepolia covers [0, 1), polygon [1, 4)
+    Math.random.mock.mockImplementation(() => 0.25);
+    assert.equal(selector.select(ROUTES, 'weighted').id, 'polygon');
+
+    Math.random.mock.mockImplementation(() => 0.9999);
+    assert.equal(selector.select(ROUTES, 'weighted').id, 'polygon');
+});
+
+test('rotate selection takes the enabled routes in order, one per cycle', () => {
+    const picks = [1, 2, 3, 4].map(cycleNumber => selector.select(ROUTES, 'rotate', cycleNumber).id);
+    assert.deepEqual(picks, ['sepolia', 'polygon', 'sepolia', 'polygon']);
+});
+
+test('selected routes carry the resolved token address', () => {
+    const route = selector.select(ROUTES, 'rotate', 1);
+    assert.equal(route.tokenAddress.toLowerCase(), TOKEN.toLowerCase());
+});
+
+test('the configured routes and selection are used by default', () => {
+    const route = selector.select();
+    assert.ok(BRIDGE_CONFIGS['helios-testnet'].routes.some(configured => configured.id === route.id));
+    assert.ok(route.weight > 0);
+});
+
+test('unknown selections and routes without any weight are rejected', () => {
+    assert.throws(() => selector.select(ROUTES, 'cheapest'), /Unknown bridge route selection: cheapest/);
+    assert.throws(() => selector.select(ROUTES.map(route => ({ ...route, weight: 0 })), 'rotate'), /No enabled bridge route/);
+});
+
+test('validation reports every invalid route field', () => {
+    const invalid = [{ id: 'bad', destChainId: 1, token: 'DOGE', amountRange: [0.1, 0.01], fee: -1 }];
+
+    assert.throws(() => selector.validate(invalid), (error) => {
+        assert.match(error.message, /Route bad: unsupported destination chain 1/);
+        assert.match(error.message, /Route bad: unknown token DOGE/);
+        assert.match(error.message, /Route bad: amountRange must be/);
+        assert.match(error.message, /Route bad: fee must be >= 0/);
+        return true;
+    });
+});
+
+test('validation applies the id and weight defaults', () => {
+    const [route] = selector.validate([{ destChainId: 11155111, token: 'HLS', amountRange: [0.01, 0.01], fee: 0 }]);
+
+    assert.equal(route.id, 'route-1');
+    assert.equal(route.weight, 1);
+});
@@ -0,0 +1,108 @@
+/**
+ * Vote Policy tests
+ * Rule matching, decisions and validation of policy definitions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { VotePolicy } = require('../../../src/features/governance/vote-policy');
+
+const PROPOSER = '0x72a9B3509B19D9Dbc2E0Df71c4A6451e8a3DD705';
+
+const policy = new VotePolicy({
+    default: { action: 'skip' },
+    rules: [
+        { id: 'spam', match: { keywords: ['Airdrop'] }, action: 'no', reason: 'Spam #{id} ({rule}, {option})' },
+        { id: 'trusted', match: { proposer: [PROPOSER.toLowerCase()] }, action: 'yes' },
+        { id: 'timeouts', match: { type: ['MsgUpdateOutTxTimeout'], minDeposit: 1 }, action: 'yes' },
+        { id: 'small', match: { maxDeposit: 0.1 }, action: 'abstain' }
+    ]
+});
+
+/**
+ * Build a proposal as returned by eth_getProposalsByPageAndSize
+ * @param {object} fields - Overrides
+ * @returns {object} Proposal
+ */
+function proposal(fields = {}) {
+    return {
+        id: '7',
+        title: 'Upgrade',
+        description: 'Routine upgrade',
+        proposer: '0x0000000000000000000000000000000000000001',
+        totalDeposit: [{ denom: 'ahelios', amount: '5000000000000000000' }],
+        messages: [],
+        ...fields
+    };
+}
+
+test('the first matching rule wins and fills the reason template', () => {
+    const decision = policy.evaluate(proposal({ title: 'Free AIRDROP', proposer: PROPOSER }));
+
+    assert.equal(decision.rule, 'spam');
+    assert.equal(decision.option, 'no');
+    assert.equal(decision.proposalId, 7);
+    assert.equal(decision.reason, 'Spam #7 (spam, no)');
+});
+
+test('proposer, type and deposit conditions', () => {
+    assert.equal(policy.evaluate(proposal({ proposer: PROPOSER })).rule, 'trusted');
+
+    const timeout = { '@type': '/helios.hyperion.v1.MsgUpdateOutTxTimeout' };
+    assert.equal(policy.evaluate(proposal({ messages: [timeout] })).rule, 'timeouts');
+    // Every condition of a rule must hold: the deposit is below minDeposit
+    assert.equal(policy.evaluate(proposal({ messages: [timeout], totalDeposit: '500000000000000000' })).rule, 'default');
+
+    assert.equal(policy.evaluate(proposal({ totalDeposit: '100000000000000000' })).option, 'abstain');
+});
+
+test('no matching rule falls back to the default decision', () => {
+    const decision = policy.evaluate(proposal());
+
+    assert.equal(decision.rule, 'default');
+    assert.equal(decision.action, 'skip');
+    assert.equal(decision.option, null);
+    assert.equal(decision.reason, null);
+});
+
+test('random picks by weight and never picks a zero weight', (context) => {
+    const random = new VotePolicy({ default: { action: 'random', weights: { yes: 0, no: 3, abstain: 1 } } });
+
+    context.mock.method(Math, 'random', () => 0);
+    assert.equal(random.evaluate(proposal()).option, 'no');
+
+    Math.random.mock.mockImplementation(() => 0.8);
+    assert.equal(random.evaluate(proposal()).option, 'abstain');
+
+    Math.random.mock.mockImplementation(() => 0.9999);
+    assert.equal(random.evaluate(proposal()).option, 'abstain');
+});
+
+test('fixed policies always cast the given vote', () => {
+    assert.equal(VotePolicy.fixed(true).evaluate(proposal()).option, 'yes');
+    assert.equal(VotePolicy.fixed(false, 'Against').evaluate(proposal()).reason, 'Against');
+});
+
+test('validation rejects unusable definitions', () => {
+    const invalid = [
+        [{ default: { action: 'maybe' } }, /unknown action maybe/],
+        [{ default: { action: 'random', weights: { yes: 0, no: 0 } } }, /at least one weight above 0/],
+        [{ default: { action: 'random', weights: { yes: -1 } } }, /random needs weights/],
+        [{ rules: [{ match: {}, action: 'yes' }] }, /missing an id/],
+        [{ rules: [{ id: 'a', match: { keywords: 'airdrop' }, action: 'no' }] }, /match.keywords must be an array of strings/],
+        [{ rules: [{ id: 'a', match: { proposer: [1] }, action: 'no' }] }, /match.proposer must be an array of strings/],
+        [{ rules: [{ id: 'a', match: { type: 'MsgVote' }, action: 'no' }] }, /match.type must be an array of strings/],
+        [{ rules: [{ id: 'a', match: { minDeposit: 'lots' }, action: 'no' }] }, /match.minDeposit/],
+        [{ rules: [{ id: 'a', match: [], action: 'no' }] }, /match must be an object/]
+    ];
+
+    for (const [definition, message] of invalid) {
+        assert.throws(() => new VotePolicy(definition), message);
+    }
+});
+
+test('the shipped policy file is valid', () => {
+    const shipped = VotePolicy.load(path.join(__dirname, '../../../src/config/vote-policy.json'));
+    assert.equal(shipped.evaluate(proposal({ title: 'Giveaway' })).rule, 'reject-spam');
+});
@@ -0,0 +1,207 @@
+/**
+ * Bridge Tracker tests
+ * Arrival matching on the destination chain: only ERC-20 Transfers of the destination token and the exact amount,
+ * one destination transfer or balance increase per bridge, and stuck bridges given up after a while
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-bridges-'));
+
+const { JsonStore } = require('../../src/utils/json-store');
+const { BridgeTracker } = require('../../src/services/bridge-tracker');
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0xD4949664cD82660AaE99bEdc034a0deA8A0bd517';
+const SEPOLIA = 11155111;
+const AMOUNT = 50000000000000000n;
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const CONFIG = {
+    chainId: 42000,
+    name: 'Helios Testnet',
+    supportedChains: {
+        [SEPOLIA]: { name: 'Sepolia', tokens: { HLS: TOKEN } },
+        137: { name: 'Polygon', tokens: { HLS: null } }
+    }
+};
+
+let fileCount = 0;
+
+/**
+ * Build a Transfer log to the recipient
+ * @param {string} txHash - Destination tx hash
+ * @param {bigint} amount - Amount
+ * @param {object} fields - Overrides
+ * @returns {object} Log
+ */
+function transferLog(txHash, amount, fields = {}) {
+    return {
+        address: TOKEN,
+        topics: [TRANSFER_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32), ethers.zeroPadValue(RECIPIENT, 32)],
+        data: ethers.toBeHex(amount, 32),
+        blockNumber: 105,
+        transactionHash: txHash,
+        ...fields
+    };
+}
+
+/**
+ * Fake destination provider
+ * @param {Array<object>} logs - Logs returned by getLogs
+ * @param {bigint} balance - Recipient token balance
+ * @returns {object} Provider with the `filters` passed to getLogs
+ */
+function createProvider(logs = [], balance = 0n) {
+    const provider = {
+        logs,
+        balance,
+        blockNumber: 100,
+        filters: [],
+        getBlockNumber: async () => provider.blockNumber,
+        getLogs: async (filter) => {
+            provider.filters.push(filter);
+            return provider.logs;
+        },
+        call: async () => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [provider.balance])
+    };
+    return provider;
+}
+
+/**
+ * Create a tracker on a new file with a fake destination provider
+ * @param {object} provider - Fake provider
+ * @returns {BridgeTracker} Tracker
+ */
+function createTracker(provider) {
+    const filePath = path.join(process.env.STATE_DIR, `bridges-${++fileCount}.json`);
+    const tracker = new BridgeTracker(new JsonStore(filePath, { wallets: {} }), CONFIG);
+    tracker.getProvider = () => provider;
+    return tracker;
+}
+
+/**
+ * Record an outbound HLS bridge to Sepolia
+ * @param {BridgeTracker} tracker - Tracker
+ * @param {string} txHash - Source tx hash
+ * @param {object} fields - Overrides
+ * @returns {Promise<object|null>} Stored entry
+ */
+function recordBridge(tracker, txHash, fields = {}) {
+    return tracker.record(SENDER, { txHash, destChainId: SEPOLIA, recipient: RECIPIENT, amount: AMOUNT, symbol: 'HLS', ...fields });
+}
+
+test('only an ERC-20 Transfer of the exact amount completes a bridge', async () => {
+    const provider = createProvider();
+    const tracker = createTracker(provider);
+    await recordBridge(tracker, '0xaa');
+
+    provider.logs = [
+        transferLog('0x01', AMOUNT, { data: '0x' }),
+        transferLog('0x02', AMOUNT, { topics: [...transferLog('0x02', AMOUNT).topics, ethers.zeroPadValue('0x05', 32)], data: '0x' }),
+        transferLog('0x03', AMOUNT + 1n)
+    ];
+    let changes = await tracker.check(SENDER);
+    assert.equal(changes.completed.length, 0);
+    assert.equal(provider.filters[0].address, TOKEN);
+    assert.equal(provider.filters[0].fromBlock, 100);
+
+    provider.blockNumber = 110;
+    provider.logs.push(transferLog('0x04', AMOUNT));
+    changes = await tracker.check(SENDER);
+    assert.equal(changes.completed.length, 1);
+    assert.equal(changes.completed[0].destTxHash, '0x04');
+    assert.equal(tracker.getBridges(SENDER)[0].status, 'completed');
+});
+
+test('one destination transfer completes only one bridge', async () => {
+    const provider = createProvider();
+    const tracker = createTracker(provider);
+    await recordBridge(tracker, '0xaa');
+    await recordBridge(tracker, '0xbb');
+
+    provider.logs = [transferLog('0x01', AMOUNT)];
+    const changes = await tracker.check(SENDER);
+
+    assert.equal(changes.completed.length, 1);
+    assert.equal(changes.pending.length, 1);
+
+    // A later check does not match the claimed transfer again
+    provider.blockNumber = 110;
+    assert.equal((await tracker.check(SENDER)).completed.length, 0);
+});
+
+test('a balance increase of the amount completes a bridge without a matching log', async () => {
+    const provider = createProvider([], 1n);
+    const tracker = createTracker(provider);
+    await recordBridge(tracker, '0xaa');
+
+    provider.balance = 1n + AMOUNT;
+    const changes = await tracker.check(SENDER);
+
+    assert.equal(changes.completed[0].evidence, 'balance increase');
+    assert.equal(changes.completed[0].destTxHash, null);
+});
+
+test('one balance increase completes only the oldest open bridge to the recipient', async () => {
+    const provider = createProvider([], 1n);
+    const tracker = createTracker(provider);
+    await recordBridge(tracker, '0xaa');
+    await recordBridge(tracker, '0xbb');
+
+    provider.balance = 1n + AMOUNT;
+    let changes = await tracker.check(SENDER);
+    assert.deepEqual(changes.completed.map(entry => entry.txHash), ['0xaa']);
+    assert.deepEqual(changes.pending.map(entry => entry.txHash), ['0xbb']);
+
+    // The credited arrival is not counted again in later checks
+    assert.equal((await tracker.check(SENDER)).completed.length, 0);
+
+    provider.balance = 1n + 2n * AMOUNT;
+    changes = await tracker.check(SENDER);
+    assert.deepEqual(changes.completed.map(entry => entry.txHash), ['0xbb']);
+});
+
+test('bridges are marked stuck, then no longer scanned once given up', async () => {
+    const provider = createProvider();
+    const tracker = createTracker(provider);
+    await recordBridge(tracker, '0xaa');
+    await recordBridge(tracker, '0xbb');
+
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 3600000).toISOString();
+    tracker.store.update(data => {
+        const [old, recent] = data.wallets[SENDER.toLowerCase()];
+        Object.assign(old, { sentAt: hoursAgo(100) });
+        Object.assign(recent, { sentAt: hoursAgo(7) });
+    });
+
+    let changes = await tracker.check(SENDER);
+    assert.deepEqual(changes.stuck.map(entry => entry.txHash), ['0xaa', '0xbb']);
+    assert.equal(changes.pending.length, 1);
+
+    // Only the recent stuck bridge is scanned for new blocks
+    provider.filters = [];
+    provider.blockNumber = 110;
+    changes = await tracker.check(SENDER);
+    assert.deepEqual(changes.pending.map(entry => entry.txHash), ['0xbb']);
+    assert.equal(provider.filters.length, 1);
+    assert.equal(tracker.getBridges(SENDER).find(entry => entry.txHash === '0xaa').status, 'stuck');
+});
+
+test('bridges without a destination token are not tracked', async () => {
+    const provider = createProvider([transferLog('0x01', AMOUNT)]);
+    const tracker = createTracker(provider);
+
+    assert.equal(await recordBridge(tracker, '0xaa', { destChainId: 137 }), null);
+    assert.deepEqual(tracker.getBridges(SENDER), []);
+    assert.equal(provider.filters.length, 0);
+});
+
+test.after(() => {
+    fs.rmSync(process.env.STATE_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,187 @@
+/**
+ * Cycle State Service tests
+ * Resume after a restart: finished features are not run again, features interrupted after their main broadcast
+ * are settled from the receipt instead of sending again
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-state-'));
+
+const { JsonStore } = require('../../src/utils/json-store');
+const { CycleStateService } = require('../../src/services/cycle-state-service');
+const { TransactionService } = require('../../src/services/transaction-service');
+const { HeliosMain } = require('../../main');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const HASH_A = `0x${'a'.repeat(64)}`;
+const HASH_B = `0x${'b'.repeat(64)}`;
+const HASH_C = `0x${'c'.repeat(64)}`;
+
+let fileCount = 0;
+
+/**
+ * Open a cycle state on a new file
+ * @returns {object} State ({ cycleState, filePath, reopen }) - reopen() simulates a process restart
+ */
+function createState() {
+    const filePath = path.join(process.env.STATE_DIR, `cycle-state-${++fileCount}.json`);
+    const open = () => new CycleStateService(new JsonStore(filePath, { wallets: {} }));
+    return { cycleState: open(), filePath, reopen: open };
+}
+
+/**
+ * Run HeliosMain.runFeature against a cycle state without building the services
+ * @param {CycleStateService} cycleState - Cycle state
+ * @param {Function} executeFunction - Feature execution function
+ * @param {object|null} receipt - Receipt returned for the resumed broadcast
+ * @returns {Promise<object>} Feature result and calls ({ result, resumedWith })
+ */
+async function runFeature(cycleState, executeFunction, receipt = null) {
+    const calls = { resumedWith: null };
+    const main = {
+        cycleState,
+        resumeBroadcast: async (broadcast) => {
+            calls.resumedWith = broadcast;
+            return CycleStateService.getResumedResult(broadcast, receipt);
+        }
+    };
+
+    const result = await HeliosMain.prototype.runFeature.call(main, 'bridge', ADDRESS, executeFunction);
+    return { result, ...calls };
+}
+
+test('a restarted process resumes the unfinished cycle and skips finished features', async () => {
+    const { cycleState, reopen } = createState();
+    assert.deepEqual(cycleState.startCycle(ADDRESS), { cycleNumber: 1, resumed: false });
+
+    let runs = 0;
+    await runFeature(cycleState, async () => {
+        runs++;
+        return { enabled: true, result: { success: true, txHash: HASH_A } };
+    });
+
+    const restarted = reopen();
+    assert.deepEqual(restarted.startCycle(ADDRESS), { cycleNumber: 1, resumed: true });
+
+    const { result } = await runFeature(restarted, async () => {
+        runs++;
+        return { enabled: true, result: { success: true } };
+    });
+
+    assert.equal(runs, 1);
+    assert.equal(result.result.txHash, HASH_A);
+    assert.equal(restarted.getFeatureRecord(ADDRESS, 'bridge').txHash, HASH_A);
+});
+
+test('broadcasts are saved before the feature finishes', async () => {
+    const { cycleState, reopen } = createState();
+    cycleState.startCycle(ADDRESS);
+
+    const transactionService = new TransactionService(null);
+    await runFeature(cycleState, async () => {
+        transactionService.notifyBroadcast({ hash: HASH_A, nonce: 7 }, 'Bridge');
+        // Simulated crash while waiting for the receipt: the record is still 'started'
+        assert.equal(reopen().getFeatureRecord(ADDRESS, 'bridge').status, 'started');
+        assert.equal(reopen().getFeatureRecord(ADDRESS, 'bridge').txHash, HASH_A);
+        return { enabled: true, result: { success: true, txHash: HASH_A } };
+    });
+
+    assert.equal(cycleState.getFeatureRecord(ADDRESS, 'bridge').status, 'completed');
+});
+
+test('transactions outside a tracked feature are not recorded', () => {
+    const { cycleState } = createState();
+    cycleState.startCycle(ADDRESS);
+    cycleState.recordFeatureStart(ADDRESS, 'bridge');
+
+    new TransactionService(null).notifyBroadcast({ hash: HASH_A, nonce: 1 }, 'Bridge');
+
+    assert.deepEqual(cycleState.getFeatureRecord(ADDRESS, 'bridge').sentTxs, []);
+});
+
+test('a feature interrupted after a broadcast is settled from the receipt, not run again', async () => {
+    const { cycleState, reopen } = createState();
+    cycleState.startCycle(ADDRESS);
+    cycleState.recordFeatureStart(ADDRESS, 'bridge');
+    cycleState.recordFeatureBroadcast(ADDRESS, 'bridge', { txHash: HASH_A, chainId: null, nonce: 3, label: 'Token approval', prerequisite: true });
+    cycleState.recordFeatureBroadcast(ADDRESS, 'bridge', { txHash: HASH_B, chainId: null, nonce: 4, label: 'Bridge' });
+    cycleState.recordFeatureBroadcast(ADDRESS, 'bridge', { txHash: HASH_C, chainId: null, nonce: 4, label: 'Speed-up' });
+
+    const restarted = reopen();
+    let runs = 0;
+    const { result, resumedWith } = await runFeature(restarted, async () => {
+        runs++;
+        return { enabled: true, result: { success: true } };
+    }, { hash: HASH_C, status: 1, blockNumber: 99 });
+
+    assert.equal(runs, 0);
+    assert.deepEqual(resumedWith, { chainId: null, nonce: 4, label: 'Bridge', prerequisite: false, hashes: [HASH_B, HASH_C] });
+    assert.equal(result.result.success, true);
+
+    const record = restarted.getFeatureRecord(ADDRESS, 'bridge');
+    assert.equal(record.status, 'completed');
+    assert.equal(record.txHash, HASH_C);
+});
+
+test('a feature interrupted after its token approval only runs again', async () => {
+    const { cycleState, reopen } = createState();
+    cycleState.startCycle(ADDRESS);
+
+    const transactionService = new TransactionService(null);
+    await assert.rejects(runFeature(cycleState, async () => {
+        transactionService.notifyBroadcast({ hash: HASH_A, nonce: 3 }, 'Token approval', true);
+        // Simulated crash before the bridge transaction is sent
+        throw new Error('process killed');
+    }), /process killed/);
+
+    let runs = 0;
+    const restarted = reopen();
+    const { result, resumedWith } = await runFeature(restarted, async () => {
+        runs++;
+        transactionService.notifyBroadcast({ hash: HASH_B, nonce: 4 }, 'Bridge');
+        return { enabled: true, result: { success: true, txHash: HASH_B } };
+    }, { hash: HASH_A, status: 1, blockNumber: 99 });
+
+    assert.equal(runs, 1);
+    assert.equal(resumedWith, null);
+    assert.equal(result.result.txHash, HASH_B);
+
+    const record = restarted.getFeatureRecord(ADDRESS, 'bridge');
+    assert.equal(record.status, 'completed');
+    assert.deepEqual(record.sentTxs.map(tx => tx.txHash), [HASH_B]);
+});
+
+test('a feature interrupted before any broadcast runs again', async () => {
+    const { cycleState, reopen } = createState();
+    cycleState.startCycle(ADDRESS);
+    cycleState.recordFeatureStart(ADDRESS, 'bridge');
+
+    let runs = 0;
+    const { resumedWith } = await runFeature(reopen(), async () => {
+        runs++;
+        return { enabled: true, result: { success: true, txHash: HASH_A } };
+    });
+
+    assert.equal(runs, 1);
+    assert.equal(resumedWith, null);
+});
+
+test('resumed results follow the receipt', () => {
+    const broadcast = { chainId: null, nonce: 1, label: 'Bridge', hashes: [HASH_A] };
+
+    assert.equal(CycleStateService.getFeatureStatus(CycleStateService.getResumedResult(broadcast, { hash: HASH_A, status: 1 })), 'completed');
+    assert.equal(CycleStateService.getFeatureStatus(CycleStateService.getResumedResult(broadcast, { hash: HASH_A, status: 0 })), 'failed');
+
+    const pending = CycleStateService.getResumedResult(broadcast, null);
+    assert.equal(CycleStateService.getFeatureStatus(pending), 'failed');
+    assert.match(pending.result.error, /not sending it again/);
+});
+
+test.after(() => {
+    fs.rmSync(process.env.STATE_DIR, { recursive: true, force: true });
+});
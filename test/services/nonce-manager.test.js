@@ -0,0 +1,108 @@
+/**
+ * Nonce Manager tests
+ * One nonce sequence per wallet and chain, shared by concurrent senders and resynced after failed sends
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { NonceManager } = require('../../src/services/nonce-manager');
+
+/**
+ * Fake provider answering the pending transaction count
+ * @param {number} pendingCount - Count returned for the 'pending' tag
+ * @returns {object} Provider with a `calls` counter
+ */
+function createProvider(pendingCount) {
+    const provider = {
+        pendingCount,
+        calls: 0,
+        getTransactionCount: async () => {
+            provider.calls++;
+            return provider.pendingCount;
+        }
+    };
+    return provider;
+}
+
+/**
+ * Fake wallet recording the nonces it signs with
+ * @param {object} provider - Provider
+ * @param {Function} send - Optional send override
+ * @returns {object} Wallet with a `sent` list
+ */
+function createWallet(provider, send = null) {
+    const wallet = {
+        address: ethers.Wallet.createRandom().address,
+        provider,
+        sent: [],
+        sendTransaction: send || (async (transaction) => {
+            wallet.sent.push(transaction.nonce);
+            return { hash: `0x${String(transaction.nonce).padStart(64, '0')}`, nonce: transaction.nonce };
+        })
+    };
+    return wallet;
+}
+
+test('concurrent sends get consecutive nonces from a single chain read', async () => {
+    const provider = createProvider(5);
+    const wallet = createWallet(provider);
+    const manager = new NonceManager(provider, wallet.address);
+
+    const txs = await Promise.all([1, 2, 3, 4].map(() => manager.sendTransaction(wallet, { to: wallet.address })));
+
+    assert.deepEqual(txs.map(tx => tx.nonce).sort(), [5, 6, 7, 8]);
+    assert.equal(provider.calls, 1);
+    assert.deepEqual(manager.getPending().map(entry => entry.nonce).sort(), [5, 6, 7, 8]);
+
+    manager.markConfirmed(5);
+    assert.equal(manager.getPending().some(entry => entry.nonce === 5), false);
+});
+
+test('peek does not reserve a nonce', async () => {
+    const provider = createProvider(2);
+    const manager = new NonceManager(provider, ethers.ZeroAddress);
+
+    assert.equal(await manager.peek(), 2);
+    assert.equal(await manager.acquire(), 2);
+    assert.equal(await manager.peek(), 3);
+});
+
+test('a failed send frees its nonce and resyncs from the chain', async () => {
+    const provider = createProvider(10);
+    let fail = true;
+    const wallet = createWallet(provider, async (transaction) => {
+        if (fail) {
+            fail = false;
+            throw new Error('insufficient funds');
+        }
+        return { hash: '0x01', nonce: transaction.nonce };
+    });
+    const manager = new NonceManager(provider, wallet.address);
+
+    await assert.rejects(manager.sendTransaction(wallet, {}), /insufficient funds/);
+    assert.deepEqual(manager.getPending(), []);
+
+    const tx = await manager.sendTransaction(wallet, {});
+    assert.equal(tx.nonce, 10);
+});
+
+test('resync follows nonces used outside the manager', async () => {
+    const provider = createProvider(0);
+    const manager = new NonceManager(provider, ethers.ZeroAddress);
+    await manager.acquire();
+
+    provider.pendingCount = 4;
+    assert.equal(await manager.resync(), 4);
+    assert.equal(await manager.acquire(), 4);
+});
+
+test('managers are shared per wallet address and separate per chain', () => {
+    const provider = createProvider(0);
+    const wallet = createWallet(provider);
+    const sameAddress = { ...createWallet(provider), address: wallet.address.toLowerCase() };
+
+    assert.equal(NonceManager.forWallet(wallet), NonceManager.forWallet(sameAddress));
+    assert.notEqual(NonceManager.forWallet(wallet), NonceManager.forWallet(wallet, 11155111));
+    assert.equal(NonceManager.forWallet(wallet, 11155111), NonceManager.forWallet(sameAddress, 11155111));
+});
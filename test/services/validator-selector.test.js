@@ -0,0 +1,79 @@
+/**
+ * Validator Selector tests
+ * Guards applied before the strategies, in particular the per-validator stake cap
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidatorSelector } = require('../../src/services/validator-selector');
+
+const ONE = 10n ** 18n;
+const VALIDATORS = ['0xA1', '0xA2', '0xA3', '0xA4', '0xA5'].map((validatorAddress, index) => ({
+    validatorAddress,
+    moniker: `validator-${index + 1}`,
+    status: 3,
+    // validator-1 has the lowest commission
+    commission: (index + 1) / 100,
+    tokens: '1000'
+}));
+
+/**
+ * Create a selector over the fake validator set
+ * @param {object} config - Selection config overrides
+ * @returns {ValidatorSelector} Selector
+ */
+function createSelector(config = {}) {
+    return new ValidatorSelector({ getValidators: async () => VALIDATORS }, {
+        STRATEGY: 'lowest-commission',
+        ALLOW_LIST: [],
+        SPREAD_COUNT: 5,
+        MAX_STAKE_PERCENT: 30,
+        SLASH_LOOKBACK_DAYS: 7,
+        ...config
+    });
+}
+
+/**
+ * Build delegations of one HLS on validators
+ * @param {string[]} addresses - Validator addresses
+ * @returns {Array<object>} Positions ({ validator, amount })
+ */
+function positionsOn(addresses) {
+    return addresses.map(validator => ({ validator, amount: ONE.toString() }));
+}
+
+test('a wallet without stake can make its first delegation under the stake cap', async () => {
+    const selection = await createSelector().select(null, { amountWei: ONE, positions: [] });
+    assert.equal(selection.validator.validatorAddress, '0xA1');
+    assert.equal(selection.candidates, VALIDATORS.length);
+});
+
+test('until the cap is reachable, the stake spreads to validators without a position', async () => {
+    // A 30% cap needs 4 validators: with 2 positions only the other 3 are eligible
+    const selection = await createSelector().select(null, { amountWei: ONE, positions: positionsOn(['0xA1', '0xA2']) });
+    assert.equal(selection.validator.validatorAddress, '0xA3');
+    assert.equal(selection.candidates, 3);
+});
+
+test('once spread, validators that would go over the cap are skipped', async () => {
+    const positions = positionsOn(['0xA1', '0xA2', '0xA3', '0xA4']);
+
+    // 2 of 5 HLS (40%) on a held validator, 1 of 5 (20%) on the new one
+    const selection = await createSelector().select(null, { amountWei: ONE, positions });
+    assert.equal(selection.validator.validatorAddress, '0xA5');
+    assert.equal(selection.candidates, 1);
+
+    const uncapped = await createSelector({ MAX_STAKE_PERCENT: 0 }).select(null, { amountWei: ONE, positions });
+    assert.equal(uncapped.validator.validatorAddress, '0xA1');
+});
+
+test('inactive, jailed and not allow-listed validators are never eligible', () => {
+    const selector = createSelector({ ALLOW_LIST: ['0xa1', '0xa2', '0xa3'], MAX_STAKE_PERCENT: 0 });
+    const candidates = VALIDATORS.map((validator, index) => ({
+        validator: { ...validator, status: index === 0 ? 2 : 3 },
+        metadata: { ...ValidatorSelector.getMetadata(validator), jailed: index === 1 }
+    }));
+
+    const eligible = selector.applyGuards(candidates, [], ONE);
+    assert.deepEqual(eligible.map(candidate => candidate.validator.validatorAddress), ['0xA3']);
+});